@@ -0,0 +1,454 @@
+/**
+ * 資料完整性稽核服務 - 定期檢查 round / hisbet / claim / multi_claim / finepoch / realbet
+ * 結果寫入 audit_runs / audit_findings，並發布到 Redis（audit_results 頻道、latest_audit 鍵）供儀表板顯示
+ *
+ * 用法：
+ *   node auditor.js               每 AUDIT_INTERVAL_MS 稽核最近 AUDIT_EPOCH_WINDOW 局
+ *   node auditor.js run [起-迄]    執行一次後結束（有 error 等級結果時結束碼為 1）
+ */
+
+const dotenv = require("dotenv");
+dotenv.config();
+
+const { Pool } = require("pg");
+const { CHANNELS, buildMessage } = require("./messages");
+
+const AUDIT_INTERVAL_MS = parseInt(process.env.AUDIT_INTERVAL_MS) || 10 * 60 * 1000;
+const AUDIT_EPOCH_WINDOW = parseInt(process.env.AUDIT_EPOCH_WINDOW) || 2000;
+const AUDIT_MAX_FINDINGS = parseInt(process.env.AUDIT_MAX_FINDINGS) || 200; // 每項檢查最多保存幾筆明細
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 30;
+const REALBET_MAX_AGE_MINUTES = 10; // hisbet.js 同步時刪除收盤超過 10 分鐘的 realbet
+const AMOUNT_TOLERANCE = 0.001; // 與 hisbet.js verifyRoundBetsStrict 相同
+const CLAIM_TOLERANCE = 0.002; // 領獎金額相對誤差（派彩倍率 NUMERIC(20,10) 的尾差）
+
+const AUDIT_CHANNEL = CHANNELS.AUDIT_RESULTS;
+const AUDIT_LATEST_KEY = 'latest_audit';
+
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+/**
+ * 建立 audit_runs / audit_findings
+ * @param {import('pg').Pool} db
+ */
+async function ensureAuditTables(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_runs (
+      id BIGSERIAL PRIMARY KEY,
+      started_at TIMESTAMPTZ NOT NULL,
+      finished_at TIMESTAMPTZ,
+      from_epoch BIGINT NOT NULL,
+      to_epoch BIGINT NOT NULL,
+      status TEXT NOT NULL,
+      summary JSONB
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_findings (
+      id BIGSERIAL PRIMARY KEY,
+      run_id BIGINT NOT NULL REFERENCES audit_runs (id) ON DELETE CASCADE,
+      check_name TEXT NOT NULL,
+      severity TEXT NOT NULL CHECK (severity IN ('error', 'warning', 'info')),
+      epoch BIGINT,
+      entity TEXT,
+      detail JSONB NOT NULL
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_audit_findings_run ON audit_findings (run_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_audit_findings_check_epoch ON audit_findings (check_name, epoch)');
+}
+
+function finding(check, severity, epoch, entity, detail) {
+  return { check, severity, epoch: epoch === null ? null : Number(epoch), entity, detail };
+}
+
+// ========================================
+// 檢查項目：每項回傳 finding 陣列
+// ========================================
+
+/**
+ * hisbet 依方向加總須等於 round 的 up/down 金額（只檢查已完成且有下注資料的局）
+ */
+async function checkBetSums(db, { from, to }) {
+  const res = await db.query(`
+    SELECT r.epoch, r.up_bet_amount, r.down_bet_amount,
+      COALESCE(SUM(h.bet_amount) FILTER (WHERE h.bet_direction = 'UP'), 0) AS up_sum,
+      COALESCE(SUM(h.bet_amount) FILTER (WHERE h.bet_direction = 'DOWN'), 0) AS down_sum,
+      COUNT(*) AS bets
+    FROM finepoch f
+    JOIN round r ON r.epoch = f.epoch
+    JOIN hisbet h ON h.epoch = f.epoch
+    WHERE f.epoch BETWEEN $1 AND $2
+    GROUP BY r.epoch, r.up_bet_amount, r.down_bet_amount
+    HAVING ABS(r.up_bet_amount - COALESCE(SUM(h.bet_amount) FILTER (WHERE h.bet_direction = 'UP'), 0)) > $3
+        OR ABS(r.down_bet_amount - COALESCE(SUM(h.bet_amount) FILTER (WHERE h.bet_direction = 'DOWN'), 0)) > $3
+  `, [from, to, AMOUNT_TOLERANCE]);
+  return res.rows.map(r => finding('bet_sum_mismatch', SEVERITY.ERROR, r.epoch, null, {
+    up: { round: r.up_bet_amount, hisbet: r.up_sum },
+    down: { round: r.down_bet_amount, hisbet: r.down_sum },
+    bets: Number(r.bets)
+  }));
+}
+
+/**
+ * 領獎須對應一筆 WIN（金額 = 下注 × 派彩倍率）或 REFUND（金額 = 下注）的下注；
+ * 領獎索引已涵蓋的局次中，未領獎的 WIN 以 info 列出
+ */
+async function checkClaims(db, { from, to }) {
+  const findings = [];
+  const res = await db.query(`
+    SELECT c.epoch AS claim_epoch, c.bet_epoch, c.wallet_address, c.amount, c.tx_hash,
+      h.tx_hash AS bet_tx_hash, h.bet_direction, h.bet_amount, h.result, r.up_payout, r.down_payout
+    FROM claim c
+    JOIN finepoch f ON f.epoch = c.bet_epoch
+    LEFT JOIN hisbet h ON h.epoch = c.bet_epoch AND h.wallet_address = c.wallet_address
+    LEFT JOIN round r ON r.epoch = c.bet_epoch
+    WHERE c.bet_epoch BETWEEN $1 AND $2
+  `, [from, to]);
+
+  for (const c of res.rows) {
+    const base = { wallet: c.wallet_address, claim_tx: c.tx_hash, claim_epoch: Number(c.claim_epoch), amount: c.amount };
+    if (!c.bet_tx_hash) {
+      findings.push(finding('claim_without_bet', SEVERITY.ERROR, c.bet_epoch, c.wallet_address, base));
+      continue;
+    }
+    if (c.result === 'LOSS') {
+      findings.push(finding('claim_on_losing_bet', SEVERITY.ERROR, c.bet_epoch, c.wallet_address,
+        { ...base, bet_tx: c.bet_tx_hash, direction: c.bet_direction }));
+      continue;
+    }
+
+    const payout = c.result === 'WIN' ? Number(c.bet_direction === 'UP' ? c.up_payout : c.down_payout) : 1;
+    const expected = Number(c.bet_amount) * payout;
+    if (Math.abs(Number(c.amount) - expected) > Math.max(1e-6, expected * CLAIM_TOLERANCE)) {
+      findings.push(finding('claim_amount_mismatch', SEVERITY.ERROR, c.bet_epoch, c.wallet_address,
+        { ...base, bet_tx: c.bet_tx_hash, result: c.result, bet_amount: c.bet_amount, expected: expected.toFixed(8) }));
+    }
+  }
+
+  // 領獎索引檢查點之後的局次可能只是尚未索引到
+  const cp = await db.query(`SELECT last_epoch FROM indexer_checkpoint WHERE name = 'claim'`);
+  const indexedTo = cp.rows[0]?.last_epoch;
+  if (indexedTo != null) {
+    const unclaimed = await db.query(`
+      SELECT h.epoch, COUNT(*) AS bets, SUM(h.bet_amount) AS amount
+      FROM hisbet h
+      WHERE h.epoch BETWEEN $1 AND LEAST($2::bigint, $3::bigint - 1) AND h.result = 'WIN'
+        AND NOT EXISTS (SELECT 1 FROM claim c WHERE c.bet_epoch = h.epoch AND c.wallet_address = h.wallet_address)
+      GROUP BY h.epoch
+    `, [from, to, indexedTo]);
+    for (const r of unclaimed.rows) {
+      findings.push(finding('unclaimed_win', SEVERITY.INFO, r.epoch, null, { bets: Number(r.bets), amount: r.amount }));
+    }
+  }
+  return findings;
+}
+
+/**
+ * 所有錢包地址必須為小寫
+ */
+async function checkWalletLowercase(db, { from, to }) {
+  const tables = [
+    { table: 'hisbet', where: 'epoch BETWEEN $1 AND $2' },
+    { table: 'claim', where: 'bet_epoch BETWEEN $1 AND $2' },
+    { table: 'multi_claim', where: 'epoch BETWEEN $1 AND $2' },
+    { table: 'realbet', where: 'TRUE' }
+  ];
+  const findings = [];
+  for (const { table, where } of tables) {
+    const params = where === 'TRUE' ? [] : [from, to];
+    const res = await db.query(`
+      SELECT COUNT(*) AS n, (ARRAY_AGG(DISTINCT wallet_address))[1:5] AS samples
+      FROM ${table}
+      WHERE ${where} AND wallet_address <> LOWER(wallet_address)
+    `, params);
+    const n = Number(res.rows[0].n);
+    if (n > 0) {
+      findings.push(finding('wallet_not_lowercase', SEVERITY.ERROR, null, table, { rows: n, samples: res.rows[0].samples }));
+    }
+  }
+  return findings;
+}
+
+/**
+ * finepoch 與實際資料一致：已完成的局要有 round（且有金額就要有下注），有資料的局要有 finepoch
+ */
+async function checkFinepoch(db, { from, to }) {
+  const findings = [];
+
+  const noRound = await db.query(`
+    SELECT f.epoch FROM finepoch f
+    WHERE f.epoch BETWEEN $1 AND $2 AND NOT EXISTS (SELECT 1 FROM round r WHERE r.epoch = f.epoch)
+  `, [from, to]);
+  for (const r of noRound.rows) findings.push(finding('finepoch_without_round', SEVERITY.ERROR, r.epoch, null, {}));
+
+  const noBets = await db.query(`
+    SELECT f.epoch, r.total_bet_amount FROM finepoch f
+    JOIN round r ON r.epoch = f.epoch
+    WHERE f.epoch BETWEEN $1 AND $2 AND r.total_bet_amount > 0
+      AND NOT EXISTS (SELECT 1 FROM hisbet h WHERE h.epoch = f.epoch)
+  `, [from, to]);
+  for (const r of noBets.rows) {
+    findings.push(finding('finepoch_missing_bets', SEVERITY.ERROR, r.epoch, null, { total_bet_amount: r.total_bet_amount }));
+  }
+
+  const duplicated = await db.query(`
+    SELECT epoch, COUNT(*) AS n FROM round
+    WHERE epoch BETWEEN $1 AND $2
+    GROUP BY epoch HAVING COUNT(*) > 1
+  `, [from, to]);
+  for (const r of duplicated.rows) findings.push(finding('round_duplicate', SEVERITY.ERROR, r.epoch, null, { rows: Number(r.n) }));
+
+  // gk_realbet.js 會先寫入進行中局次的 round（結算前 result 為 NULL），只算已結算或已有下注的局
+  const unmarked = await db.query(`
+    SELECT epoch, bool_or(has_bets) AS has_bets, bool_or(settled) AS settled FROM (
+      SELECT DISTINCT epoch, TRUE AS has_bets, FALSE AS settled FROM hisbet WHERE epoch BETWEEN $1 AND $2
+      UNION ALL
+      SELECT epoch, FALSE, TRUE FROM round WHERE epoch BETWEEN $1 AND $2 AND result IS NOT NULL
+    ) d
+    WHERE NOT EXISTS (SELECT 1 FROM finepoch f WHERE f.epoch = d.epoch)
+    GROUP BY epoch
+  `, [from, to]);
+  for (const r of unmarked.rows) {
+    findings.push(finding('data_without_finepoch', SEVERITY.WARNING, r.epoch, null, { has_bets: r.has_bets, settled: r.settled }));
+  }
+  return findings;
+}
+
+/**
+ * 已同步且收盤超過 10 分鐘的局次不應留有 realbet
+ */
+async function checkRealbetLeftovers(db) {
+  const res = await db.query(`
+    SELECT rb.epoch, COUNT(*) AS n, MIN(rb.bet_time) AS oldest
+    FROM realbet rb
+    WHERE EXISTS (SELECT 1 FROM finepoch f WHERE f.epoch = rb.epoch)
+      AND EXISTS (SELECT 1 FROM round r WHERE r.epoch = rb.epoch AND r.close_time < NOW() - make_interval(mins => $1))
+    GROUP BY rb.epoch
+  `, [REALBET_MAX_AGE_MINUTES]);
+  return res.rows.map(r => finding('stale_realbet', SEVERITY.WARNING, r.epoch, null, { rows: Number(r.n), oldest: r.oldest }));
+}
+
+const CHECKS = [
+  { name: 'bet_sums', run: checkBetSums },
+  { name: 'claims', run: checkClaims },
+  { name: 'wallet_lowercase', run: checkWalletLowercase },
+  { name: 'finepoch', run: checkFinepoch },
+  { name: 'realbet', run: checkRealbetLeftovers },
+];
+
+// ========================================
+// 執行與保存
+// ========================================
+
+/**
+ * 預設稽核最近 AUDIT_EPOCH_WINDOW 個已完成局次
+ * @returns {Promise<{from: number, to: number}|null>} 尚無資料時回傳 null
+ */
+async function defaultAuditRange(db) {
+  const res = await db.query('SELECT MAX(epoch) AS max_epoch FROM finepoch');
+  const max = res.rows[0].max_epoch;
+  if (max === null) return null;
+  return { from: Math.max(1, Number(max) - AUDIT_EPOCH_WINDOW + 1), to: Number(max) };
+}
+
+async function saveFindings(db, runId, findings) {
+  for (let i = 0; i < findings.length; i += 500) {
+    const v = [], p = [];
+    let n = 1;
+    for (const f of findings.slice(i, i + 500)) {
+      v.push(`($${n},$${n+1},$${n+2},$${n+3},$${n+4},$${n+5})`);
+      p.push(runId, f.check, f.severity, f.epoch, f.entity, JSON.stringify(f.detail));
+      n += 6;
+    }
+    await db.query(`
+      INSERT INTO audit_findings (run_id, check_name, severity, epoch, entity, detail)
+      VALUES ${v.join(',')}
+    `, p);
+  }
+}
+
+/**
+ * 執行一次完整稽核並寫入資料庫；單項檢查失敗不影響其他項目
+ * @param {import('pg').Pool} db
+ * @param {{from: number, to: number}|null} range - 未指定時使用 defaultAuditRange
+ * @returns {Promise<Object|null>} 稽核報告（同 Redis 發布內容）
+ */
+async function runAudit(db, range = null) {
+  range = range || await defaultAuditRange(db);
+  if (!range) return null;
+
+  const startedAt = new Date();
+  const run = await db.query(`
+    INSERT INTO audit_runs (started_at, from_epoch, to_epoch, status) VALUES ($1, $2, $3, 'running') RETURNING id
+  `, [startedAt, range.from, range.to]);
+  const runId = Number(run.rows[0].id);
+
+  const findings = [];
+  const failures = {};
+  for (const check of CHECKS) {
+    try {
+      findings.push(...await check.run(db, range));
+    } catch (e) {
+      console.error(`❌ 稽核項目 ${check.name} 失敗: ${e.message}`);
+      failures[check.name] = e.message;
+    }
+  }
+
+  // 每項檢查只保存前 AUDIT_MAX_FINDINGS 筆明細，總數記在 summary
+  const checks = {};
+  const kept = [];
+  for (const f of findings) {
+    const c = checks[f.check] || (checks[f.check] = { severity: f.severity, count: 0 });
+    c.count++;
+    if (c.count <= AUDIT_MAX_FINDINGS) kept.push(f);
+  }
+  await saveFindings(db, runId, kept);
+
+  const totals = { error: 0, warning: 0, info: 0 };
+  for (const c of Object.values(checks)) totals[c.severity] += c.count;
+  let status = 'ok';
+  if (Object.keys(failures).length > 0) status = 'failed';
+  else if (totals.error > 0) status = 'error';
+  else if (totals.warning > 0) status = 'warning';
+
+  const finishedAt = new Date();
+  const summary = { checks, totals, failures };
+  await db.query(`
+    UPDATE audit_runs SET finished_at = $2, status = $3, summary = $4 WHERE id = $1
+  `, [runId, finishedAt, status, JSON.stringify(summary)]);
+
+  return {
+    run_id: runId,
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    from_epoch: range.from,
+    to_epoch: range.to,
+    status,
+    ...summary
+  };
+}
+
+/**
+ * 最近一次完成的稽核與其明細（供 HTTP 端點使用）
+ * @returns {Promise<{run: Object, findings: Object[]}|null>}
+ */
+async function getLatestAudit(db, { limit = 200, severity = null } = {}) {
+  const run = await db.query(`
+    SELECT * FROM audit_runs WHERE finished_at IS NOT NULL ORDER BY id DESC LIMIT 1
+  `);
+  if (run.rows.length === 0) return null;
+  const findings = await db.query(`
+    SELECT check_name, severity, epoch, entity, detail FROM audit_findings
+    WHERE run_id = $1 AND ($2::text IS NULL OR severity = $2)
+    ORDER BY CASE severity WHEN 'error' THEN 0 WHEN 'warning' THEN 1 ELSE 2 END, epoch DESC NULLS FIRST
+    LIMIT $3
+  `, [run.rows[0].id, severity, limit]);
+  return { run: run.rows[0], findings: findings.rows };
+}
+
+/**
+ * 發布稽核結果；latest_audit 鍵保存同一個信封，讀取端以 parseMessage 驗證
+ */
+async function publishAudit(redis, report) {
+  const envelope = buildMessage(AUDIT_CHANNEL, report, 'auditor');
+  if (!envelope) return;
+  const payload = JSON.stringify(envelope);
+  await redis.publish(AUDIT_CHANNEL, payload);
+  await redis.set(AUDIT_LATEST_KEY, payload, 'EX', 86400);
+}
+
+async function pruneAuditRuns(db) {
+  const res = await db.query(`
+    DELETE FROM audit_runs WHERE started_at < NOW() - make_interval(days => $1)
+  `, [AUDIT_RETENTION_DAYS]);
+  return res.rowCount;
+}
+
+function printAuditReport(report) {
+  console.log(`🩺 稽核 #${report.run_id} 局次 ${report.from_epoch}-${report.to_epoch}: ${report.status}` +
+    ` (error ${report.totals.error}, warning ${report.totals.warning}, info ${report.totals.info})`);
+  for (const [name, c] of Object.entries(report.checks)) {
+    console.log(`  ${c.severity === SEVERITY.ERROR ? '❌' : c.severity === SEVERITY.WARNING ? '⚠️' : 'ℹ️'} ${name}: ${c.count}`);
+  }
+  for (const [name, message] of Object.entries(report.failures)) {
+    console.log(`  💥 ${name} 執行失敗: ${message}`);
+  }
+}
+
+// ========================================
+// 服務 / 命令列
+// ========================================
+
+function parseRangeArg(arg) {
+  const m = String(arg).match(/^(\d+)-(\d+)$/);
+  if (!m || Number(m[2]) < Number(m[1])) throw new Error(`無效局次範圍: ${arg}（格式: 起-迄）`);
+  return { from: Number(m[1]), to: Number(m[2]) };
+}
+
+async function auditOnce(pool, redis, range = null) {
+  const report = await runAudit(pool, range);
+  if (!report) {
+    console.log('尚無已完成局次，略過稽核');
+    return null;
+  }
+  printAuditReport(report);
+  try {
+    await publishAudit(redis, report);
+  } catch (e) {
+    console.error('❌ 發布稽核結果失敗:', e.message);
+  }
+  return report;
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL");
+  if (!process.env.REDIS_URL) throw new Error("Missing REDIS_URL");
+
+  // server.js 只引用查詢函式，Redis 客戶端僅服務模式需要
+  const Redis = require("ioredis");
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, max: 2, statement_timeout: 300000 });
+  const redis = new Redis(process.env.REDIS_URL);
+  redis.on('error', (err) => console.error('Redis 錯誤:', err.message));
+  await ensureAuditTables(pool);
+
+  const [command, arg] = process.argv.slice(2);
+  if (command === 'run') {
+    const report = await auditOnce(pool, redis, arg ? parseRangeArg(arg) : null);
+    redis.disconnect();
+    await pool.end();
+    process.exit(report && report.status !== 'ok' && report.status !== 'warning' ? 1 : 0);
+  }
+  if (command) throw new Error(`未知指令: ${command}（用法: node auditor.js [run [起-迄]]）`);
+
+  console.log(`🩺 稽核服務啟動：每 ${AUDIT_INTERVAL_MS / 1000} 秒檢查最近 ${AUDIT_EPOCH_WINDOW} 局`);
+  while (true) {
+    try {
+      await auditOnce(pool, redis);
+      const pruned = await pruneAuditRuns(pool);
+      if (pruned > 0) console.log(`🧹 清除 ${pruned} 筆超過 ${AUDIT_RETENTION_DAYS} 天的稽核紀錄`);
+    } catch (e) {
+      console.error('❌ 稽核異常:', e.message);
+    }
+    await new Promise(resolve => setTimeout(resolve, AUDIT_INTERVAL_MS));
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(`❌ 稽核服務失敗: ${e.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SEVERITY,
+  AUDIT_CHANNEL,
+  AUDIT_LATEST_KEY,
+  ensureAuditTables,
+  runAudit,
+  getLatestAudit,
+};
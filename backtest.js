@@ -7,6 +7,8 @@ dotenv.config();
 
 const { Pool } = require("pg");
 const Redis = require("ioredis");
+const { CHANNELS, publishMessage, parseMessage } = require("./messages");
+const { isRefundResult } = require("./sync_core");
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -15,6 +17,37 @@ const pool = new Pool({
 
 const redis = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
 
+/**
+ * 依局次結果判定預測輸贏
+ * HOUSE（收盤價 = 鎖倉價）所有下注皆輸；CANCELLED / REFUNDABLE 全額退款，不計入勝負
+ * @returns {boolean|null}
+ */
+function evaluatePrediction(prediction, roundResult) {
+  if (!prediction || !roundResult || isRefundResult(roundResult)) return null;
+  if (roundResult === 'HOUSE') return false;
+  return prediction === roundResult;
+}
+
+async function getRoundOutcome(epoch) {
+  const res = await pool.query(`
+    SELECT result, up_payout, down_payout, reward_amount, reward_base_cal_amount
+    FROM round WHERE epoch = $1
+  `, [epoch]);
+  return res.rows[0] || null;
+}
+
+/**
+ * 以 1 單位下注計算單局損益，使用 round 的精確派彩數據（rewardAmount / rewardBaseCalAmount）
+ */
+function predictionProfit(prediction, round, isWin) {
+  if (isWin === null || !round) return 0;
+  if (!isWin) return -1;
+  const base = parseFloat(round.reward_base_cal_amount);
+  if (base > 0) return parseFloat(round.reward_amount) / base - 1;
+  const payout = parseFloat(prediction === 'UP' ? round.up_payout : round.down_payout);
+  return (payout || 0) - 1;
+}
+
 /**
  * 策略1：跟隨最高勝率錢包
  * 從 wallet_analysis 找最高勝率，再hisbet/realbet找下註方向
@@ -26,6 +59,7 @@ async function backtestFollowBest(startEpoch, rounds = 48) {
     wins: 0,
     losses: 0,
     winRate: 0,
+    profit: 0,
     history: []
   };
 
@@ -55,12 +89,13 @@ async function backtestFollowBest(startEpoch, rounds = 48) {
 
     // 步駟2: 查該錢包在該局的下註方向和結果（先查 hisbet，再查 realbet）
     let betQuery = await pool.query(`
-      SELECT bet_direction, result FROM hisbet 
+      SELECT bet_direction, result, payout_multiplier FROM hisbet 
       WHERE epoch = $1 AND wallet_address = $2 
       ORDER BY bet_time DESC LIMIT 1
     `, [epoch, wallet]);
 
     let actualResult = null;
+    let outcome = null;
     if (betQuery.rows.length === 0) {
       // hisbet 沒有，查 realbet（realbet 沒有 result 欄位，因為還沒結束）
       betQuery = await pool.query(`
@@ -70,13 +105,9 @@ async function backtestFollowBest(startEpoch, rounds = 48) {
       `, [epoch, wallet]);
       actualResult = null; // realbet 中的局次還沒結果
     } else {
-      // 從 hisbet 的 result 推算該局的真實結果
-      const bet = betQuery.rows[0];
-      if (bet.result === 'WIN') {
-        actualResult = bet.bet_direction; // 他壓對了，結果就是他壓的方向
-      } else if (bet.result === 'LOSS') {
-        actualResult = bet.bet_direction === 'UP' ? 'DOWN' : 'UP'; // 他壓錯了，結果是反向
-      }
+      // 直接取 round 的結果（HOUSE/CANCELLED/REFUNDABLE 無法從 WIN/LOSS 反推）
+      outcome = await getRoundOutcome(epoch);
+      actualResult = outcome?.result || null;
     }
 
     if (betQuery.rows.length === 0) {
@@ -90,19 +121,26 @@ async function backtestFollowBest(startEpoch, rounds = 48) {
     }
 
     const prediction = betQuery.rows[0].bet_direction;
-    const isWin = actualResult ? (prediction === actualResult) : null;
-
-    if (actualResult && isWin !== null) {
+    const isWin = evaluatePrediction(prediction, actualResult);
+    // 跟單的 1 單位損益即該筆下注已寫入的派彩倍率 - 1；未回補的舊資料才回頭用 round 計算
+    const multiplier = betQuery.rows[0].payout_multiplier;
+    const profit = isWin !== null && multiplier != null
+      ? parseFloat(multiplier) - 1
+      : predictionProfit(prediction, outcome, isWin);
+
+    if (isWin !== null) {
       results.total++;
       if (isWin) results.wins++;
       else results.losses++;
+      results.profit += profit;
     }
 
     results.history.push({
       epoch,
       prediction,
       result: actualResult,
-      isWin
+      isWin,
+      profit
     });
   }
 
@@ -120,6 +158,7 @@ async function backtestReverseLow(startEpoch, rounds = 48) {
     wins: 0,
     losses: 0,
     winRate: 0,
+    profit: 0,
     history: []
   };
 
@@ -155,6 +194,7 @@ async function backtestReverseLow(startEpoch, rounds = 48) {
     `, [epoch, wallet]);
 
     let actualResult = null;
+    let outcome = null;
     if (betQuery.rows.length === 0) {
       betQuery = await pool.query(`
         SELECT bet_direction FROM realbet 
@@ -163,12 +203,8 @@ async function backtestReverseLow(startEpoch, rounds = 48) {
       `, [epoch, wallet]);
       actualResult = null;
     } else {
-      const bet = betQuery.rows[0];
-      if (bet.result === 'WIN') {
-        actualResult = bet.bet_direction;
-      } else if (bet.result === 'LOSS') {
-        actualResult = bet.bet_direction === 'UP' ? 'DOWN' : 'UP';
-      }
+      outcome = await getRoundOutcome(epoch);
+      actualResult = outcome?.result || null;
     }
 
     if (betQuery.rows.length === 0) {
@@ -183,19 +219,22 @@ async function backtestReverseLow(startEpoch, rounds = 48) {
 
     const originalDirection = betQuery.rows[0].bet_direction;
     const reversePrediction = originalDirection === 'UP' ? 'DOWN' : 'UP';
-    const isWin = actualResult ? (reversePrediction === actualResult) : null;
+    const isWin = evaluatePrediction(reversePrediction, actualResult);
+    const profit = predictionProfit(reversePrediction, outcome, isWin);
 
-    if (actualResult && isWin !== null) {
+    if (isWin !== null) {
       results.total++;
       if (isWin) results.wins++;
       else results.losses++;
+      results.profit += profit;
     }
 
     results.history.push({
       epoch,
       prediction: reversePrediction,
       result: actualResult,
-      isWin
+      isWin,
+      profit
     });
   }
 
@@ -214,6 +253,7 @@ async function backtestMomentumStrategy(startEpoch, rounds = 48) {
     wins: 0,
     losses: 0,
     winRate: 0,
+    profit: 0,
     history: []
   };
 
@@ -223,7 +263,8 @@ async function backtestMomentumStrategy(startEpoch, rounds = 48) {
     try {
       // 獲取該局的基本信息
       const currentRound = await pool.query(`
-        SELECT result, up_bet_amount, down_bet_amount, total_bet_amount, lock_price, close_price
+        SELECT result, up_bet_amount, down_bet_amount, total_bet_amount, lock_price, close_price,
+               up_payout, down_payout, reward_amount, reward_base_cal_amount
         FROM round WHERE epoch = $1
       `, [epoch]);
 
@@ -251,7 +292,7 @@ async function backtestMomentumStrategy(startEpoch, rounds = 48) {
                THEN (close_price::float - lock_price::float) / lock_price::float 
                ELSE 0 END as price_change
         FROM round 
-        WHERE epoch BETWEEN $1 AND $2 AND result IS NOT NULL
+        WHERE epoch BETWEEN $1 AND $2 AND result IN ('UP', 'DOWN')
         ORDER BY epoch DESC
       `, [epoch - 5, epoch - 1]);
 
@@ -268,13 +309,17 @@ async function backtestMomentumStrategy(startEpoch, rounds = 48) {
       // 計算動量指標
       const prediction = calculateMomentumPrediction(trendAnalysis.rows, round);
       const actualResult = round.result;
-      const isWin = (prediction === actualResult);
-
-      results.total++;
-      if (isWin) {
-        results.wins++;
-      } else {
-        results.losses++;
+      const isWin = evaluatePrediction(prediction, actualResult);
+      const profit = predictionProfit(prediction, round, isWin);
+
+      if (isWin !== null) {
+        results.total++;
+        if (isWin) {
+          results.wins++;
+        } else {
+          results.losses++;
+        }
+        results.profit += profit;
       }
 
       // 記錄歷史
@@ -282,7 +327,8 @@ async function backtestMomentumStrategy(startEpoch, rounds = 48) {
         epoch,
         prediction,
         result: actualResult,
-        isWin
+        isWin,
+        profit
       });
 
     } catch (error) {
@@ -453,7 +499,7 @@ async function generateRealTimePredictions(currentEpoch) {
                THEN (close_price::float - lock_price::float) / lock_price::float 
                ELSE 0 END as price_change
         FROM round 
-        WHERE epoch BETWEEN $1 AND $2 AND result IS NOT NULL
+        WHERE epoch BETWEEN $1 AND $2 AND result IN ('UP', 'DOWN')
         ORDER BY epoch DESC
       `, [currentEpoch - 5, currentEpoch - 1]);
 
@@ -533,7 +579,7 @@ async function generateRealTimePredictions(currentEpoch) {
   console.log(`🔮 實時預測結果: follow_best=${predictions.strategies.follow_best?.prediction || 'N/A'}, reverse_low=${predictions.strategies.reverse_low?.prediction || 'N/A'}, momentum=${predictions.strategies.momentum?.prediction || 'N/A'}`);
   
   // 發布預測到 Redis
-  await redis.publish('live_predictions', JSON.stringify(predictions));
+  await publishMessage(redis, CHANNELS.LIVE_PREDICTIONS, predictions, 'backtest');
   await redis.set('latest_predictions', JSON.stringify(predictions), 'EX', 1800);
 
   return predictions;
@@ -567,7 +613,8 @@ let liveAgg = {
   avgHistUpRatio: null,
   avgHistVolume: null,
   finalTimer: null,
-  series: [] // { t: ms, upRatio: number, total: number }
+  series: [], // { t: ms, upRatio: number, total: number }
+  pending: new Map() // tx_hash -> { direction, amount }：mempool 待確認下注，與已上鏈金額分開累計
 };
 
 function resetLiveAgg(epoch) {
@@ -588,10 +635,22 @@ function resetLiveAgg(epoch) {
     avgHistUpRatio: null,
     avgHistVolume: null,
     finalTimer: null,
-    series: []
+    series: [],
+    pending: new Map()
   };
 }
 
+/**
+ * 當局待確認下注彙總（未計入 up / down）
+ */
+function pendingSummary() {
+  let up = 0, down = 0;
+  for (const p of liveAgg.pending.values()) {
+    if (p.direction === 'UP') up += p.amount; else down += p.amount;
+  }
+  return { up: Number(up.toFixed(8)), down: Number(down.toFixed(8)), count: liveAgg.pending.size };
+}
+
 async function initEpochContext(epoch) {
   if (liveAgg.epoch !== epoch) resetLiveAgg(epoch);
 
@@ -615,6 +674,15 @@ async function initEpochContext(epoch) {
     console.error('❌ 初始化當局下注總額失敗:', e.message);
   }
 
+  try {
+    const pending = await pool.query(`
+      SELECT tx_hash, bet_direction, bet_amount::float AS amount FROM pending_bet WHERE epoch = $1
+    `, [epoch]);
+    liveAgg.pending = new Map(pending.rows.map(r => [r.tx_hash, { direction: r.bet_direction, amount: r.amount }]));
+  } catch (e) {
+    console.error('❌ 初始化當局待確認下注失敗:', e.message);
+  }
+
   // 取得最近5局的歷史特徵（只用已結束）
   try {
     const trend = await pool.query(`
@@ -629,7 +697,7 @@ async function initEpochContext(epoch) {
              THEN (close_price::float - lock_price::float) / lock_price::float 
              ELSE 0 END as price_change
       FROM round 
-      WHERE epoch BETWEEN $1 AND $2 AND result IS NOT NULL
+      WHERE epoch BETWEEN $1 AND $2 AND result IN ('UP', 'DOWN')
       ORDER BY epoch DESC
     `, [epoch - 5, epoch - 1]);
     liveAgg.histRows = trend.rows;
@@ -725,6 +793,7 @@ async function maybePublishLivePrediction({ force = false, final = false } = {})
     timestamp: new Date().toISOString(),
     version: ++liveAgg.version,
     final: !!final,
+    pending: pendingSummary(),
     strategies: {
       momentum: {
         name: '時間序列動量',
@@ -742,7 +811,7 @@ async function maybePublishLivePrediction({ force = false, final = false } = {})
     }
   };
 
-  await redis.publish('live_predictions', JSON.stringify(predictions));
+  await publishMessage(redis, CHANNELS.LIVE_PREDICTIONS, predictions, 'backtest');
   await redis.set('latest_predictions', JSON.stringify(predictions), 'EX', 1800);
 
   liveAgg.lastPublishTs = now;
@@ -755,9 +824,8 @@ async function scheduleFinalPrediction(epoch) {
   try {
     const res = await pool.query('SELECT lock_time FROM round WHERE epoch = $1', [epoch]);
     if (!res.rows.length || !res.rows[0].lock_time) return;
-    const lockTimeStr = res.rows[0].lock_time;
-    const lockMs = new Date(lockTimeStr).getTime();
-    if (isNaN(lockMs)) return;
+    // lock_time 為 TIMESTAMPTZ，pg 直接回傳 Date
+    const lockMs = res.rows[0].lock_time.getTime();
     const now = Date.now();
     const delay = Math.max(0, lockMs - now - DYNAMIC_CONFIG.finalAdvanceMs);
     if (delay < 500) {
@@ -798,6 +866,7 @@ async function runAllBacktests(currentEpoch) {
         winRate: parseFloat(followBest.winRate),
         wins: followBest.wins,
         total: followBest.total,
+        profit: Number(followBest.profit.toFixed(4)), // 每局 1 單位下注的累計損益
         history: followBest.history // 新增：每局詳細記錄
       },
       reverse_low: {
@@ -805,6 +874,7 @@ async function runAllBacktests(currentEpoch) {
         winRate: parseFloat(reverseLow.winRate),
         wins: reverseLow.wins,
         total: reverseLow.total,
+        profit: Number(reverseLow.profit.toFixed(4)),
         history: reverseLow.history
       },
       momentum: {
@@ -812,6 +882,7 @@ async function runAllBacktests(currentEpoch) {
         winRate: parseFloat(momentum.winRate),
         wins: momentum.wins,
         total: momentum.total,
+        profit: Number(momentum.profit.toFixed(4)),
         history: momentum.history
       }
     }
@@ -820,7 +891,7 @@ async function runAllBacktests(currentEpoch) {
   console.log(`📊 回測結果: follow_best=${summary.strategies.follow_best.winRate}%, reverse_low=${summary.strategies.reverse_low.winRate}%, momentum=${summary.strategies.momentum.winRate}%, history長度=${summary.strategies.momentum.history.length}`);
 
   // 發布到 Redis
-  await redis.publish('backtest_results', JSON.stringify(summary));
+  await publishMessage(redis, CHANNELS.BACKTEST_RESULTS, summary, 'backtest');
   await redis.set('latest_backtest', JSON.stringify(summary), 'EX', 3600);
 
   // 同時生成對當前局的實時預測
@@ -836,28 +907,30 @@ async function runAllBacktests(currentEpoch) {
   // 訂閱新局次更新
   const subscriber = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
 
-  subscriber.subscribe('round_update_channel', (err) => {
+  subscriber.subscribe(CHANNELS.ROUND_UPDATE, (err) => {
     if (err) {
       console.error('❌ 訂閱失敗:', err);
     } else {
-      console.log('✅ 已訂閱 round_update_channel');
+      console.log(`✅ 已訂閱 ${CHANNELS.ROUND_UPDATE}`);
     }
   });
-  subscriber.subscribe('instant_bet_channel', (err) => {
+  subscriber.subscribe(CHANNELS.INSTANT_BET, CHANNELS.PENDING_BET, (err) => {
     if (err) {
-      console.error('❌ 訂閱 instant_bet_channel 失敗:', err);
+      console.error(`❌ 訂閱 ${CHANNELS.INSTANT_BET}, ${CHANNELS.PENDING_BET} 失敗:`, err);
     } else {
-      console.log('✅ 已訂閱 instant_bet_channel');
+      console.log(`✅ 已訂閱 ${CHANNELS.INSTANT_BET}, ${CHANNELS.PENDING_BET}`);
     }
   });
 
   let latestProcessedEpoch = null;
 
   subscriber.on('message', async (channel, message) => {
-    if (channel === 'round_update_channel') {
+    if (channel === CHANNELS.ROUND_UPDATE) {
       try {
-        const data = JSON.parse(message);
-        const epoch = Number(data.epoch);
+        const data = parseMessage(CHANNELS.ROUND_UPDATE, message);
+        // 只有進行中的局次才開啟新的預測上下文；鎖定 / 結算 / 同步事件略過
+        if (!data || data.status !== 'LIVE') return;
+        const epoch = data.epoch;
 
         // 初始化本局上下文與 final 排程
         await initEpochContext(epoch);
@@ -872,12 +945,11 @@ async function runAllBacktests(currentEpoch) {
       } catch (err) {
         console.error('❌ 處理訊息失敗:', err.message);
       }
-    } else if (channel === 'instant_bet_channel') {
+    } else if (channel === CHANNELS.INSTANT_BET) {
       try {
-        const payload = JSON.parse(message);
-        if (payload.type === 'instant_bet' && payload.data) {
-          const bet = payload.data;
-          const epoch = Number(bet.epoch);
+        const bet = parseMessage(CHANNELS.INSTANT_BET, message);
+        if (bet) {
+          const epoch = bet.epoch;
           if (!liveAgg.epoch || epoch > liveAgg.epoch) {
             await initEpochContext(epoch);
           }
@@ -885,17 +957,23 @@ async function runAllBacktests(currentEpoch) {
             // 舊局次，忽略
             return;
           }
-          const amt = parseFloat(bet.bet_amount || bet.amount || '0');
-          if (!isNaN(amt) && amt > 0) {
-            if (bet.bet_direction === 'UP') liveAgg.up += amt; else if (bet.bet_direction === 'DOWN') liveAgg.down += amt;
-            liveAgg.total = liveAgg.up + liveAgg.down;
-            // 嘗試依門檻發佈
-            await maybePublishLivePrediction();
-          }
+          if (bet.bet_direction === 'UP') liveAgg.up += bet.bet_amount; else liveAgg.down += bet.bet_amount;
+          liveAgg.total = liveAgg.up + liveAgg.down;
+          // 嘗試依門檻發佈
+          await maybePublishLivePrediction();
         }
       } catch (err) {
         console.error('❌ 處理 instant_bet 訊息失敗:', err.message);
       }
+    } else if (channel === CHANNELS.PENDING_BET) {
+      // 待確認下注只影響 liveAgg.pending；上鏈後的金額由 instant_bet 計入 up / down
+      const pending = parseMessage(CHANNELS.PENDING_BET, message);
+      if (!pending || pending.epoch !== liveAgg.epoch) return;
+      if (pending.status === 'pending') {
+        liveAgg.pending.set(pending.tx_hash, { direction: pending.bet_direction, amount: pending.bet_amount });
+      } else {
+        liveAgg.pending.delete(pending.tx_hash);
+      }
     }
   });
 
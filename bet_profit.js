@@ -0,0 +1,188 @@
+/**
+ * 下注損益 - 同步寫入 hisbet 時一併寫入派彩倍率、總回收與淨損益，並彙總為 wallet_epoch_result
+ * hisbet.js 與 gk_hisbet.js 共用；舊資料以 backfillProfit 補齊；wallets 維度表隨 wallet_epoch_result 增量更新
+ *
+ * 單筆下注：
+ *   WIN     payout_multiplier = 該方派彩倍率（rewardAmount / 該方金額）
+ *   LOSS    payout_multiplier = 0（HOUSE 局雙方皆 LOSS）
+ *   REFUND  payout_multiplier = 1（取消局全額退款）
+ *   gross_return = bet_amount × payout_multiplier，net_profit = gross_return - bet_amount
+ */
+
+const { ensureWalletsSchema, removeWalletEpochs, addWalletEpochs } = require("./wallets");
+
+/**
+ * 新增 hisbet 損益欄位與 wallet_epoch_result / wallets 表
+ * @param {import('pg').Pool} db
+ */
+async function ensureProfitSchema(db) {
+  await db.query(`
+    ALTER TABLE hisbet
+      ADD COLUMN IF NOT EXISTS payout_multiplier NUMERIC(20, 10),
+      ADD COLUMN IF NOT EXISTS gross_return NUMERIC(20, 8),
+      ADD COLUMN IF NOT EXISTS net_profit NUMERIC(20, 8)
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS wallet_epoch_result (
+      wallet_address TEXT NOT NULL,
+      epoch BIGINT NOT NULL,
+      bet_count INT NOT NULL,
+      up_amount NUMERIC(20, 8) NOT NULL,
+      down_amount NUMERIC(20, 8) NOT NULL,
+      total_amount NUMERIC(20, 8) NOT NULL,
+      largest_bet NUMERIC(20, 8) NOT NULL,
+      wins INT NOT NULL,
+      losses INT NOT NULL,
+      gross_return NUMERIC(20, 8),
+      net_profit NUMERIC(20, 8),
+      result TEXT NOT NULL,
+      PRIMARY KEY (wallet_address, epoch)
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_wallet_epoch_result_epoch ON wallet_epoch_result (epoch)');
+  await upgradeWalletEpochResult(db);
+  await ensureWalletsSchema(db);
+}
+
+/**
+ * 舊版 wallet_epoch_result 沒有 largest_bet / wins / losses：補上欄位並依 hisbet 回填後再設為 NOT NULL
+ * （hisbet 已無對應下注的列填 0）
+ */
+async function upgradeWalletEpochResult(db) {
+  await db.query(`
+    ALTER TABLE wallet_epoch_result
+      ADD COLUMN IF NOT EXISTS largest_bet NUMERIC(20, 8),
+      ADD COLUMN IF NOT EXISTS wins INT,
+      ADD COLUMN IF NOT EXISTS losses INT
+  `);
+  await db.query(`
+    UPDATE wallet_epoch_result w SET largest_bet = x.largest_bet, wins = x.wins, losses = x.losses
+    FROM (
+      SELECT h.wallet_address, h.epoch, MAX(h.bet_amount) AS largest_bet,
+        COUNT(*) FILTER (WHERE h.result = 'WIN') AS wins, COUNT(*) FILTER (WHERE h.result = 'LOSS') AS losses
+      FROM hisbet h
+      WHERE h.epoch IN (SELECT epoch FROM wallet_epoch_result WHERE largest_bet IS NULL OR wins IS NULL OR losses IS NULL)
+      GROUP BY h.wallet_address, h.epoch
+    ) x
+    WHERE (w.largest_bet IS NULL OR w.wins IS NULL OR w.losses IS NULL)
+      AND w.wallet_address = x.wallet_address AND w.epoch = x.epoch
+  `);
+  await db.query(`
+    UPDATE wallet_epoch_result SET
+      largest_bet = COALESCE(largest_bet, 0), wins = COALESCE(wins, 0), losses = COALESCE(losses, 0)
+    WHERE largest_bet IS NULL OR wins IS NULL OR losses IS NULL
+  `);
+  await db.query(`
+    ALTER TABLE wallet_epoch_result
+      ALTER COLUMN largest_bet SET NOT NULL,
+      ALTER COLUMN wins SET NOT NULL,
+      ALTER COLUMN losses SET NOT NULL
+  `);
+}
+
+/**
+ * 單筆下注損益
+ * @param {string} result - WIN | LOSS | REFUND
+ * @param {string} direction - UP | DOWN
+ * @param {number|string} amount - 下注金額（BNB）
+ * @param {{up_payout: string, down_payout: string}} round
+ * @returns {{payout_multiplier: string, gross_return: string, net_profit: string}}
+ */
+function betProfit(result, direction, amount, round) {
+  let multiplier = 0;
+  if (result === 'WIN') multiplier = Number(direction === 'UP' ? round.up_payout : round.down_payout) || 0;
+  else if (result === 'REFUND') multiplier = 1;
+
+  const gross = (Number(amount) * multiplier).toFixed(8);
+  return {
+    payout_multiplier: multiplier.toFixed(10),
+    gross_return: gross,
+    net_profit: (Number(gross) - Number(amount)).toFixed(8)
+  };
+}
+
+/**
+ * 依 hisbet 重建指定局次的錢包彙總並同步更新 wallets；同局多筆下注合併，結果不一致時為 MIXED
+ * @returns {Promise<number>} 寫入筆數
+ */
+async function rebuildWalletEpochResults(epochs, client) {
+  if (epochs.length === 0) return 0;
+  const removed = await removeWalletEpochs(epochs, client);
+  const res = await client.query(`
+    INSERT INTO wallet_epoch_result (wallet_address, epoch, bet_count, up_amount, down_amount, total_amount,
+      largest_bet, wins, losses, gross_return, net_profit, result)
+    SELECT wallet_address, epoch, COUNT(*),
+      COALESCE(SUM(bet_amount) FILTER (WHERE bet_direction = 'UP'), 0),
+      COALESCE(SUM(bet_amount) FILTER (WHERE bet_direction = 'DOWN'), 0),
+      SUM(bet_amount), MAX(bet_amount),
+      COUNT(*) FILTER (WHERE result = 'WIN'), COUNT(*) FILTER (WHERE result = 'LOSS'),
+      SUM(gross_return), SUM(net_profit),
+      CASE WHEN COUNT(DISTINCT result) = 1 THEN MIN(result) ELSE 'MIXED' END
+    FROM hisbet
+    WHERE epoch = ANY($1::bigint[])
+    GROUP BY wallet_address, epoch
+  `, [epochs]);
+  await addWalletEpochs(epochs, removed, client);
+  return res.rowCount;
+}
+
+/**
+ * 補齊舊資料的損益欄位並重建 wallet_epoch_result；每批在單一交易內完成，可重複執行
+ * @param {import('pg').Pool} db
+ * @param {{from?: number, to?: number, batchEpochs?: number, log?: (msg: string) => void}} options
+ * @returns {Promise<{bets: number, walletEpochs: number}>}
+ */
+async function backfillProfit(db, { from = null, to = null, batchEpochs = 5000, log = console.log } = {}) {
+  const bounds = await db.query('SELECT MIN(epoch) AS min_epoch, MAX(epoch) AS max_epoch FROM hisbet');
+  if (bounds.rows[0].min_epoch === null) return { bets: 0, walletEpochs: 0 };
+  from = from ?? Number(bounds.rows[0].min_epoch);
+  to = to ?? Number(bounds.rows[0].max_epoch);
+
+  const total = { bets: 0, walletEpochs: 0 };
+  for (let start = from; start <= to; start += batchEpochs) {
+    const end = Math.min(to, start + batchEpochs - 1);
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const res = await client.query(`
+        WITH m AS (
+          SELECT h.tx_hash, h.bet_time,
+            CASE h.result
+              WHEN 'WIN' THEN COALESCE(CASE WHEN h.bet_direction = 'UP' THEN r.up_payout ELSE r.down_payout END, 0)
+              WHEN 'REFUND' THEN 1
+              ELSE 0
+            END AS multiplier
+          FROM hisbet h
+          JOIN round r ON r.epoch = h.epoch
+          WHERE h.epoch BETWEEN $1 AND $2 AND h.net_profit IS NULL AND r.result IS NOT NULL
+        )
+        UPDATE hisbet h SET
+          payout_multiplier = m.multiplier,
+          gross_return = ROUND(h.bet_amount * m.multiplier, 8),
+          net_profit = ROUND(h.bet_amount * m.multiplier, 8) - h.bet_amount
+        FROM m
+        WHERE h.epoch BETWEEN $1 AND $2 AND h.tx_hash = m.tx_hash AND h.bet_time = m.bet_time
+      `, [start, end]);
+      const epochs = Array.from({ length: end - start + 1 }, (_, i) => start + i);
+      const walletEpochs = await rebuildWalletEpochResults(epochs, client);
+      await client.query('COMMIT');
+
+      total.bets += res.rowCount;
+      total.walletEpochs += walletEpochs;
+      log(`局次 ${start}-${end}: 補齊 ${res.rowCount} 筆下注，彙總 ${walletEpochs} 筆錢包局次`);
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+  return total;
+}
+
+module.exports = {
+  ensureProfitSchema,
+  betProfit,
+  rebuildWalletEpochResults,
+  backfillProfit,
+};
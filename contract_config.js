@@ -0,0 +1,148 @@
+/**
+ * 合約設定歷史 - 由 hisbet.js 的設定索引線寫入 contract_config_history，
+ * 提供「某局當時的手續費 / buffer / 最低下注」查詢給 server.js、trader.js 與同步流程共用
+ */
+
+const { ethers } = require("ethers");
+
+// 需要索引的管理事件（StartRound 只用來判定無 epoch 參數事件的局次）
+const CONFIG_EVENTS = [
+  'Pause',
+  'Unpause',
+  'NewBufferAndIntervalSeconds',
+  'NewMinBetAmount',
+  'NewOracle',
+  'NewOperatorAddress',
+  'NewTreasuryFee'
+];
+
+/**
+ * 將事件參數轉為可存入 JSONB 的物件
+ * @param {import('ethers').EventLog} log
+ */
+function configEventParams(log) {
+  const a = log.args;
+  switch (log.eventName) {
+    case 'NewBufferAndIntervalSeconds':
+      return { bufferSeconds: Number(a.bufferSeconds), intervalSeconds: Number(a.intervalSeconds) };
+    case 'NewMinBetAmount':
+      return { minBetAmount: ethers.formatEther(a.minBetAmount) };
+    case 'NewOracle':
+      return { oracle: a.oracle.toLowerCase() };
+    case 'NewOperatorAddress':
+      return { operator: a.operator.toLowerCase() };
+    case 'NewTreasuryFee':
+      return { treasuryFee: Number(a.treasuryFee) };
+    default:
+      return {};
+  }
+}
+
+/**
+ * 依序套用一筆設定紀錄（Snapshot 為索引起點的完整狀態）
+ */
+function applyConfigRow(config, row) {
+  const p = row.params || {};
+  switch (row.event_name) {
+    case 'Snapshot':
+      Object.assign(config, {
+        treasuryFee: p.treasuryFee ?? config.treasuryFee,
+        bufferSeconds: p.bufferSeconds ?? config.bufferSeconds,
+        intervalSeconds: p.intervalSeconds ?? config.intervalSeconds,
+        minBetAmount: p.minBetAmount ?? config.minBetAmount,
+        oracle: p.oracle ?? config.oracle,
+        operator: p.operator ?? config.operator,
+        paused: p.paused ?? config.paused
+      });
+      break;
+    case 'Pause':
+      config.paused = true;
+      config.pausedAtEpoch = Number(row.epoch);
+      break;
+    case 'Unpause':
+      config.paused = false;
+      config.unpausedAtEpoch = Number(row.epoch);
+      break;
+    case 'NewBufferAndIntervalSeconds':
+      config.bufferSeconds = p.bufferSeconds;
+      config.intervalSeconds = p.intervalSeconds;
+      break;
+    case 'NewMinBetAmount':
+      config.minBetAmount = p.minBetAmount;
+      break;
+    case 'NewOracle':
+      config.oracle = p.oracle;
+      break;
+    case 'NewOperatorAddress':
+      config.operator = p.operator;
+      break;
+    case 'NewTreasuryFee':
+      config.treasuryFee = p.treasuryFee;
+      break;
+  }
+}
+
+/**
+ * 查詢指定局次當時的合約設定；索引尚未涵蓋的欄位為 null
+ * @param {import('pg').Pool} db
+ * @param {number} epoch
+ */
+async function getContractConfigAtEpoch(db, epoch) {
+  const res = await db.query(`
+    SELECT epoch, block_number, event_name, params
+    FROM contract_config_history
+    WHERE epoch <= $1
+    ORDER BY block_number, log_index
+  `, [epoch]);
+
+  const config = {
+    epoch,
+    treasuryFee: null,
+    bufferSeconds: null,
+    intervalSeconds: null,
+    minBetAmount: null,
+    oracle: null,
+    operator: null,
+    paused: false,
+    pausedAtEpoch: null,
+    unpausedAtEpoch: null
+  };
+  for (const row of res.rows) applyConfigRow(config, row);
+  return config;
+}
+
+/**
+ * 找出影響指定局次的暫停事件
+ * 在 currentEpoch = P 時暫停，P（已開局未鎖倉）與 P-1（已鎖倉未結束）都不會結算
+ * @returns {Promise<{pauseEpoch: number, pauseBlock: number, unpauseEpoch: number|null, unpauseBlock: number|null}|null>}
+ */
+async function getPauseAffectingEpoch(db, epoch) {
+  const res = await db.query(`
+    SELECT p.epoch AS pause_epoch, p.block_number AS pause_block,
+           u.epoch AS unpause_epoch, u.block_number AS unpause_block
+    FROM contract_config_history p
+    LEFT JOIN LATERAL (
+      SELECT epoch, block_number FROM contract_config_history
+      WHERE event_name = 'Unpause' AND block_number > p.block_number
+      ORDER BY block_number LIMIT 1
+    ) u ON TRUE
+    WHERE p.event_name = 'Pause' AND p.epoch BETWEEN $1 AND $1 + 1
+    ORDER BY p.block_number DESC
+    LIMIT 1
+  `, [epoch]);
+  if (res.rows.length === 0) return null;
+  const r = res.rows[0];
+  return {
+    pauseEpoch: Number(r.pause_epoch),
+    pauseBlock: Number(r.pause_block),
+    unpauseEpoch: r.unpause_epoch === null ? null : Number(r.unpause_epoch),
+    unpauseBlock: r.unpause_block === null ? null : Number(r.unpause_block)
+  };
+}
+
+module.exports = {
+  CONFIG_EVENTS,
+  configEventParams,
+  getContractConfigAtEpoch,
+  getPauseAffectingEpoch,
+};
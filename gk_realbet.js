@@ -7,6 +7,8 @@ const { ethers } = require("ethers");
 const { Pool } = require("pg");
 const { createClient } = require("ioredis");
 const fs = require("fs");
+const { CHANNELS, publishMessage } = require("./messages");
+const { ensureRoundSchema, oracleId } = require("./sync_core");
 
 // 1. GENKIT INITIALIZATION
 // ========================================
@@ -29,6 +31,18 @@ if (!process.env.REDIS_URL) throw new Error("Missing REDIS_URL");
 const WSS_URL = process.env.WSS_URL;
 const CONTRACT_ADDR = process.env.CONTRACT_ADDR;
 const CONTRACT_ABI = JSON.parse(fs.readFileSync("./abi.json", "utf8"));
+const LISTENER_CHECKPOINT_NAME = 'realbet_listener';
+const BACKFILL_CHUNK_BLOCKS = parseInt(process.env.REALBET_BACKFILL_CHUNK_BLOCKS) || 2000;
+const BACKFILL_MAX_BLOCKS = parseInt(process.env.REALBET_BACKFILL_MAX_BLOCKS) || 20000;
+const BACKFILL_RETRY_MS = parseInt(process.env.REALBET_BACKFILL_RETRY_MS) || 30000;
+// 即時寫入微批次：最多 N 筆或等待 N 毫秒後整批寫入，佇列上限觸發背壓
+const REALBET_BATCH_MAX_ROWS = parseInt(process.env.REALBET_BATCH_MAX_ROWS) || 50;
+const REALBET_BATCH_WAIT_MS = parseInt(process.env.REALBET_BATCH_WAIT_MS) || 20;
+const REALBET_QUEUE_MAX = parseInt(process.env.REALBET_QUEUE_MAX) || 2000;
+// Mempool 待確認下注（選用，節點需支援 newPendingTransactions 訂閱）
+const PENDING_BETS_ENABLED = process.env.PENDING_BETS_ENABLED === 'true';
+const PENDING_BET_TTL_SECONDS = parseInt(process.env.PENDING_BET_TTL_SECONDS) || 120;
+const PENDING_MAX_INFLIGHT = parseInt(process.env.PENDING_MAX_INFLIGHT) || 50;
 
 // Shared DB Pool
 const pool = new Pool({ 
@@ -52,7 +66,7 @@ redisPublisher.on('error', (err) => console.error('Redis Publisher Error:', err.
 
 const BetDataSchema = z.object({
   epoch: z.number(),
-  bet_time: z.string(),
+  bet_time: z.number().int(), // 區塊 Unix 秒
   wallet_address: z.string(),
   bet_direction: z.string(),
   bet_amount: z.number(),
@@ -60,56 +74,74 @@ const BetDataSchema = z.object({
   tx_hash: z.string(),
 });
 
-const realtimeBetFlow = ai.defineFlow(
+const realtimeBetBatchFlow = ai.defineFlow(
   {
-    name: "realtimeBetFlow",
-    inputSchema: BetDataSchema,
-    outputSchema: z.object({ success: z.boolean(), tx_hash: z.string() }),
+    name: "realtimeBetBatchFlow",
+    inputSchema: z.object({ bets: z.array(BetDataSchema) }),
+    outputSchema: z.object({ inserted: z.array(z.string()), duplicates: z.array(z.string()) }),
   },
-  async (bet) => {
+  async ({ bets }) => {
     const client = await pool.connect();
     try {
-      const query = `
+      const v = [], p = [];
+      let i = 1;
+      for (const bet of bets) {
+        v.push(`($${i},to_timestamp($${i+1}),$${i+2},$${i+3},$${i+4},$${i+5},$${i+6})`);
+        p.push(bet.epoch, bet.bet_time, bet.wallet_address, bet.bet_direction, bet.bet_amount, bet.block_number, bet.tx_hash);
+        i += 7;
+      }
+      const res = await client.query(`
         INSERT INTO realbet(epoch, bet_time, wallet_address, bet_direction, bet_amount, block_number, tx_hash)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        VALUES ${v.join(',')}
         ON CONFLICT (bet_time, tx_hash) DO NOTHING
-      `;
-      const params = [
-        bet.epoch,
-        bet.bet_time,
-        bet.wallet_address,
-        bet.bet_direction,
-        bet.bet_amount,
-        bet.block_number,
-        bet.tx_hash,
-      ];
-      
-      await client.query(query, params);
-      console.log(`[Genkit Flow] 💾 資料庫寫入成功: ${bet.tx_hash}`);
-      
-      // 🚀 推送到前端 (Redis Pub/Sub)
-      const frontendData = {
-        type: 'realtime_bet',
-        timestamp: new Date().toISOString(),
-        data: {
+        RETURNING tx_hash
+      `, p);
+      const inserted = new Set(res.rows.map(r => r.tx_hash));
+
+      // 已上鏈：移除對應的待確認下注並通知訂閱端
+      const promoted = await client.query(`
+        DELETE FROM pending_bet WHERE tx_hash = ANY($1)
+        RETURNING epoch, wallet_address, bet_direction, bet_amount, tx_hash, first_seen
+      `, [bets.map(b => b.tx_hash)]);
+      for (const row of promoted.rows) {
+        const bet = bets.find(b => b.tx_hash === row.tx_hash);
+        const leadSeconds = bet.bet_time - row.first_seen.getTime() / 1000;
+        console.log(`[Genkit Flow] ✅ 待確認下注已上鏈: ${row.tx_hash}（提前 ${leadSeconds.toFixed(1)} 秒看到）`);
+        await publishPendingBet(row, 'confirmed');
+      }
+
+      console.log(`[Genkit Flow] 💾 資料庫批次寫入成功: ${inserted.size}/${bets.length} 筆`);
+
+      // 🚀 逐筆推送到 server（前端）與 backtest (Redis Pub/Sub)，欄位與 realbet 資料列一致
+      // 重連補抓時重播到已寫入的下注不會出現在 RETURNING，不重複推送
+      const published = new Set();
+      for (const bet of bets) {
+        if (!inserted.has(bet.tx_hash) || published.has(bet.tx_hash)) continue;
+        published.add(bet.tx_hash);
+        const instantBet = {
           epoch: bet.epoch,
-          direction: bet.bet_direction,
-          amount: bet.bet_amount,
-          wallet: bet.wallet_address.toLowerCase(),
-          tx_hash: bet.tx_hash,
-          block_number: bet.block_number
+          bet_time: new Date(bet.bet_time * 1000).toISOString(),
+          wallet_address: bet.wallet_address.toLowerCase(),
+          bet_direction: bet.bet_direction,
+          bet_amount: bet.bet_amount,
+          block_number: bet.block_number,
+          tx_hash: bet.tx_hash
+        };
+
+        try {
+          if (await publishMessage(redisPublisher, CHANNELS.INSTANT_BET, instantBet, 'gk_realbet')) {
+            console.log(`[Genkit Flow] 📡 前端推送成功: ${bet.bet_direction} ${bet.bet_amount} BNB`);
+          }
+        } catch (publishError) {
+          console.error(`[Genkit Flow] ⚠️ 前端推送失敗:`, publishError.message);
+          // 不影響主流程，繼續執行
         }
-      };
-      
-      try {
-        await redisPublisher.publish('realtime_bets_channel', JSON.stringify(frontendData));
-        console.log(`[Genkit Flow] 📡 前端推送成功: ${bet.bet_direction} ${bet.bet_amount} BNB`);
-      } catch (publishError) {
-        console.error(`[Genkit Flow] ⚠️ 前端推送失敗:`, publishError.message);
-        // 不影響主流程，繼續執行
       }
-      
-      return { success: true, tx_hash: bet.tx_hash };
+
+      return {
+        inserted: [...inserted],
+        duplicates: bets.map(b => b.tx_hash).filter(h => !inserted.has(h)),
+      };
 
     } catch (error) {
       console.error(`[Genkit Flow] ❌ 資料庫寫入失敗:`, error.message);
@@ -120,6 +152,244 @@ const realtimeBetFlow = ai.defineFlow(
   }
 );
 
+/**
+ * 單筆寫入（相容舊版 realtimeBetFlow 介面），經 realtimeBetBatchFlow 寫入一筆
+ * 批次寫入失敗時寫入器改以此逐筆重試，找出並隔離有問題的資料列
+ */
+const realtimeBetFlow = ai.defineFlow(
+  {
+    name: "realtimeBetFlow",
+    inputSchema: BetDataSchema,
+    outputSchema: z.object({ success: z.boolean(), tx_hash: z.string(), inserted: z.boolean() }),
+  },
+  async (bet) => {
+    const { inserted } = await realtimeBetBatchFlow({ bets: [bet] });
+    return { success: true, tx_hash: bet.tx_hash, inserted: inserted.length > 0 };
+  }
+);
+
+/**
+ * 即時下注微批次寫入器：累積到 maxBatch 筆或等待 maxWaitMs 後整批交給 realtimeBetBatchFlow
+ * 同一時間只有一批在寫入，寫入期間到達的下注併入下一批；整批失敗時逐筆重試，只有寫不進去的那筆 reject
+ * 佇列達 maxQueue 時 enqueue 會等待：補抓重播會 await 而真的暫停，
+ * 即時事件由 ethers 監聽器觸發、不等待 enqueue，等待中的下注仍留在記憶體，上限不限制其數量
+ */
+class RealtimeBetWriter {
+  constructor({ maxBatch = 50, maxWaitMs = 20, maxQueue = 2000 } = {}) {
+    this.maxBatch = maxBatch;
+    this.maxWaitMs = maxWaitMs;
+    this.maxQueue = maxQueue;
+    this.queue = []; // { bet, resolve, reject }
+    this.waiters = [];
+    this.timer = null;
+    this.flushing = false;
+    this.backpressured = false;
+  }
+
+  /**
+   * 排入一筆下注；批次提交後 resolve（true 為新寫入，false 為已存在），寫入失敗時 reject
+   */
+  async enqueue(bet) {
+    if (this.queue.length >= this.maxQueue) {
+      if (!this.backpressured) {
+        this.backpressured = true;
+        console.warn(`[Writer] ⚠️ 寫入佇列已滿 (${this.queue.length})，新下注等待批次寫入`);
+      }
+      while (this.queue.length >= this.maxQueue) {
+        await new Promise(resolve => this.waiters.push(resolve));
+      }
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ bet, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  schedule() {
+    if (this.flushing) return; // 進行中的 flush 會接著處理
+    if (this.queue.length >= this.maxBatch) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.maxWaitMs);
+    }
+  }
+
+  async flush() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (this.flushing) return;
+    this.flushing = true;
+    try {
+      while (this.queue.length > 0) {
+        const batch = this.queue.splice(0, this.maxBatch);
+        while (this.waiters.length > 0 && this.queue.length < this.maxQueue) this.waiters.shift()();
+        if (this.backpressured && this.waiters.length === 0) {
+          this.backpressured = false;
+          console.log('[Writer] ✅ 寫入佇列已恢復');
+        }
+        try {
+          const { inserted } = await realtimeBetBatchFlow({ bets: batch.map(item => item.bet) });
+          const insertedSet = new Set(inserted);
+          for (const item of batch) item.resolve(insertedSet.has(item.bet.tx_hash));
+        } catch (error) {
+          if (batch.length === 1) {
+            batch[0].reject(error);
+            continue;
+          }
+          console.warn(`[Writer] ⚠️ 批次寫入失敗 (${batch.length} 筆)，改為逐筆重試: ${error.message}`);
+          await this.writeEach(batch);
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // 逐筆重試：每筆各自一個 trace，失敗的那筆 reject，其餘照常 resolve
+  async writeEach(batch) {
+    for (const item of batch) {
+      try {
+        const { inserted } = await realtimeBetFlow(item.bet);
+        item.resolve(inserted);
+      } catch (error) {
+        item.reject(error);
+      }
+    }
+  }
+}
+
+const betWriter = new RealtimeBetWriter({
+  maxBatch: REALBET_BATCH_MAX_ROWS,
+  maxWaitMs: REALBET_BATCH_WAIT_MS,
+  maxQueue: REALBET_QUEUE_MAX,
+});
+
+const PendingBetDataSchema = z.object({
+  epoch: z.number(),
+  wallet_address: z.string(),
+  bet_direction: z.string(),
+  bet_amount: z.number(),
+  tx_hash: z.string(),
+  first_seen: z.number().int(), // 首次在 mempool 看到的時間（毫秒）
+});
+
+/**
+ * 推送待確認下注的狀態變化到 pending_bet_channel
+ * @param {object} row - pending_bet 資料列
+ * @param {'pending'|'confirmed'|'dropped'} status
+ */
+async function publishPendingBet(row, status) {
+  try {
+    await publishMessage(redisPublisher, CHANNELS.PENDING_BET, {
+      status,
+      epoch: Number(row.epoch),
+      wallet_address: row.wallet_address,
+      bet_direction: row.bet_direction,
+      bet_amount: Number(row.bet_amount),
+      tx_hash: row.tx_hash,
+      first_seen: row.first_seen.toISOString()
+    }, 'gk_realbet');
+  } catch (publishError) {
+    console.error(`[Genkit Flow] ⚠️ 待確認下注推送失敗:`, publishError.message);
+  }
+}
+
+const pendingBetFlow = ai.defineFlow(
+  {
+    name: "pendingBetFlow",
+    inputSchema: PendingBetDataSchema,
+    outputSchema: z.object({ stored: z.boolean(), tx_hash: z.string() }),
+  },
+  async (bet) => {
+    // 已上鏈（事件先到）的交易不再記為待確認
+    const res = await pool.query(`
+      INSERT INTO pending_bet(tx_hash, epoch, wallet_address, bet_direction, bet_amount, first_seen)
+      SELECT $1, $2, $3, $4, $5, to_timestamp($6 / 1000.0)
+      WHERE NOT EXISTS (SELECT 1 FROM realbet WHERE tx_hash = $1)
+      ON CONFLICT (tx_hash) DO NOTHING
+      RETURNING epoch, wallet_address, bet_direction, bet_amount, tx_hash, first_seen
+    `, [bet.tx_hash, bet.epoch, bet.wallet_address, bet.bet_direction, bet.bet_amount, bet.first_seen]);
+
+    if (res.rows.length === 0) return { stored: false, tx_hash: bet.tx_hash };
+    await publishPendingBet(res.rows[0], 'pending');
+    return { stored: true, tx_hash: bet.tx_hash };
+  }
+);
+
+// 局次生命週期：StartRound / LockRound / EndRound 觸發時讀取 rounds(epoch) 的快照
+const RoundLifecycleSchema = z.object({
+  event: z.enum(['start', 'lock', 'end']),
+  epoch: z.number().int(),
+  start_time: z.number().int(),
+  lock_time: z.number().int(),
+  close_time: z.number().int(),
+  lock_price: z.string().nullable(),
+  close_price: z.string().nullable(),
+  result: z.string().nullable(),
+  total_bet_amount: z.string(),
+  up_bet_amount: z.string(),
+  down_bet_amount: z.string(),
+  lock_oracle_id: z.string().nullable(),
+  close_oracle_id: z.string().nullable(),
+});
+
+const ROUND_EVENT_STATUS = { start: 'LIVE', lock: 'LOCKED', end: 'ENDED' };
+
+const roundLifecycleFlow = ai.defineFlow(
+  {
+    name: "roundLifecycleFlow",
+    inputSchema: RoundLifecycleSchema,
+    outputSchema: z.object({ epoch: z.number(), event: z.string(), published: z.boolean() }),
+  },
+  async (round) => {
+    // 先寫入進行中局次；已有的價格、預言機 ID 與結果（含 hisbet 同步寫入的）不被空值或較早的事件覆蓋
+    await pool.query(`
+      INSERT INTO round(epoch, start_time, lock_time, close_time, lock_price, close_price, result,
+        total_bet_amount, up_bet_amount, down_bet_amount, lock_oracle_id, close_oracle_id)
+      VALUES($1, to_timestamp($2), to_timestamp($3), to_timestamp($4), $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (start_time, epoch) DO UPDATE SET
+        lock_time = EXCLUDED.lock_time,
+        close_time = EXCLUDED.close_time,
+        lock_price = COALESCE(EXCLUDED.lock_price, round.lock_price),
+        close_price = COALESCE(EXCLUDED.close_price, round.close_price),
+        result = COALESCE(round.result, EXCLUDED.result),
+        total_bet_amount = EXCLUDED.total_bet_amount,
+        up_bet_amount = EXCLUDED.up_bet_amount,
+        down_bet_amount = EXCLUDED.down_bet_amount,
+        lock_oracle_id = COALESCE(EXCLUDED.lock_oracle_id, round.lock_oracle_id),
+        close_oracle_id = COALESCE(EXCLUDED.close_oracle_id, round.close_oracle_id)
+    `, [
+      round.epoch, round.start_time, round.lock_time, round.close_time,
+      round.lock_price, round.close_price, round.result,
+      round.total_bet_amount, round.up_bet_amount, round.down_bet_amount,
+      round.lock_oracle_id, round.close_oracle_id
+    ]);
+
+    let published = false;
+    try {
+      published = await publishMessage(redisPublisher, CHANNELS.ROUND_UPDATE, {
+        event: round.event,
+        epoch: round.epoch,
+        startTimestamp: round.start_time,
+        lockTimestamp: round.lock_time,
+        closeTimestamp: round.close_time,
+        status: ROUND_EVENT_STATUS[round.event],
+        bullAmount: Number(round.up_bet_amount),
+        bearAmount: Number(round.down_bet_amount),
+        totalAmount: Number(round.total_bet_amount),
+        result: round.result,
+        lockPrice: round.lock_price === null ? null : Number(round.lock_price),
+        closePrice: round.close_price === null ? null : Number(round.close_price),
+        lockOracleId: round.lock_oracle_id,
+        closeOracleId: round.close_oracle_id
+      }, 'gk_realbet');
+    } catch (publishError) {
+      console.error(`[Genkit Flow] ⚠️ 局次事件推送失敗:`, publishError.message);
+    }
+    return { epoch: round.epoch, event: round.event, published };
+  }
+);
+
 // 4. WEBSOCKET LISTENER SERVICE
 // ========================================
 
@@ -147,15 +417,6 @@ class LRUCache {
 const blockTimestampCache = new LRUCache();
 
 // Helper functions
-function toTaipeiTimeString(ts) {
-  return new Date(Number(ts) * 1000).toLocaleString('sv-SE', {
-    timeZone: 'Asia/Taipei',
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', second: '2-digit',
-    hour12: false
-  });
-}
-
 function normalizeAddress(address) {
   return address.toLowerCase();
 }
@@ -175,11 +436,36 @@ async function getBlockTimestamp(provider, blockNumber) {
   return Math.floor(Date.now() / 1000);
 }
 
+/**
+ * 讀取監聽器最後處理的區塊；尚未建立時回傳 null
+ */
+async function loadListenerCheckpoint() {
+  const res = await pool.query('SELECT last_block FROM indexer_checkpoint WHERE name = $1', [LISTENER_CHECKPOINT_NAME]);
+  return res.rows.length > 0 ? Number(res.rows[0].last_block) : null;
+}
+
+async function saveListenerCheckpoint(lastBlock) {
+  await pool.query(`
+    INSERT INTO indexer_checkpoint (name, last_block, last_epoch, updated_at)
+    VALUES ($1, $2, NULL, NOW())
+    ON CONFLICT (name) DO UPDATE SET last_block = GREATEST(indexer_checkpoint.last_block, EXCLUDED.last_block), updated_at = NOW()
+  `, [LISTENER_CHECKPOINT_NAME, lastBlock]);
+}
+
 class BettingListenerService {
-  constructor() {
+  constructor(lastBlock = null) {
     this.provider = null;
     this.contract = null;
     this.reconnectTimeout = null;
+    this.lastBlock = lastBlock;
+    this.disconnectedAt = null;
+    this.backfilling = false;
+    this.backfillRetryTimeout = null;
+    // 檢查點不得超過的區塊：failedBlock 為最早寫入失敗的下注區塊，backfillBlock 為補抓已完成到的區塊
+    this.failedBlock = null;
+    this.backfillBlock = null;
+    this.pendingInflight = 0;
+    this.pendingSkipped = 0;
   }
 
   connect() {
@@ -198,10 +484,13 @@ class BettingListenerService {
     this.provider.websocket.on('open', () => {
       console.log("[Listener] ✅ WebSocket 連接成功");
       if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+      this.backfillMissedBlocks();
     });
 
     this.provider.websocket.on('close', (code) => {
       console.warn(`[Listener] 🔌 WebSocket 斷線 (${code})`);
+      if (!this.disconnectedAt) this.disconnectedAt = Date.now();
       this.scheduleReconnect();
     });
 
@@ -219,15 +508,124 @@ class BettingListenerService {
       this.handleNewBet(sender, epoch, amount, "DOWN", event.log);
     });
 
+    this.contract.on("StartRound", (epoch) => this.handleRoundEvent('start', epoch));
+    this.contract.on("LockRound", (epoch) => this.handleRoundEvent('lock', epoch));
+    this.contract.on("EndRound", (epoch) => this.handleRoundEvent('end', epoch));
+
+    if (PENDING_BETS_ENABLED) {
+      this.provider.on('pending', (txHash) => this.handlePendingTx(txHash));
+      console.log("[Listener] 👀 Mempool 待確認下注監聽已啟動");
+    }
+
     console.log("[Listener] 🎧 事件監聽器已啟動");
   }
 
+  /**
+   * 讀取事件當下的 rounds(epoch) 寫入 round 並推送局次事件
+   * 價格與預言機 ID 在鎖定 / 結算前為 0，記為 null；結果只在 EndRound 時依收盤價判定
+   */
+  async handleRoundEvent(event, epoch) {
+    try {
+      const rd = await this.contract.rounds(epoch);
+      const locked = event !== 'start' && oracleId(rd.lockOracleId) !== null;
+      const closed = event === 'end' && oracleId(rd.closeOracleId) !== null;
+      let result = null;
+      if (closed) {
+        if (rd.closePrice > rd.lockPrice) result = 'UP';
+        else if (rd.closePrice < rd.lockPrice) result = 'DOWN';
+        else result = 'HOUSE';
+      }
+      const bull = parseFloat(ethers.formatEther(rd.bullAmount));
+      const bear = parseFloat(ethers.formatEther(rd.bearAmount));
+
+      console.log(`[Listener] 🕒 局次 ${epoch} ${event}${result ? ` (${result})` : ''}`);
+      await roundLifecycleFlow({
+        event,
+        epoch: Number(epoch),
+        start_time: Number(rd.startTimestamp),
+        lock_time: Number(rd.lockTimestamp),
+        close_time: Number(rd.closeTimestamp),
+        lock_price: locked ? ethers.formatUnits(rd.lockPrice, 8) : null,
+        close_price: closed ? ethers.formatUnits(rd.closePrice, 8) : null,
+        result,
+        total_bet_amount: (bull + bear).toString(),
+        up_bet_amount: bull.toString(),
+        down_bet_amount: bear.toString(),
+        lock_oracle_id: locked ? oracleId(rd.lockOracleId) : null,
+        close_oracle_id: closed ? oracleId(rd.closeOracleId) : null,
+      });
+    } catch (error) {
+      console.error(`[Listener] ❌ 局次 ${epoch} ${event} 事件處理失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解碼送往合約的 betBull / betBear 待確認交易，記為待確認下注
+   * 同時查詢中的交易超過 PENDING_MAX_INFLIGHT 時直接略過，避免 mempool 流量拖垮 RPC
+   */
+  async handlePendingTx(txHash) {
+    if (this.pendingInflight >= PENDING_MAX_INFLIGHT) {
+      this.pendingSkipped++;
+      return;
+    }
+    const firstSeen = Date.now();
+    this.pendingInflight++;
+    try {
+      const tx = await this.provider.getTransaction(txHash);
+      if (!tx || !tx.to || tx.blockNumber != null) return;
+      if (tx.to.toLowerCase() !== CONTRACT_ADDR.toLowerCase()) return;
+
+      const call = this.contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+      if (!call || (call.name !== 'betBull' && call.name !== 'betBear') || tx.value === 0n) return;
+
+      const direction = call.name === 'betBull' ? 'UP' : 'DOWN';
+      console.log(`[Listener] ⏳ 待確認 ${direction} ${call.args.epoch} ${ethers.formatEther(tx.value)} BNB`);
+      await pendingBetFlow({
+        epoch: Number(call.args.epoch),
+        wallet_address: normalizeAddress(tx.from),
+        bet_direction: direction,
+        bet_amount: parseFloat(ethers.formatEther(tx.value)),
+        tx_hash: tx.hash.toLowerCase(),
+        first_seen: firstSeen,
+      });
+    } catch (error) {
+      console.error(`[Listener] ❌ 處理待確認交易失敗 ${txHash}:`, error.message);
+    } finally {
+      this.pendingInflight--;
+    }
+  }
+
+  /**
+   * 清除逾時未上鏈（被取代、失敗或局次已鎖定）的待確認下注
+   */
+  async sweepPendingBets() {
+    if (this.pendingSkipped > 0) {
+      console.warn(`[Listener] ⚠️ 查詢已滿，略過 ${this.pendingSkipped} 筆 mempool 交易`);
+      this.pendingSkipped = 0;
+    }
+    try {
+      // 與批次寫入同時插入的待確認列可能在 realbet 寫入後才出現而未被刪除，已上鏈的回報 confirmed 而非 dropped
+      const res = await pool.query(`
+        WITH expired AS (
+          DELETE FROM pending_bet WHERE first_seen < NOW() - make_interval(secs => $1)
+          RETURNING epoch, wallet_address, bet_direction, bet_amount, tx_hash, first_seen
+        )
+        SELECT e.*, EXISTS (SELECT 1 FROM realbet r WHERE r.tx_hash = e.tx_hash) AS confirmed
+        FROM expired e
+      `, [PENDING_BET_TTL_SECONDS]);
+      for (const row of res.rows) await publishPendingBet(row, row.confirmed ? 'confirmed' : 'dropped');
+      if (res.rows.length > 0) console.log(`[Listener] 🧹 清除 ${res.rows.length} 筆逾時待確認下注`);
+    } catch (error) {
+      console.error(`[Listener] ❌ 清除待確認下注失敗:`, error.message);
+    }
+  }
+
   async handleNewBet(sender, epoch, amount, direction, log) {
     try {
       const blockTimestamp = await getBlockTimestamp(this.provider, log.blockNumber);
       const betData = {
         epoch: Number(epoch),
-        bet_time: toTaipeiTimeString(blockTimestamp),
+        bet_time: Number(blockTimestamp),
         wallet_address: normalizeAddress(sender),
         bet_direction: direction,
         bet_amount: parseFloat(ethers.formatEther(amount)),
@@ -235,19 +633,147 @@ class BettingListenerService {
         tx_hash: log.transactionHash.toLowerCase(),
       };
 
-      // *** CALL THE GENKIT FLOW ***
-      realtimeBetFlow(betData).catch(flowError => {
+      // *** QUEUE FOR THE BATCHED GENKIT FLOW ***
+      try {
+        await betWriter.enqueue(betData);
+      } catch (flowError) {
         console.error(`[Listener] ❌ Flow 執行失敗 for tx ${betData.tx_hash}:`, flowError.message);
-      });
+        this.noteFailedBlock(log.blockNumber);
+        return false;
+      }
+      await this.markBlockProcessed(log.blockNumber);
+      return true;
 
     } catch (error) {
       console.error(`[Listener] ❌ 處理下注事件失敗:`, error.message);
+      this.noteFailedBlock(log.blockNumber);
+      return false;
+    }
+  }
+
+  /**
+   * 記錄寫入失敗的區塊：檢查點停在它之前，稍後由補抓從檢查點重播
+   */
+  noteFailedBlock(blockNumber) {
+    if (this.failedBlock === null || blockNumber < this.failedBlock) this.failedBlock = blockNumber;
+    this.scheduleBackfillRetry();
+  }
+
+  scheduleBackfillRetry() {
+    if (this.backfillRetryTimeout) return;
+    this.backfillRetryTimeout = setTimeout(() => {
+      this.backfillRetryTimeout = null;
+      this.backfillMissedBlocks();
+    }, BACKFILL_RETRY_MS);
+  }
+
+  async markBlockProcessed(blockNumber) {
+    if (this.failedBlock !== null) blockNumber = Math.min(blockNumber, this.failedBlock - 1);
+    if (this.backfillBlock !== null) blockNumber = Math.min(blockNumber, this.backfillBlock);
+    if (this.lastBlock !== null && blockNumber <= this.lastBlock) return;
+    this.lastBlock = blockNumber;
+    try {
+      await saveListenerCheckpoint(blockNumber);
+    } catch (error) {
+      console.error(`[Listener] ⚠️ 保存區塊檢查點失敗:`, error.message);
+    }
+  }
+
+  /**
+   * 只保留仍在即時視窗內（下注中或已鎖定、尚未同步）的局次
+   * 已結算的局次由 hisbet 寫入 hisbet 表並清理 realbet，補回的 realbet 不會再被清除
+   */
+  async filterLiveLogs(logs) {
+    if (logs.length === 0) return logs;
+    const currentEpoch = Number(await this.contract.currentEpoch());
+    const epochs = [...new Set(logs.map(({ log }) => Number(log.args.epoch)))];
+    const res = await pool.query('SELECT epoch FROM finepoch WHERE epoch = ANY($1)', [epochs]);
+    const synced = new Set(res.rows.map(row => Number(row.epoch)));
+    return logs.filter(({ log }) => {
+      const epoch = Number(log.args.epoch);
+      return epoch >= currentEpoch - 1 && !synced.has(epoch);
+    });
+  }
+
+  /**
+   * 連線（含重連）或寫入失敗後從最後處理的區塊補抓到最新區塊，經批次寫入器重播
+   * 從 lastBlock 本身開始，斷線當下處理到一半的區塊也會補齊（寫入為冪等）
+   * 補抓期間檢查點只推進到已完成的區塊；有下注寫入失敗時停在失敗區塊之前並稍後重試
+   */
+  async backfillMissedBlocks() {
+    if (this.backfilling || this.lastBlock === null) return;
+    this.backfilling = true;
+    const provider = this.provider;
+    const contract = this.contract;
+    const offlineMs = this.disconnectedAt ? Date.now() - this.disconnectedAt : null;
+    this.disconnectedAt = null;
+    // 在等待 RPC 前取值，避免新即時事件先推進 lastBlock 而跳過缺口
+    let fromBlock = this.lastBlock;
+    this.backfillBlock = fromBlock;
+    this.failedBlock = null;
+
+    try {
+      const head = await provider.getBlockNumber();
+      if (head - fromBlock > BACKFILL_MAX_BLOCKS) {
+        console.warn(`[Listener] ⚠️ 缺口 ${head - fromBlock} 區塊超過上限 ${BACKFILL_MAX_BLOCKS}，僅補抓最近區塊，其餘交由 hisbet 同步`);
+        fromBlock = head - BACKFILL_MAX_BLOCKS;
+        this.backfillBlock = fromBlock;
+      }
+      if (fromBlock > head) return;
+
+      const lastSeenTime = await getBlockTimestamp(provider, fromBlock);
+      const headTime = await getBlockTimestamp(provider, head);
+      let replayed = 0;
+      let failed = 0;
+      let skipped = 0;
+
+      for (let start = fromBlock; start <= head; start += BACKFILL_CHUNK_BLOCKS) {
+        const end = Math.min(start + BACKFILL_CHUNK_BLOCKS - 1, head);
+        const [bulls, bears] = await Promise.all([
+          contract.queryFilter(contract.filters.BetBull(), start, end),
+          contract.queryFilter(contract.filters.BetBear(), start, end)
+        ]);
+        const logs = [
+          ...bulls.map(log => ({ log, direction: 'UP' })),
+          ...bears.map(log => ({ log, direction: 'DOWN' }))
+        ].sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+        const liveLogs = await this.filterLiveLogs(logs);
+        skipped += logs.length - liveLogs.length;
+
+        // 每次送出一整批，讓寫入器直接湊滿批次而不必等待計時
+        for (let i = 0; i < liveLogs.length; i += REALBET_BATCH_MAX_ROWS) {
+          const results = await Promise.all(liveLogs.slice(i, i + REALBET_BATCH_MAX_ROWS).map(({ log, direction }) =>
+            this.handleNewBet(log.args.sender, log.args.epoch, log.args.amount, direction, log)));
+          replayed += results.filter(Boolean).length;
+          failed += results.filter(ok => !ok).length;
+        }
+        if (this.failedBlock !== null) break;
+        this.backfillBlock = end;
+        await this.markBlockProcessed(end);
+      }
+
+      console.log(
+        `[Listener] 🔁 補抓${failed > 0 ? '中止' : '完成'}: 區塊 ${fromBlock}-${head}（${head - fromBlock + 1} 區塊，鏈上 ${headTime - lastSeenTime} 秒` +
+        `${offlineMs !== null ? `，斷線 ${Math.round(offlineMs / 1000)} 秒` : ''}），重播 ${replayed} 筆，失敗 ${failed} 筆，略過已結算局次 ${skipped} 筆`
+      );
+    } catch (error) {
+      console.error(`[Listener] ❌ 補抓遺漏區塊失敗:`, error.message);
+      this.scheduleBackfillRetry();
+    } finally {
+      this.backfillBlock = null;
+      this.backfilling = false;
+    }
+    // 補抓期間的即時下注失敗也在這裡接手重試
+    if (this.failedBlock !== null) {
+      console.warn(`[Listener] ⚠️ 區塊 ${this.failedBlock} 有下注寫入失敗，檢查點停在 ${this.lastBlock}，${BACKFILL_RETRY_MS / 1000} 秒後重新補抓`);
+      this.scheduleBackfillRetry();
     }
   }
 
   scheduleReconnect() {
     if (this.reconnectTimeout) return;
     this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
       console.log("[Listener] 🔄 重連中...");
       this.disconnect();
       this.connect();
@@ -272,8 +798,40 @@ async function main() {
     client.release();
     console.log('✅ 資料庫連接成功');
 
-    const listenerService = new BettingListenerService();
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS indexer_checkpoint (
+        name TEXT PRIMARY KEY,
+        last_block BIGINT NOT NULL,
+        last_epoch BIGINT,
+        updated_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pending_bet (
+        tx_hash TEXT PRIMARY KEY,
+        epoch BIGINT NOT NULL,
+        wallet_address TEXT NOT NULL CHECK (wallet_address = LOWER(wallet_address)),
+        bet_direction TEXT NOT NULL,
+        bet_amount NUMERIC(20, 8) NOT NULL,
+        first_seen TIMESTAMPTZ NOT NULL
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_pending_bet_first_seen ON pending_bet (first_seen)');
+    // pendingBetFlow 與逾時清除只以 tx_hash 查 realbet，(bet_time, tx_hash) 索引用不上
+    try {
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_realbet_tx_hash ON realbet (tx_hash)');
+    } catch (e) {
+      console.error('❌ 建立 realbet tx_hash 索引失敗:', e.message);
+    }
+    await ensureRoundSchema(pool);
+    const lastBlock = await loadListenerCheckpoint();
+    console.log(`✅ 監聽器檢查點: ${lastBlock === null ? '無（首次啟動）' : `區塊 ${lastBlock}`}`);
+
+    const listenerService = new BettingListenerService(lastBlock);
     listenerService.connect();
+    if (PENDING_BETS_ENABLED) {
+      setInterval(() => listenerService.sweepPendingBets(), 15000);
+    }
 
     console.log("✅ 服務已啟動。使用 'genkit start' 來查看 Flow 追蹤。");
 
@@ -286,6 +844,9 @@ async function main() {
 // Export for external use
 module.exports = {
   realtimeBetFlow,
+  realtimeBetBatchFlow,
+  pendingBetFlow,
+  roundLifecycleFlow,
 };
 
 // If this script is run directly (e.g., `node gk_realbet.js`)
@@ -11,17 +11,39 @@ const pg = require("pg");
 const fs = require("fs");
 const { Pool } = pg;
 const Redis = require("ioredis");
+const { CONFIG_EVENTS, configEventParams } = require("./contract_config");
+const {
+  ensureSyncStateTables, getLineCursor, setLineCursor, getSyncBounds, findMissingRanges
+} = require("./sync_state");
+const { createRpcProvider } = require("./rpc_pool");
+const { LineControlRegistry } = require("./line_control");
+const {
+  RETRY_STATE, ensureRetryQueueTable, clearEpochFailure, getRetryEntry, getDueRetries,
+  listDeadLetters, requeueEpochs, ignoreEpochs
+} = require("./retry_queue");
+const { ensureTimeSchema, migrateTimeColumns } = require("./time_columns");
+const { ensureProfitSchema, backfillProfit } = require("./bet_profit");
+const {
+  createSyncCore, normalizeAddress, sleep, retryFn, parseRoundUpdate, validateBetEvents, verifyRoundBetsStrict,
+  verifyDatabaseWrite, insertEpochRows, writeClaimRows, rebuildMultiClaims, groupLogsByEpoch, hasCompleteBetWindow,
+  computeLogFingerprint, saveLogFingerprint, ensureRoundSchema
+} = require("./sync_core");
+const { CHANNELS, publishMessage } = require("./messages");
 
 // 配置
 if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL");
-if (!process.env.RPC_URL) throw new Error("Missing RPC_URL");
+if (!process.env.RPC_URL && !process.env.RPC_URLS) throw new Error("Missing RPC_URL");
 if (!process.env.CONTRACT_ADDR) throw new Error("Missing CONTRACT_ADDR");
 if (!process.env.REDIS_URL) throw new Error("Missing REDIS_URL");
 
 const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 100000;
-const CACHE_MAX = parseInt(process.env.CACHE_MAX) || 5000;
-const RETRY_MAX = parseInt(process.env.RETRY_MAX) || 3;
 const SIDE_DEPTH = 3;
+const BACKFILL_WORKERS = Math.max(1, parseInt(process.env.BACKFILL_WORKERS) || 4);
+const BACKFILL_CHUNK = Math.max(BACKFILL_WORKERS, parseInt(process.env.BACKFILL_CHUNK) || BACKFILL_WORKERS * 10);
+const RETRY_POLL_INTERVAL_MS = parseInt(process.env.RETRY_POLL_INTERVAL_MS) || 30000;
+const RETRY_BATCH = parseInt(process.env.RETRY_BATCH) || 20;
+const RPC_RATE_LIMIT = parseInt(process.env.RPC_RATE_LIMIT ?? '20'); // 整個節點池每秒請求數，0 表示不限制
+const BULK_SYNC = process.env.BULK_SYNC !== 'false'; // 下行線預設使用批量日誌抓取
 
 // 確保使用 .env 的 REDIS_URL
 const redisPublisher = new Redis(process.env.REDIS_URL, {
@@ -33,165 +55,13 @@ const redisPublisher = new Redis(process.env.REDIS_URL, {
 });
 redisPublisher.on('error', (err) => console.error('Redis 錯誤:', err.message));
 
-// LRU 快取
-class LRUCache {
-  constructor(limit = CACHE_MAX) {
-    this.limit = limit;
-    this.cache = new Map();
-  }
-  get(key) {
-    if (!this.cache.has(key)) return null;
-    const val = this.cache.get(key);
-    this.cache.delete(key);
-    this.cache.set(key, val);
-    return val;
-  }
-  set(key, val) {
-    if (this.cache.has(key)) this.cache.delete(key);
-    else if (this.cache.size >= this.limit) {
-      this.cache.delete(this.cache.keys().next().value);
-    }
-    this.cache.set(key, val);
-  }
-}
-
-const blockTimestampCache = new LRUCache();
-const epochCache = new LRUCache();
-
-// 動態區塊範圍計算器
-class BlockRangeCalculator {
-  /**
-   * 計算指定局次附近的「每局區塊數」最大值
-   * @param {number} referenceEpoch - 參考局次
-   * @param {number} lookBehind - 往前看幾局（預設10局）
-   * @returns {Promise<number>} 每局最大區塊數
-   */
-  async getBlocksPerEpoch(referenceEpoch, lookBehind = 10) {
-    const result = await pool.query(`
-      WITH epoch_blocks AS (
-        SELECT epoch, MAX(block_number) as last_block
-        FROM hisbet
-        WHERE epoch BETWEEN $1 AND $2
-        GROUP BY epoch
-        HAVING COUNT(*) > 5
-      )
-      SELECT e1.last_block - e2.last_block as diff
-      FROM epoch_blocks e1
-      JOIN epoch_blocks e2 ON e2.epoch = e1.epoch - 1
-      WHERE e1.last_block IS NOT NULL AND e2.last_block IS NOT NULL
-    `, [referenceEpoch - lookBehind, referenceEpoch]);
-
-    if (result.rows.length === 0) {
-      console.log(`[BlockRange] epoch ${referenceEpoch} 附近無數據，使用預設值 410`);
-      return 410; // 根據歷史統計，平均 408，取 410 作為安全值
-    }
-
-    const diffs = result.rows.map(r => Number(r.diff));
-    const maxBlocks = Math.max(...diffs);
-    console.log(`[BlockRange] epoch ${referenceEpoch} 附近 ${result.rows.length} 局數據，每局最大區塊數: ${maxBlocks}`);
-    return maxBlocks;
-  }
-
-  /**
-   * 獲取指定 epoch 的區塊範圍
-   * @param {number} epoch - 要查詢的局次
-   * @returns {Promise<{startBlock: number, endBlock: number}>}
-   */
-  async getBlockRangeForEpoch(epoch) {
-    const SEARCH_RANGE = 5; // 搜尋前後各5局，應對跳過/失敗的情況
-
-    // 策略1: 查詢後面幾局（往回處理歷史時）
-    const nextBlocks = await pool.query(`
-      SELECT epoch, MIN(block_number) as min_block
-      FROM hisbet
-      WHERE epoch BETWEEN $1 AND $2
-        AND block_number IS NOT NULL
-      GROUP BY epoch
-      HAVING COUNT(*) > 5
-      ORDER BY epoch ASC
-      LIMIT 1
-    `, [epoch + 1, epoch + SEARCH_RANGE]);
-
-    if (nextBlocks.rows[0]?.min_block) {
-      const foundEpoch = Number(nextBlocks.rows[0].epoch);
-      const endBlock = Number(nextBlocks.rows[0].min_block);
-      const blocksPerEpoch = await this.getBlocksPerEpoch(foundEpoch, 10);
-
-      // 計算跨越的局數
-      const epochGap = foundEpoch - epoch;
-      const startBlock = endBlock - (blocksPerEpoch * epochGap) - 50;
-
-      console.log(`[BlockRange] epoch ${epoch} 使用後面第 ${epochGap} 局 (epoch ${foundEpoch}) 推算: ${startBlock} - ${endBlock + 50}`);
-      return { startBlock, endBlock: endBlock + 50 };
-    }
-
-    // 策略2: 查詢前面幾局（往前處理時）
-    const prevBlocks = await pool.query(`
-      SELECT epoch, MAX(block_number) as max_block
-      FROM hisbet
-      WHERE epoch BETWEEN $1 AND $2
-        AND block_number IS NOT NULL
-      GROUP BY epoch
-      HAVING COUNT(*) > 5
-      ORDER BY epoch DESC
-      LIMIT 1
-    `, [epoch - SEARCH_RANGE, epoch - 1]);
-
-    if (prevBlocks.rows[0]?.max_block) {
-      const foundEpoch = Number(prevBlocks.rows[0].epoch);
-      const prevLastBlock = Number(prevBlocks.rows[0].max_block);
-      const blocksPerEpoch = await this.getBlocksPerEpoch(foundEpoch, 10);
-
-      // 計算跨越的局數
-      const epochGap = epoch - foundEpoch;
-      const startBlock = prevLastBlock - 50;
-      const endBlock = prevLastBlock + (blocksPerEpoch * epochGap) + 50;
-
-      console.log(`[BlockRange] epoch ${epoch} 使用前面第 ${epochGap} 局 (epoch ${foundEpoch}) 推算: ${startBlock} - ${endBlock}`);
-      return { startBlock, endBlock };
-    }
-
-    // 策略3: 前後各5局都沒數據 = 錯誤
-    throw new Error(`❌ Epoch ${epoch} 前後各 ${SEARCH_RANGE} 局都沒有數據，無法推算區塊範圍！`);
-  }
-}
-
-const blockRangeCalc = new BlockRangeCalculator();
-
-// 工具函數
-function toTaipeiTimeString(ts) {
-  if (ts === null || ts === undefined || isNaN(Number(ts))) {
-    ts = Math.floor(Date.now() / 1000);
-  }
-  return new Date(Number(ts) * 1000).toLocaleString('sv-SE', {
-    timeZone: 'Asia/Taipei',
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', second: '2-digit',
-    hour12: false
-  }).replace(',', '');
-}
-
-function normalizeAddress(address) {
-  if (!address || typeof address !== 'string') throw new Error(`無效地址: ${address}`);
-  const trimmed = address.trim();
-  if (!/^0x[0-9a-fA-F]{40}$/.test(trimmed)) throw new Error(`格式錯誤: ${trimmed}`);
-  return trimmed.toLowerCase();
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-// 區塊鏈連接
-const provider = new ethers.JsonRpcProvider(
-  process.env.RPC_URL,
-  { chainId: 56, name: 'binance' },
-  { staticNetwork: true, polling: false }
-);
+// 區塊鏈連接：RPC_URLS 節點池（含熔斷與容錯），所有請求共用 RPC_RATE_LIMIT 限速
+const provider = createRpcProvider({ rateLimit: RPC_RATE_LIMIT });
 
+// 每個回補 worker 在寫入期間佔用一條連線，保留餘量給其他線
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  max: 10,
+  max: Math.max(10, BACKFILL_WORKERS + 6),
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 10000,
   statement_timeout: 60000,
@@ -201,519 +71,608 @@ const contractAddr = process.env.CONTRACT_ADDR;
 const contractAbi = JSON.parse(fs.readFileSync("./abi.json", "utf8"));
 const contract = new ethers.Contract(contractAddr, contractAbi, provider);
 
-// 重試機制
-async function retryFn(fn, retries = RETRY_MAX) {
-  for (let i = 0; i < retries; i++) {
+// 區塊範圍、抓取、驗證、解析與寫入與 gk_hisbet 共用
+const {
+  getBlockTimestamp, findBlockByTime, getRoundData, resetBufferSeconds, noteRoundUpdate, getLatestEpoch, getBlockRangeForEpoch,
+  epochAlreadyDone, acquireEpochLock, releaseEpochLock, handleSyncFailure, validateRoundDataFromChain,
+  fetchEventsForEpoch, fetchContractLogs, parseRoundData, parseBets, writeDataTransaction
+} = createSyncCore({ pool, provider, contract, redis: redisPublisher });
+
+/**
+ * 驗證一批 Claim 日誌；claimEpochs 為每筆領獎發生時的進行中局次
+ */
+function validateClaimLogs(logs, claimEpochs, fromBlock, toBlock) {
+  const errors = [];
+
+  for (let i = 0; i < logs.length; i++) {
+    const e = logs[i];
+    const be = Number(e.args.epoch);
     try {
-      return await fn();
-    } catch (e) {
-      if (i === retries - 1) throw e;
-      await sleep(1000 * (i + 1));
+      const addr = normalizeAddress(e.args.sender);
+      if (addr === '0x0000000000000000000000000000000000000000') errors.push(`Claim[${i}]零地址`);
+    } catch (err) {
+      errors.push(`Claim[${i}]地址錯誤`);
     }
+    if (be <= 0) errors.push(`Claim[${i}]bet_epoch無效`);
+    if (claimEpochs[i] <= be) errors.push(`Claim[${i}]epoch<=bet_epoch`);
+    if (!e.args.amount || e.args.amount <= 0n) errors.push(`Claim[${i}]amount無效`);
   }
+
+  if (errors.length > 0) throw new Error(`區塊 ${fromBlock}-${toBlock} Claim驗證失敗: ${errors.join('; ')}`);
+  return true;
 }
 
-// 區塊鏈查詢 - 優先從資料庫查詢
-async function getBlockTimestamp(blockNumber) {
-  const cached = blockTimestampCache.get(blockNumber);
-  if (cached) return cached;
+// 核心同步邏輯（帶詳細日誌）
+// options.force: 忽略 finepoch 標記，強制重新同步
+// options.events: 批量同步已抓好的本局事件，略過逐局日誌查詢
+// options.repair: 修復模式，比對並取代本局既有資料列（隱含 force）
+async function syncEpoch(epoch, lp = '', options = {}) {
+  if (!options.force && !options.repair && await epochAlreadyDone(epoch)) {
+    console.log(`${lp}Epoch ${epoch} 已存在，跳過`);
+    return { success: true, skipped: true };
+  }
+
+  if (!await acquireEpochLock(epoch)) {
+    console.log(`${lp}Epoch ${epoch} 已被鎖定，跳過`);
+    return { success: false, reason: 'locked' };
+  }
 
-  // 先從 hisbet 表查詢已知的區塊時間戳
   try {
-    const res = await pool.query(
-      'SELECT bet_time FROM hisbet WHERE block_number = $1 LIMIT 1',
-      [blockNumber]
-    );
-    if (res.rows.length > 0) {
-      const timestamp = Math.floor(new Date(res.rows[0].bet_time).getTime() / 1000);
-      blockTimestampCache.set(blockNumber, timestamp);
-      return timestamp;
+    console.log(`${lp}📍 開始處理 Epoch ${epoch}`);
+
+    console.log(`${lp}  → 獲取事件數據...`);
+    const { events, roundData } = options.events
+      ? { events: options.events, roundData: await getRoundData(epoch) }
+      : await fetchEventsForEpoch(epoch);
+    
+    // 日誌：事件統計
+    const upCount = events.betbull.length;
+    const downCount = events.betbear.length;
+    console.log(`${lp}  UP: ${upCount} 筆, DOWN: ${downCount} 筆`);
+    
+    await validateRoundDataFromChain(roundData, epoch);
+    await validateBetEvents(events, roundData, epoch);
+
+    const round = await parseRoundData(epoch, roundData, events);
+    const bets = await parseBets(events);
+
+    verifyRoundBetsStrict(round, bets, epoch);
+    const claims = options.repair ? await fetchBetEpochClaims(epoch) : null;
+    await writeDataTransaction(round, bets, { lp, fingerprint: computeLogFingerprint(events), repair: !!options.repair, claims });
+    await verifyDatabaseWrite(epoch, round, bets, pool);
+
+    console.log(`${lp}✅ Epoch ${epoch} 完成`);
+    return { success: true };
+
+  } catch (error) {
+    // 合約暫停造成的未結算局次不算失敗，其餘記入重試佇列
+    return await handleSyncFailure(epoch, error, lp);
+  } finally {
+    await releaseEpochLock(epoch);
+  }
+}
+
+// ========================================
+// 批量同步（歷史回補）
+// ========================================
+
+/**
+ * 批量同步一段局次：整段區塊一次抓日誌、依局次分組後沿用 syncEpoch 的驗證與寫入
+ * 找不到開局/鎖倉事件（區塊推算偏差、取消局）的局次改走逐局查詢
+ * @param {import('./line_control').LineControl} control - 以 settings.workers 並行寫入
+ * @returns {Promise<{logs: number, incomplete: number}>}
+ */
+async function syncEpochRangeBulk(fromEpoch, toEpoch, lp, control) {
+  const first = await getBlockRangeForEpoch(fromEpoch);
+  const last = await getBlockRangeForEpoch(toEpoch);
+  const head = await retryFn(() => provider.getBlockNumber());
+  // 最後一局的 RewardsCalculated 與下一局 LockRound 同一筆交易，往後多搜兩個 interval
+  const fromBlock = first.startBlock;
+  const toBlock = Math.min(head, last.endBlock + (last.endBlock - last.startBlock) * 2 + 200);
+  if (toBlock < fromBlock) throw new Error(`局次 ${fromEpoch}-${toEpoch} 區塊範圍異常: ${fromBlock} - ${toBlock}`);
+
+  const startedAt = Date.now();
+  const logs = await fetchContractLogs(fromBlock, toBlock);
+  const groups = groupLogsByEpoch(logs, fromEpoch, toEpoch, toBlock);
+  const incomplete = [...groups.values()].filter(g => !hasCompleteBetWindow(g)).length;
+  console.log(`${lp}📦 批量抓取 ${fromEpoch}-${toEpoch}: 區塊 ${fromBlock}-${toBlock}，${logs.length} 筆日誌` +
+    ` (${Date.now() - startedAt}ms)${incomplete > 0 ? `，${incomplete} 局改逐局查詢` : ''}`);
+
+  const epochs = [...groups.keys()].sort((a, b) => b - a);
+  let next = 0;
+  const worker = async () => {
+    while (next < epochs.length) {
+      const epoch = epochs[next++];
+      const events = groups.get(epoch);
+      try {
+        await syncLineEpoch(epoch, lp, control, hasCompleteBetWindow(events) ? events : null);
+      } catch (err) {
+        console.error(`${lp}❌ Epoch ${epoch}: ${err.message}`);
+      }
     }
-  } catch (e) {
-    // 查詢失敗則繼續用 RPC
-  }
-
-  // 資料庫沒有才用 RPC
-  const block = await retryFn(() => provider.getBlock(blockNumber));
-  blockTimestampCache.set(blockNumber, block.timestamp);
-  return block.timestamp;
-}
-
-async function findBlockByTime(targetTime, lowBlock, highBlock) {
-  while (lowBlock <= highBlock) {
-    const mid = Math.floor((lowBlock + highBlock) / 2);
-    const ts = await getBlockTimestamp(mid);
-    if (ts === targetTime) return mid;
-    if (ts < targetTime) lowBlock = mid + 1;
-    else highBlock = mid - 1;
-  }
-  return lowBlock;
-}
-
-async function getRoundData(epoch) {
-  const cached = epochCache.get(epoch);
-  if (cached) return cached;
-  const round = await retryFn(() => contract.rounds(BigInt(epoch)));
-  const data = {
-    epoch: Number(round.epoch),
-    startTimestamp: Number(round.startTimestamp),
-    lockTimestamp: Number(round.lockTimestamp),
-    closeTimestamp: Number(round.closeTimestamp),
-    lockPrice: round.lockPrice.toString(),
-    closePrice: round.closePrice.toString(),
-    totalAmount: round.totalAmount.toString(),
-    bullAmount: round.bullAmount.toString(),
-    bearAmount: round.bearAmount.toString(),
   };
-  const lp = parseFloat(ethers.formatUnits(data.lockPrice, 8));
-  const cp = parseFloat(ethers.formatUnits(data.closePrice, 8));
-  if (lp > 0 && cp > 0) epochCache.set(epoch, data);
-  return data;
+  await Promise.all(Array.from({ length: Math.max(1, control.settings.workers) }, worker));
+  return { logs: logs.length, incomplete };
 }
 
-async function getLatestEpoch() {
-  return Number(await contract.currentEpoch());
-}
+// ========================================
+// 鏈重組（reorg）防護
+// ========================================
+
+const REORG_CONFIRMATIONS = parseInt(process.env.REORG_CONFIRMATIONS) || 15;
+const REORG_CHECK_INTERVAL_MS = parseInt(process.env.REORG_CHECK_INTERVAL_MS) || 60000;
+const REORG_BATCH = parseInt(process.env.REORG_BATCH) || 20;
 
-// 資料庫操作
-async function epochAlreadyDone(epoch) {
-  const res = await pool.query(`SELECT 1 FROM finepoch WHERE epoch = $1`, [epoch]);
-  return res.rowCount > 0;
+/**
+ * 比對新舊兩組資料列，回傳新增/移除的鍵
+ */
+function diffRowKeys(oldRows, newRows, keyFn) {
+  const oldKeys = new Set(oldRows.map(keyFn));
+  const newKeys = new Set(newRows.map(keyFn));
+  return {
+    added: [...newKeys].filter(k => !oldKeys.has(k)),
+    removed: [...oldKeys].filter(k => !newKeys.has(k))
+  };
 }
 
-async function logFailedEpoch(epoch, error, stage) {
-  try {
-    await pool.query(`
-      INSERT INTO failed_epochs (epoch, error_message, stage, failed_at)
-      VALUES ($1, $2, $3, NOW())
-      ON CONFLICT (epoch) DO UPDATE SET
-        error_message = EXCLUDED.error_message,
-        stage = EXCLUDED.stage,
-        failed_at = NOW(),
-        retry_count = failed_epochs.retry_count + 1
-    `, [epoch, error.message.substring(0, 500), stage]);
-  } catch (e) {}
-}
-
-async function getFailCount(epoch) {
+/**
+ * 重新抓取已同步局次的日誌並與同步時的指紋比對；
+ * 不一致時以鏈上最新資料整局覆寫 hisbet，並重抓本局區塊內已索引的領獎，差異寫入 reorg_audit
+ * @returns {Promise<{status: 'confirmed'|'repaired'|'locked'|'missing'}>}
+ */
+async function checkEpochReorg(epoch, lp = '') {
+  const stored = await pool.query('SELECT * FROM epoch_log_fingerprint WHERE epoch = $1', [epoch]);
+  if (stored.rows.length === 0) return { status: 'missing' };
+  const old = stored.rows[0];
+
+  if (!await acquireEpochLock(epoch)) return { status: 'locked' };
+
   try {
-    const result = await pool.query(
-      'SELECT retry_count FROM failed_epochs WHERE epoch = $1',
-      [epoch]
-    );
-    return result.rows[0]?.retry_count || 0;
-  } catch (e) {
-    return 0;
-  }
-}
+    await pool.query('UPDATE epoch_log_fingerprint SET checked_at = NOW() WHERE epoch = $1', [epoch]);
 
-// 驗證函數
-async function validateRoundDataFromChain(rd, epoch) {
-  const errors = [];
-  if (!rd.startTimestamp || rd.startTimestamp <= 0) errors.push('缺少開始時間');
-  if (!rd.lockTimestamp || rd.lockTimestamp <= 0) errors.push('缺少鎖定時間');
-  if (!rd.closeTimestamp || rd.closeTimestamp <= 0) errors.push('缺少結束時間');
-  if (rd.startTimestamp >= rd.lockTimestamp) errors.push('時間邏輯錯誤');
-  if (rd.lockTimestamp >= rd.closeTimestamp) errors.push('時間邏輯錯誤');
-  
-  const lp = parseFloat(ethers.formatUnits(rd.lockPrice, 8));
-  const cp = parseFloat(ethers.formatUnits(rd.closePrice, 8));
-  if (lp <= 0 || lp < 50 || lp > 5000) errors.push(`lockPrice: ${lp}`);
-  if (cp <= 0 || cp < 50 || cp > 5000) errors.push(`closePrice: ${cp}`);
-  if (lp > 0 && cp > 0 && Math.abs(cp - lp) / lp > 0.20) errors.push('價格變動>20%');
-  
-  const t = parseFloat(ethers.formatEther(rd.totalAmount));
-  const b = parseFloat(ethers.formatEther(rd.bullAmount));
-  const a = parseFloat(ethers.formatEther(rd.bearAmount));
-  if (t < 0 || b < 0 || a < 0) errors.push('金額為負');
-  if (t === 0 && b === 0 && a === 0) errors.push('金額全為0');
-  if (Math.abs(t - (b + a)) > 0.001) errors.push('總額不匹配');
-  
-  if (errors.length > 0) throw new Error(`Epoch ${epoch} 驗證失敗: ${errors.join('; ')}`);
-  return true;
-}
+    const { events, roundData } = await fetchEventsForEpoch(epoch);
+    const fp = computeLogFingerprint(events);
+    if (fp.digest === old.log_digest) {
+      await pool.query('UPDATE epoch_log_fingerprint SET confirmed_at = NOW() WHERE epoch = $1', [epoch]);
+      return { status: 'confirmed' };
+    }
 
-async function validateBetEvents(events, rd, epoch) {
-  const errors = [];
-  if (events.betbull.length === 0) errors.push('缺少UP');
-  if (events.betbear.length === 0) errors.push('缺少DOWN');
-  
-  for (let i = 0; i < events.betbull.length; i++) {
-    const e = events.betbull[i];
-    try {
-      const addr = normalizeAddress(e.args.sender);
-      if (addr === '0x0000000000000000000000000000000000000000') errors.push(`UP[${i}]零地址`);
-    } catch (err) {
-      errors.push(`UP[${i}]地址錯誤`);
+    console.log(`${lp}⚠️ Epoch ${epoch} 日誌與同步時不一致 (${old.log_count} → ${fp.logCount} 筆)，開始修復`);
+
+    // 與正常同步相同的驗證，避免用不完整的查詢結果覆寫資料
+    await validateRoundDataFromChain(roundData, epoch);
+    await validateBetEvents(events, roundData, epoch);
+
+    const round = await parseRoundData(epoch, roundData, events);
+    const bets = await parseBets(events);
+    verifyRoundBetsStrict(round, bets, epoch);
+
+    // 本局區塊內已由 claimLine 索引過的領獎一併重抓（尚未索引的區塊留給 claimLine）
+    const { startBlock, endBlock } = await getBlockRangeForEpoch(epoch);
+    const claimCheckpoint = await pool.query('SELECT last_block FROM indexer_checkpoint WHERE name = $1', [CLAIM_INDEXER_NAME]);
+    const claimToBlock = Math.min(endBlock, Number(claimCheckpoint.rows[0]?.last_block ?? startBlock - 1));
+    const { claims } = claimToBlock >= startBlock
+      ? await fetchClaimRows(startBlock, claimToBlock, null)
+      : { claims: [] };
+
+    const oldHashes = old.block_hashes || {};
+    const changedBlocks = [];
+    for (const b of new Set([...Object.keys(oldHashes), ...Object.keys(fp.blockHashes)])) {
+      if (oldHashes[b] !== fp.blockHashes[b]) {
+        changedBlocks.push({ block: Number(b), old: oldHashes[b] || null, new: fp.blockHashes[b] || null });
+      }
     }
-    if (!e.args.amount || e.args.amount <= 0n) errors.push(`UP[${i}]amount無效`);
-  }
-  
-  for (let i = 0; i < events.betbear.length; i++) {
-    const e = events.betbear[i];
+
+    const client = await pool.connect();
     try {
-      const addr = normalizeAddress(e.args.sender);
-      if (addr === '0x0000000000000000000000000000000000000000') errors.push(`DOWN[${i}]零地址`);
-    } catch (err) {
-      errors.push(`DOWN[${i}]地址錯誤`);
+      await client.query('BEGIN');
+
+      const oldBets = await client.query('SELECT tx_hash FROM hisbet WHERE epoch = $1', [epoch]);
+      const betDiff = diffRowKeys(oldBets.rows, bets, b => b.tx_hash);
+
+      await client.query('DELETE FROM hisbet WHERE epoch = $1', [epoch]);
+      await insertEpochRows(round, bets, client);
+      await saveLogFingerprint(epoch, fp, client, true);
+
+      const claimKey = c => `${Number(c.block_number)}:${c.wallet_address}:${Number(c.bet_epoch)}`;
+      let claimDiff = { added: [], removed: [] };
+      if (claimToBlock >= startBlock) {
+        const oldClaims = await client.query(`
+          DELETE FROM claim WHERE block_number BETWEEN $1 AND $2
+          RETURNING epoch, block_number, wallet_address, bet_epoch
+        `, [startBlock, claimToBlock]);
+        claimDiff = diffRowKeys(oldClaims.rows, claims, claimKey);
+        await writeClaimRows(claims, startBlock, claimToBlock, client);
+        const claimEpochs = new Set([...oldClaims.rows, ...claims].map(c => Number(c.epoch)));
+        if (claimEpochs.size > 0) await rebuildMultiClaims([...claimEpochs], client);
+      }
+
+      // 本局下注已重寫，重新連結之後各區塊對本局的領獎
+      await client.query(`
+        UPDATE claim c SET bet_tx_hash = (
+          SELECT h.tx_hash FROM hisbet h WHERE h.epoch = c.bet_epoch AND h.wallet_address = c.wallet_address
+        )
+        WHERE c.bet_epoch = $1
+      `, [epoch]);
+
+      await client.query(`
+        INSERT INTO reorg_audit (epoch, old_digest, new_digest, old_log_count, new_log_count,
+          changed_blocks, bets_added, bets_removed, claims_added, claims_removed)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [epoch, old.log_digest, fp.digest, old.log_count, fp.logCount,
+          JSON.stringify(changedBlocks), JSON.stringify(betDiff.added), JSON.stringify(betDiff.removed),
+          JSON.stringify(claimDiff.added), JSON.stringify(claimDiff.removed)]);
+
+      await verifyDatabaseWrite(epoch, round, bets, client);
+      await client.query('COMMIT');
+
+      console.log(`${lp}🔧 Epoch ${epoch} 已修復: 區塊變動 ${changedBlocks.length}, 下注 +${betDiff.added.length}/-${betDiff.removed.length}, 領獎 +${claimDiff.added.length}/-${claimDiff.removed.length}`);
+      return { status: 'repaired' };
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
     }
-    if (!e.args.amount || e.args.amount <= 0n) errors.push(`DOWN[${i}]amount無效`);
+  } finally {
+    await releaseEpochLock(epoch);
   }
-  
-  if (errors.length > 0) throw new Error(`Epoch ${epoch} 下注驗證失敗: ${errors.join('; ')}`);
-  return true;
 }
 
-async function validateClaimEvents(events, procEpoch) {
-  const errors = [];
-  if (events.claim.length === 0) errors.push('缺少Claim');
-  
-  for (let i = 0; i < events.claim.length; i++) {
-    const e = events.claim[i];
-    const be = Number(e.args.epoch);
-    try {
-      const addr = normalizeAddress(e.args.sender);
-      if (addr === '0x0000000000000000000000000000000000000000') errors.push(`Claim[${i}]零地址`);
-    } catch (err) {
-      errors.push(`Claim[${i}]地址錯誤`);
+// ========================================
+// 領獎索引（獨立於局次同步）
+// ========================================
+
+const CLAIM_INDEXER_NAME = 'claim';
+const CLAIM_BACKFILL_NAME = 'claim_backfill';
+const CLAIM_BATCH_BLOCKS = parseInt(process.env.CLAIM_BATCH_BLOCKS) || 2000;
+const CLAIM_POLL_INTERVAL_MS = parseInt(process.env.CLAIM_POLL_INTERVAL_MS) || 15000;
+const CLAIM_REPAIR_CHUNK_BLOCKS = parseInt(process.env.CLAIM_REPAIR_CHUNK_BLOCKS) || 50000;
+
+let indexStartBlock = null;
+
+/**
+ * 索引器的最早區塊：CONTRACT_DEPLOY_BLOCK，未設定時為第 1 局的開局區塊
+ */
+async function getIndexStartBlock() {
+  if (indexStartBlock === null) {
+    indexStartBlock = parseInt(process.env.CONTRACT_DEPLOY_BLOCK) || 0;
+    if (!indexStartBlock) {
+      const first = await getRoundData(1);
+      const head = await retryFn(() => provider.getBlockNumber());
+      indexStartBlock = await findBlockByTime(first.startTimestamp, 0, head);
     }
-    if (be <= 0) errors.push(`Claim[${i}]bet_epoch無效`);
-    if (procEpoch <= be) errors.push(`Claim[${i}]epoch<=bet_epoch`);
-    if (!e.args.amount || e.args.amount <= 0n) errors.push(`Claim[${i}]amount無效`);
   }
-  
-  if (errors.length > 0) throw new Error(`Epoch ${procEpoch} Claim驗證失敗: ${errors.join('; ')}`);
-  return true;
+  return indexStartBlock;
 }
 
-function verifyRoundBetsStrict(round, bets, epoch) {
-  const errors = [];
-  const txs = new Set();
-  for (const b of bets) {
-    if (!b.tx_hash) {
-      errors.push('缺tx_hash');
-      continue;
-    }
-    if (txs.has(b.tx_hash)) errors.push('重複tx');
-    txs.add(b.tx_hash);
-  }
-  
-  let tot = 0, up = 0, dn = 0, uc = 0, dc = 0;
-  for (const b of bets) {
-    tot += b.amount;
-    if (b.direction === 'UP') { up += b.amount; uc++; }
-    else if (b.direction === 'DOWN') { dn += b.amount; dc++; }
-  }
-  
-  if (uc === 0) errors.push('UP為0');
-  if (dc === 0) errors.push('DOWN為0');
-  
-  const et = parseFloat(round.total_bet_amount);
-  const eu = parseFloat(round.up_bet_amount);
-  const ed = parseFloat(round.down_bet_amount);
-  if (Math.abs(tot - et) > 0.001) errors.push('總額不符');
-  if (Math.abs(up - eu) > 0.001) errors.push('UP不符');
-  if (Math.abs(dn - ed) > 0.001) errors.push('DOWN不符');
-  
-  if (errors.length > 0) throw new Error(`Epoch ${epoch} 金額驗證失敗: ${errors.join('; ')}`);
-  return true;
+async function readIndexerCheckpoint(name) {
+  const res = await pool.query('SELECT last_block, last_epoch FROM indexer_checkpoint WHERE name = $1', [name]);
+  if (res.rows.length === 0) return null;
+  const row = res.rows[0];
+  return { lastBlock: Number(row.last_block), lastEpoch: row.last_epoch === null ? null : Number(row.last_epoch) };
 }
 
-async function verifyDatabaseWrite(epoch, round, bets, client) {
-  const errors = [];
-  const rc = await client.query('SELECT 1 FROM round WHERE epoch = $1', [epoch]);
-  if (rc.rows.length === 0) errors.push('round失敗');
-  
-  const hc = await client.query('SELECT COUNT(*) as c FROM hisbet WHERE epoch = $1', [epoch]);
-  if (parseInt(hc.rows[0].c) !== bets.length) errors.push('hisbet筆數不符');
-  
-  const fc = await client.query('SELECT 1 FROM finepoch WHERE epoch = $1', [epoch]);
-  if (fc.rows.length === 0) errors.push('finepoch失敗');
-  
-  if (errors.length > 0) throw new Error(`資料庫驗證失敗: ${errors.join('; ')}`);
-  return true;
+/**
+ * 讀取索引器檢查點；首次啟動時從 startEnv 指定區塊或索引起點（合約部署）開始
+ * @returns {Promise<{lastBlock: number, lastEpoch: number|null, fresh: boolean}>}
+ */
+async function loadIndexerCheckpoint(name, startEnv) {
+  const checkpoint = await readIndexerCheckpoint(name);
+  if (checkpoint) return { ...checkpoint, fresh: false };
+
+  const startBlock = parseInt(process.env[startEnv]) || await getIndexStartBlock();
+  return { lastBlock: startBlock - 1, lastEpoch: null, fresh: true };
 }
 
-// 事件處理 - 智能版：基於歷史數據推算區塊範圍
-async function fetchEventsForEpoch(epoch) {
-  console.log(`    [fetchEvents] 獲取 Round 數據...`);
-  const rd = await getRoundData(epoch);
+/**
+ * 讀取往回補索引的游標：lastBlock 為已涵蓋的最低區塊，lastEpoch 為其前一區塊進行中的局次
+ * 舊版索引器從 hisbet 最早區塊或鏈頭附近開始，首次讀取時以既有資料的最低區塊為起點往回補
+ */
+async function loadBackfillCursor(name, table, forwardName) {
+  const cursor = await readIndexerCheckpoint(name);
+  if (cursor) return cursor;
+
+  const min = await pool.query(`SELECT MIN(block_number) AS min_block FROM ${table}`);
+  if (min.rows[0].min_block !== null) return { lastBlock: Number(min.rows[0].min_block), lastEpoch: null };
+  const forward = await readIndexerCheckpoint(forwardName);
+  return { lastBlock: forward ? forward.lastBlock + 1 : await getIndexStartBlock(), lastEpoch: null };
+}
 
-  console.log(`    [fetchEvents] 計算區塊範圍...`);
-  // 使用智能計算器獲取區塊範圍（完全基於資料庫數據，零 RPC 請求）
-  const { startBlock, endBlock } = await blockRangeCalc.getBlockRangeForEpoch(epoch);
-  console.log(`    [fetchEvents] 區塊範圍: ${startBlock} - ${endBlock}`);
+/**
+ * 往回補索引一批區塊，直到索引起點
+ * @param {Function} indexRange - indexClaimRange / indexConfigRange，以 backfill = true 呼叫
+ * @returns {Promise<{fromBlock: number, toBlock: number, result: Object}|null>} 已補完時回傳 null
+ */
+async function backfillIndexer(name, table, forwardName, batchBlocks, indexRange) {
+  const cursor = await loadBackfillCursor(name, table, forwardName);
+  const startBlock = await getIndexStartBlock();
+  if (cursor.lastBlock <= startBlock) return null;
+
+  const toBlock = cursor.lastBlock - 1;
+  const fromBlock = Math.max(startBlock, toBlock - batchBlocks + 1);
+  const result = await indexRange(fromBlock, toBlock, cursor, true);
+  return { fromBlock, toBlock, result };
+}
 
-  const f = contract.filters;
+async function saveIndexerCheckpoint(name, lastBlock, lastEpoch, client) {
+  await client.query(`
+    INSERT INTO indexer_checkpoint (name, last_block, last_epoch, updated_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (name) DO UPDATE SET
+      last_block = EXCLUDED.last_block, last_epoch = EXCLUDED.last_epoch, updated_at = NOW()
+  `, [name, lastBlock, lastEpoch]);
+}
 
-  const events = {
-    startround: [],
-    lockround: [],
-    endround: [],
-    betbull: [],
-    betbear: [],
-    claim: []
-  };
+/**
+ * 區塊範圍起點前進行中的局次
+ * 往前索引沿用上一批的局次；往回索引由範圍之後的局次（topEpoch）扣除本範圍的 StartRound 數
+ */
+function epochBeforeRange(startLogs, lastEpoch, topEpoch) {
+  if (lastEpoch !== null) return lastEpoch;
+  if (topEpoch !== null) return topEpoch - startLogs.length;
+  return startLogs.length > 0 ? Math.min(...startLogs.map(e => Number(e.args.epoch))) - 1 : null;
+}
 
-  // 批次查詢事件
-  try {
-    const [bullEvents, bearEvents, claimEvents] = await Promise.all([
-      retryFn(() => contract.queryFilter(f.BetBull(null, BigInt(epoch)), startBlock, endBlock)),
-      retryFn(() => contract.queryFilter(f.BetBear(null, BigInt(epoch)), startBlock, endBlock)),
-      retryFn(() => contract.queryFilter(f.Claim(), startBlock, endBlock))
-    ]);
+/**
+ * 依 StartRound 日誌判定每筆日誌發生時的進行中局次
+ * StartRound(E) 之前的區塊屬於 E-1
+ */
+function resolveLogEpochs(logs, startLogs, lastEpoch) {
+  const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.index - b.index;
+  const starts = [...startLogs].sort(byPosition);
+  const fallback = lastEpoch ?? (starts.length > 0 ? Number(starts[0].args.epoch) - 1 : null);
+
+  return logs.map(c => {
+    let epoch = fallback;
+    for (const st of starts) {
+      if (byPosition(st, c) > 0) break;
+      epoch = Number(st.args.epoch);
+    }
+    return epoch;
+  });
+}
 
-    events.betbull = bullEvents;
-    events.betbear = bearEvents;
-    events.claim = claimEvents;
+/**
+ * 抓取一段區塊內的 Claim 事件並轉為 claim 資料列
+ * @param {number|null} topEpoch - 往回索引時範圍之後一區塊進行中的局次
+ * @returns {Promise<{claims: Array<Object>, lastEpoch: number|null, firstEpoch: number|null}>}
+ */
+async function fetchClaimRows(fromBlock, toBlock, lastKnownEpoch, topEpoch = null) {
+  const f = contract.filters;
+  const [claimLogs, startLogs] = await Promise.all([
+    retryFn(() => contract.queryFilter(f.Claim(), fromBlock, toBlock)),
+    retryFn(() => contract.queryFilter(f.StartRound(), fromBlock, toBlock))
+  ]);
 
-    await sleep(100); // 減少請求頻率
-  } catch (e) {
-    console.error(`查詢事件失敗: ${e.message}`);
+  const firstEpoch = epochBeforeRange(startLogs, lastKnownEpoch, topEpoch);
+  const claimEpochs = resolveLogEpochs(claimLogs, startLogs, firstEpoch);
+  if (claimLogs.length > 0 && claimEpochs.some(e => e === null)) {
+    throw new Error(`區塊 ${fromBlock}-${toBlock} 無法判定領獎局次（缺少 StartRound）`);
   }
-
-  return { events, roundData: rd };
+  validateClaimLogs(claimLogs, claimEpochs, fromBlock, toBlock);
+
+  const lastEpoch = startLogs.length > 0
+    ? Math.max(...startLogs.map(e => Number(e.args.epoch)))
+    : lastKnownEpoch;
+
+  const claims = [];
+  for (let i = 0; i < claimLogs.length; i++) {
+    const e = claimLogs[i];
+    const ts = await getBlockTimestamp(e.blockNumber);
+    claims.push({
+      epoch: claimEpochs[i],
+      block_number: e.blockNumber,
+      wallet_address: normalizeAddress(e.args.sender),
+      bet_epoch: Number(e.args.epoch),
+      amount: parseFloat(ethers.formatEther(e.args.amount)),
+      tx_hash: e.transactionHash.toLowerCase(),
+      log_index: e.index,
+      claim_time: ts
+    });
+  }
+  return { claims, lastEpoch, firstEpoch };
 }
 
-async function parseRoundData(epoch, rd = null) {
-  if (!rd) rd = await getRoundData(epoch);
-  const lp = parseFloat(ethers.formatUnits(rd.lockPrice, 8));
-  const cp = parseFloat(ethers.formatUnits(rd.closePrice, 8));
-  const result = cp > lp ? "UP" : "DOWN";
-  const bull = parseFloat(ethers.formatEther(rd.bullAmount));
-  const bear = parseFloat(ethers.formatEther(rd.bearAmount));
-  const tot = bull + bear;
-  const after = tot * 0.97;
-
-  return {
-    epoch: rd.epoch,
-    start_time: toTaipeiTimeString(rd.startTimestamp),
-    lock_time: toTaipeiTimeString(rd.lockTimestamp),
-    close_time: toTaipeiTimeString(rd.closeTimestamp),
-    lock_price: ethers.formatUnits(rd.lockPrice, 8),
-    close_price: ethers.formatUnits(rd.closePrice, 8),
-    result: result,
-    total_bet_amount: tot.toString(),
-    up_bet_amount: bull.toString(),
-    down_bet_amount: bear.toString(),
-    up_payout: (bull > 0 ? after / bull : 0).toString(),
-    down_payout: (bear > 0 ? after / bear : 0).toString()
-  };
-}
+/**
+ * 修復模式：重新索引本局下注在領獎索引已涵蓋區塊內的 Claim（依 bet epoch 篩選）
+ * 領獎列的 epoch 為領獎當時的進行中局次：已索引的列沿用，新出現的依 round 開局時間推算
+ * @returns {Promise<{rows: Array<Object>, fromBlock: number, toBlock: number}|null>} 領獎索引尚未涵蓋本局時回傳 null
+ */
+async function fetchBetEpochClaims(epoch) {
+  const { startBlock } = await getBlockRangeForEpoch(epoch);
+  const checkpoint = await readIndexerCheckpoint(CLAIM_INDEXER_NAME);
+  if (!checkpoint || checkpoint.lastBlock < startBlock) return null;
+  const toBlock = checkpoint.lastBlock;
+
+  const logs = [];
+  for (let from = startBlock; from <= toBlock; from += CLAIM_REPAIR_CHUNK_BLOCKS) {
+    const to = Math.min(toBlock, from + CLAIM_REPAIR_CHUNK_BLOCKS - 1);
+    logs.push(...await retryFn(() => contract.queryFilter(contract.filters.Claim(null, BigInt(epoch)), from, to)));
+  }
 
-async function parseBets(events) {
-  const bets = [];
-  const bts = new Map();
-  const proc = async (e, dir) => {
-    let ts = bts.get(e.blockNumber);
-    if (!ts) {
-      ts = await getBlockTimestamp(e.blockNumber);
-      bts.set(e.blockNumber, ts);
+  const stored = await pool.query('SELECT block_number, wallet_address, epoch FROM claim WHERE bet_epoch = $1', [epoch]);
+  const storedEpochs = new Map(stored.rows.map(c => [`${Number(c.block_number)}:${c.wallet_address}`, Number(c.epoch)]));
+  const rows = [];
+  for (const e of logs) {
+    const ts = await getBlockTimestamp(e.blockNumber);
+    const wallet = normalizeAddress(e.args.sender);
+    let claimEpoch = storedEpochs.get(`${e.blockNumber}:${wallet}`);
+    if (claimEpoch === undefined) {
+      const active = await pool.query(
+        'SELECT epoch FROM round WHERE start_time <= to_timestamp($1) ORDER BY start_time DESC LIMIT 1', [ts]);
+      if (active.rows.length === 0) throw new Error(`區塊 ${e.blockNumber} 無法判定領獎局次`);
+      claimEpoch = Number(active.rows[0].epoch);
     }
-    bets.push({
-      epoch: Number(e.args.epoch),
-      bet_time: toTaipeiTimeString(ts),
-      wallet_address: normalizeAddress(e.args.sender),
-      direction: dir,
-      amount: parseFloat(ethers.formatEther(e.args.amount)),
+    rows.push({
+      epoch: claimEpoch,
       block_number: e.blockNumber,
+      wallet_address: wallet,
+      bet_epoch: epoch,
+      amount: parseFloat(ethers.formatEther(e.args.amount)),
       tx_hash: e.transactionHash.toLowerCase(),
+      log_index: e.index,
+      claim_time: ts
     });
-  };
-  await Promise.all([
-    ...events.betbull.map(e => proc(e, "UP")),
-    ...events.betbear.map(e => proc(e, "DOWN"))
-  ]);
-  return bets;
-}
-
-function parseClaims(events, pe) {
-  return events.claim.map(e => ({
-    epoch: pe,
-    block_number: e.blockNumber,
-    wallet_address: normalizeAddress(e.args.sender),
-    bet_epoch: Number(e.args.epoch),
-    amount: parseFloat(ethers.formatEther(e.args.amount))
-  }));
-}
-
-async function detectMultiClaims(claims) {
-  const ws = new Map();
-  for (const c of claims) {
-    const ex = ws.get(c.wallet_address) || { claimedEpochs: new Set(), totalAmount: 0 };
-    ex.claimedEpochs.add(c.bet_epoch);
-    ex.totalAmount += c.amount;
-    ws.set(c.wallet_address, ex);
-  }
-  const mce = [];
-  for (const [w, s] of ws.entries()) {
-    if (s.claimedEpochs.size >= 5 || s.totalAmount >= 1) {
-      mce.push({
-        epoch: claims[0].epoch,
-        wallet_address: w,
-        num_claimed_epochs: s.claimedEpochs.size,
-        total_amount: s.totalAmount
-      });
-    }
   }
-  return mce;
+  validateClaimLogs(logs, rows.map(c => c.epoch), startBlock, toBlock);
+  return { rows, fromBlock: startBlock, toBlock };
 }
 
-// 資料庫寫入（帶詳細日誌）
-async function writeDataTransaction(round, bets, claims, multiClaims, client, lp = '') {
-  await client.query("BEGIN");
-  
-  await client.query(`
-    INSERT INTO round(epoch, start_time, lock_time, close_time, lock_price, close_price, result,
-       total_bet_amount, up_bet_amount, down_bet_amount, up_payout, down_payout)
-    VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
-    ON CONFLICT (start_time, epoch) DO UPDATE SET
-      lock_price=EXCLUDED.lock_price, close_price=EXCLUDED.close_price, result=EXCLUDED.result,
-      total_bet_amount=EXCLUDED.total_bet_amount, up_bet_amount=EXCLUDED.up_bet_amount,
-      down_bet_amount=EXCLUDED.down_bet_amount, up_payout=EXCLUDED.up_payout, down_payout=EXCLUDED.down_payout
-    `, [round.epoch, round.start_time, round.lock_time, round.close_time, round.lock_price, round.close_price,
-        round.result, round.total_bet_amount||0, round.up_bet_amount||0, round.down_bet_amount||0,
-        round.up_payout||0, round.down_payout||0]);
-
-  if (bets.length > 0) {
-    const v = [], p = [];
-    let i = 1;
-    for (const b of bets) {
-      v.push(`($${i},$${i+1},$${i+2},$${i+3},$${i+4},$${i+5},$${i+6},$${i+7})`);
-      p.push(b.epoch, b.bet_time, b.wallet_address, b.direction, b.amount,
-            b.block_number, b.tx_hash, b.direction === round.result ? "WIN" : "LOSS");
-      i += 8;
-    }
-    await client.query(`
-      INSERT INTO hisbet(epoch, bet_time, wallet_address, bet_direction, bet_amount, block_number, tx_hash, result)
-      VALUES ${v.join(',')} ON CONFLICT (bet_time, tx_hash) DO NOTHING
-    `, p);
-  }
-
-  if (claims.length > 0) {
-    const v = [], p = [];
-    let i = 1;
-    for (const c of claims) {
-      v.push(`($${i},$${i+1},$${i+2},$${i+3},$${i+4})`);
-      p.push(c.epoch, c.block_number, c.wallet_address, c.bet_epoch, c.amount);
-      i += 5;
-    }
-    await client.query(`
-      INSERT INTO claim(epoch, block_number, wallet_address, bet_epoch, amount)
-      VALUES ${v.join(',')} ON CONFLICT (block_number, wallet_address, bet_epoch) DO NOTHING
-    `, p);
-  }
-
-  let multiClaimCount = 0;
-  if (multiClaims.length > 0) {
-    const v = [], p = [];
-    let i = 1;
-    for (const mc of multiClaims) {
-      v.push(`($${i},$${i+1},$${i+2},$${i+3})`);
-      p.push(mc.epoch, mc.wallet_address, mc.num_claimed_epochs, mc.total_amount);
-      i += 4;
+/**
+ * 索引一段區塊內的所有 Claim 事件，並在同一交易中推進檢查點（backfill 時改為往回推進補索引游標）
+ * @returns {Promise<{claims: number, lastEpoch: number|null}>}
+ */
+async function indexClaimRange(fromBlock, toBlock, checkpoint, backfill = false) {
+  const { claims, lastEpoch, firstEpoch } = backfill
+    ? await fetchClaimRows(fromBlock, toBlock, null, checkpoint.lastEpoch)
+    : await fetchClaimRows(fromBlock, toBlock, checkpoint.lastEpoch);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (claims.length > 0) {
+      await writeClaimRows(claims, fromBlock, toBlock, client);
+      await rebuildMultiClaims([...new Set(claims.map(c => c.epoch))], client);
     }
-    await client.query(`
-      INSERT INTO multi_claim(epoch, wallet_address, num_claimed_epochs, total_amount)
-      VALUES ${v.join(',')} ON CONFLICT (epoch, wallet_address) DO NOTHING
-    `, p);
-    multiClaimCount = multiClaims.length;
-  }
 
-  const now = Math.floor(Date.now() / 1000);
-  const ct = new Date(round.close_time).getTime() / 1000;
-  let realbetDeleted = 0;
-  if (now - ct > 600) {
-    const deleteResult = await client.query('DELETE FROM realbet WHERE epoch = $1', [round.epoch]);
-    realbetDeleted = deleteResult.rowCount;
+    if (backfill) await saveIndexerCheckpoint(CLAIM_BACKFILL_NAME, fromBlock, firstEpoch, client);
+    else await saveIndexerCheckpoint(CLAIM_INDEXER_NAME, toBlock, lastEpoch, client);
+
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
   }
 
-  await client.query(`INSERT INTO finepoch(epoch) VALUES($1) ON CONFLICT DO NOTHING`, [round.epoch]);
-  await client.query("COMMIT");
+  return { claims: claims.length, lastEpoch };
+}
+
+// ========================================
+// 合約設定索引（管理事件）
+// ========================================
 
-  // 詳細日誌
-  console.log(`${lp}  multi_claim: ${multiClaimCount} 筆`);
-  console.log(`${lp}  realbet 刪除: ${realbetDeleted} 筆`);
+const CONFIG_INDEXER_NAME = 'config';
+const CONFIG_BACKFILL_NAME = 'config_backfill';
+const CONFIG_BATCH_BLOCKS = parseInt(process.env.CONFIG_BATCH_BLOCKS) || 5000;
+const CONFIG_POLL_INTERVAL_MS = parseInt(process.env.CONFIG_POLL_INTERVAL_MS) || 60000;
 
+/**
+ * 讀取指定區塊的合約設定作為索引起點；節點不支援歷史狀態時改讀最新狀態
+ */
+async function readConfigSnapshot(blockTag) {
+  const read = async (tag) => {
+    const [treasuryFee, bufferSeconds, intervalSeconds, minBetAmount, oracle, operator, paused] = await Promise.all([
+      contract.treasuryFee({ blockTag: tag }),
+      contract.bufferSeconds({ blockTag: tag }),
+      contract.intervalSeconds({ blockTag: tag }),
+      contract.minBetAmount({ blockTag: tag }),
+      contract.oracle({ blockTag: tag }),
+      contract.operatorAddress({ blockTag: tag }),
+      contract.paused({ blockTag: tag })
+    ]);
+    return {
+      treasuryFee: Number(treasuryFee),
+      bufferSeconds: Number(bufferSeconds),
+      intervalSeconds: Number(intervalSeconds),
+      minBetAmount: ethers.formatEther(minBetAmount),
+      oracle: oracle.toLowerCase(),
+      operator: operator.toLowerCase(),
+      paused
+    };
+  };
   try {
-    await redisPublisher.publish('round_update_channel', JSON.stringify(round));
-  } catch (e) {}
+    return { ...(await read(blockTag)), source: 'block' };
+  } catch (e) {
+    console.log(`[設定索引] 無法讀取區塊 ${blockTag} 的歷史狀態 (${e.message})，改用最新狀態`);
+    return { ...(await retryFn(() => read('latest'))), source: 'latest' };
+  }
 }
 
-// 核心同步邏輯（帶詳細日誌）
-async function syncEpoch(epoch, lp = '') {
-  if (await epochAlreadyDone(epoch)) {
-    console.log(`${lp}Epoch ${epoch} 已存在，跳過`);
-    return { success: true, skipped: true };
-  }
+/**
+ * 索引一段區塊內的管理事件，並在同一交易中推進檢查點（backfill 時改為往回推進補索引游標）
+ * 往回補的事件早於起點 Snapshot，依區塊順序套用時會被 Snapshot 覆蓋為當時的完整狀態
+ * @returns {Promise<{events: number, lastEpoch: number|null}>}
+ */
+async function indexConfigRange(fromBlock, toBlock, checkpoint, backfill = false) {
+  const topics = [...CONFIG_EVENTS, 'StartRound'].map(n => contract.interface.getEvent(n).topicHash);
+  const raw = await retryFn(() => provider.getLogs({ address: contractAddr, topics: [topics], fromBlock, toBlock }));
+  const logs = raw.map(l => {
+    const parsed = contract.interface.parseLog(l);
+    return { eventName: parsed.name, args: parsed.args, blockNumber: l.blockNumber, index: l.index, transactionHash: l.transactionHash };
+  });
 
-  const lk = `processing:epoch:${epoch}`;
-  const la = await redisPublisher.set(lk, 'true', 'EX', 300, 'NX'); // 5分鐘鎖，避免雙線程衝突
-  if (!la) {
-    console.log(`${lp}Epoch ${epoch} 已被鎖定，跳過`);
-    return { success: false, reason: 'locked' };
-  }
+  const startLogs = logs.filter(l => l.eventName === 'StartRound');
+  const configLogs = logs.filter(l => l.eventName !== 'StartRound');
+  const firstEpoch = backfill
+    ? epochBeforeRange(startLogs, null, checkpoint.lastEpoch)
+    : checkpoint.lastEpoch;
+  const resolved = resolveLogEpochs(configLogs, startLogs, firstEpoch);
+  const lastEpoch = startLogs.length > 0
+    ? Math.max(...startLogs.map(e => Number(e.args.epoch)))
+    : checkpoint.lastEpoch;
 
   const client = await pool.connect();
   try {
-    console.log(`${lp}📍 開始處理 Epoch ${epoch}`);
-
-    console.log(`${lp}  → 獲取事件數據...`);
-    const { events, roundData } = await fetchEventsForEpoch(epoch);
-    
-    // 日誌：事件統計
-    const upCount = events.betbull.length;
-    const downCount = events.betbear.length;
-    const claimCount = events.claim.length;
-    console.log(`${lp}  UP: ${upCount} 筆, DOWN: ${downCount} 筆, 領獎: ${claimCount} 筆`);
-    
-    await validateRoundDataFromChain(roundData, epoch);
-    await validateBetEvents(events, roundData, epoch);
-    await validateClaimEvents(events, epoch);
-
-    const round = await parseRoundData(epoch, roundData);
-    const bets = await parseBets(events);
-    const claims = parseClaims(events, epoch);
-    const mc = await detectMultiClaims(claims);
-
-    verifyRoundBetsStrict(round, bets, epoch);
-    await writeDataTransaction(round, bets, claims, mc, client, lp);
-    await verifyDatabaseWrite(epoch, round, bets, client);
+    await client.query('BEGIN');
+
+    if (checkpoint.fresh) {
+      const snapshot = await readConfigSnapshot(fromBlock);
+      await client.query(`
+        INSERT INTO contract_config_history (block_number, log_index, tx_hash, event_time, epoch, event_name, params)
+        VALUES ($1, -1, NULL, to_timestamp($2), 0, 'Snapshot', $3)
+        ON CONFLICT (block_number, log_index) DO NOTHING
+      `, [fromBlock, await getBlockTimestamp(fromBlock), JSON.stringify(snapshot)]);
+    }
 
-    console.log(`${lp}✅ Epoch ${epoch} 完成`);
-    return { success: true };
+    for (let i = 0; i < configLogs.length; i++) {
+      const l = configLogs[i];
+      // Pause/Unpause/NewMinBetAmount/NewTreasuryFee 自帶 epoch，其餘依 StartRound 推算
+      const epoch = l.args.epoch !== undefined ? Number(l.args.epoch) : resolved[i];
+      const ts = await getBlockTimestamp(l.blockNumber);
+      await client.query(`
+        INSERT INTO contract_config_history (block_number, log_index, tx_hash, event_time, epoch, event_name, params)
+        VALUES ($1, $2, $3, to_timestamp($4), $5, $6, $7)
+        ON CONFLICT (block_number, log_index) DO NOTHING
+      `, [l.blockNumber, l.index, l.transactionHash.toLowerCase(), ts, epoch, l.eventName,
+          JSON.stringify(configEventParams(l))]);
+    }
 
-  } catch (error) {
+    if (backfill) await saveIndexerCheckpoint(CONFIG_BACKFILL_NAME, fromBlock, firstEpoch, client);
+    else await saveIndexerCheckpoint(CONFIG_INDEXER_NAME, toBlock, lastEpoch, client);
+    await client.query('COMMIT');
+  } catch (e) {
     await client.query('ROLLBACK');
-    console.error(`${lp}❌ Epoch ${epoch}: ${error.message}`);
-    await logFailedEpoch(epoch, error, 'sync');
-    return { success: false, error: error.message };
+    throw e;
   } finally {
     client.release();
-    await redisPublisher.del(lk);
   }
-}
 
-// 三線系統狀態
-let latestEpochFromRedis = null;
-let latestLockTimestamp = null;
-let upLinePaused = false;
-let downLinePaused = false;
-let gapLinePaused = false;
-
-/**
- * 獲取數據母體邊界
- */
-async function getDataBoundaries() {
-  const result = await pool.query(`
-    SELECT MIN(epoch) as min_epoch, MAX(epoch) as max_epoch, COUNT(DISTINCT epoch) as total_epochs
-    FROM hisbet
-  `);
-  return result.rows[0];
+  for (const l of configLogs) {
+    console.log(`[設定索引] ${l.eventName} @ 區塊 ${l.blockNumber}: ${JSON.stringify(configEventParams(l))}`);
+    // 影響同步判定的設定變更時清除快取
+    if (l.eventName === 'NewBufferAndIntervalSeconds') resetBufferSeconds();
+  }
+  return { events: configLogs.length, lastEpoch };
 }
 
+// 各線執行期控制：暫停 / 恢復、間隔與批量，經 hisbet_command_channel 或 LINE_CONTROL_PORT 調整
+const lineControl = new LineControlRegistry('hisbet');
+const upControl = lineControl.register('up', { intervalMs: 60000, delayMs: 100 });
+const downControl = lineControl.register('down',
+  { workers: BACKFILL_WORKERS, batchSize: BACKFILL_CHUNK, bulk: BULK_SYNC ? 1 : 0 },
+  { workers: BACKFILL_WORKERS, bulk: 1 }); // 連線池依啟動時的 worker 數配置
+const gapControl = lineControl.register('gap', { intervalMs: 30 * 60 * 1000, batchSize: 100, delayMs: 500 });
+const retryControl = lineControl.register('retry', { intervalMs: RETRY_POLL_INTERVAL_MS, batchSize: RETRY_BATCH });
+const reorgControl = lineControl.register('reorg', { intervalMs: REORG_CHECK_INTERVAL_MS, batchSize: REORG_BATCH });
+const claimControl = lineControl.register('claim', { intervalMs: CLAIM_POLL_INTERVAL_MS, batchBlocks: CLAIM_BATCH_BLOCKS });
+const configControl = lineControl.register('config', { intervalMs: CONFIG_POLL_INTERVAL_MS, batchBlocks: CONFIG_BATCH_BLOCKS });
+
 /**
- * 訂閱 Redis round_update_channel
+ * 訂閱 Redis round_update_channel 與 hisbet_command_channel
  */
 async function setupRedisSubscription() {
   const redisSubscriber = new Redis(process.env.REDIS_URL, {
@@ -724,40 +683,34 @@ async function setupRedisSubscription() {
     }
   });
 
-  redisSubscriber.subscribe('round_update_channel', (err) => {
+  redisSubscriber.subscribe(CHANNELS.ROUND_UPDATE, COMMAND_CHANNEL, (err) => {
     if (err) {
       console.error('❌ Redis 訂閱失敗:', err);
     } else {
-      console.log('✅ 已訂閱 round_update_channel');
+      console.log(`✅ 已訂閱 ${CHANNELS.ROUND_UPDATE}, ${COMMAND_CHANNEL}`);
     }
   });
 
   redisSubscriber.on('message', async (channel, message) => {
-    if (channel === 'round_update_channel') {
+    if (channel === COMMAND_CHANNEL) {
       try {
-        const data = JSON.parse(message);
-        let epoch, lockTimestamp;
-        
-        // 支援兩種格式：
-        // 1. { type: 'round_update', data: { epoch: ..., lockTimestamp: ... } }
-        // 2. { epoch: ..., lockTimestamp: ... } 或 { epoch: ..., status: ... }
-        if (data.type === 'round_update' && data.data) {
-          epoch = Number(data.data.epoch);
-          lockTimestamp = Number(data.data.lockTimestamp);
-        } else if (data.epoch) {
-          epoch = Number(data.epoch);
-          lockTimestamp = data.lockTimestamp ? Number(data.lockTimestamp) : null;
-        } else {
-          console.log(`⚠️ 未知訊息格式:`, data);
-          return;
-        }
+        handleCommandMessage(message);
+      } catch (err) {
+        console.error('❌ 處理指令失敗:', err.message);
+      }
+      return;
+    }
 
+    if (channel === CHANNELS.ROUND_UPDATE) {
+      try {
+        const update = parseRoundUpdate(message);
+        if (!update) return;
+
+        const { epoch, lockTimestamp } = update;
         console.log(`📥 收到局次更新: Epoch ${epoch}${lockTimestamp ? `, lockTimestamp: ${lockTimestamp}` : ''}`);
 
-        // 更新全局狀態
-        latestEpochFromRedis = epoch;
-        if (lockTimestamp) latestLockTimestamp = lockTimestamp;
-        
+        // 進行中局次尚未鎖倉時，上行線直接使用此局次
+        noteRoundUpdate(update);
       } catch (err) {
         console.error('❌ 處理 round_update 訊息失敗:', err.message);
       }
@@ -772,18 +725,45 @@ async function setupRedisSubscription() {
 }
 
 /**
- * 上行線：從 DB 最大往前補到最新 N-2
+ * 各線共用的單局處理：略過已完成或已在重試佇列中的局次，結果計入該線狀態
+ * @param {import('./line_control').LineControl} control
+ * @param {Object|null} events - 批量同步預先抓好的事件
+ * @returns {Promise<boolean>} 是否實際呼叫了 syncEpoch
  */
-async function upLine() {
-  const up = colors.blue('[上行線] ');
-  console.log(`${up}啟動`);
+async function syncLineEpoch(epoch, lp, control, events = null) {
+  control.currentEpoch = epoch;
 
-  while (true) {
-    try {
-      if (upLinePaused) {
-        await sleep(5000);
-        continue;
-      }
+  if (await epochAlreadyDone(epoch)) {
+    console.log(`${lp}Epoch ${epoch} 已存在`);
+    return false;
+  }
+
+  const retry = await getRetryEntry(pool, epoch);
+  if (retry) {
+    console.log(`${lp}Epoch ${epoch} 在重試佇列中 (${retry.state})，交由重試線處理`);
+    return false;
+  }
+
+  console.log(`${lp}處理 Epoch ${epoch}`);
+  recordLineResult(control, epoch, await syncEpoch(epoch, lp, { events }));
+  return true;
+}
+
+function recordLineResult(control, epoch, r) {
+  if (r.success && !r.skipped) control.recordSuccess(epoch);
+  else if (!r.success && r.reason !== 'locked') control.recordFailure(epoch, r.error || r.reason);
+}
+
+/**
+ * 上行線：從上行游標往前補到最新 N-2
+ */
+async function upLine() {
+  const up = colors.blue('[上行線] ');
+  console.log(`${up}啟動`);
+
+  while (true) {
+    try {
+      await upControl.waitWhilePaused(up);
 
       // 直接從智能合約獲取最新局次
       let latestEpoch;
@@ -797,37 +777,29 @@ async function upLine() {
       }
 
       const targetEpoch = latestEpoch - 2;
-      const boundaries = await getDataBoundaries();
-      const dbMax = boundaries.max_epoch ? Number(boundaries.max_epoch) : 0;
+      let cursor = await getLineCursor(pool, 'up');
+      if (cursor === null) {
+        // 首次啟動：從目標局開始，更早的歷史交給下行線
+        cursor = targetEpoch - 1;
+        await setLineCursor(pool, 'up', cursor);
+        console.log(`${up}建立游標: ${cursor}`);
+      }
 
-      console.log(`${up}最新局次: ${latestEpoch}, 目標補到: ${targetEpoch}, DB最大: ${dbMax}`);
+      console.log(`${up}最新局次: ${latestEpoch}, 目標補到: ${targetEpoch}, 游標: ${cursor}`);
 
-      if (dbMax >= targetEpoch) {
+      if (cursor >= targetEpoch) {
         console.log(`${up}已補齊到目標，休息等待下一局...`);
 
         // 休息等待下一局（預設5分鐘局間）
-        console.log(`${up}休息 60 秒，等待下一局開始`);
-        await sleep(60000); // 等待1分鐘
+        console.log(`${up}休息 ${upControl.settings.intervalMs / 1000} 秒，等待下一局開始`);
+        await upControl.wait(upControl.settings.intervalMs);
         continue;
       }
 
-      // 從 dbMax + 1 補到 targetEpoch
-      for (let epoch = dbMax + 1; epoch <= targetEpoch; epoch++) {
-        if (await epochAlreadyDone(epoch)) {
-          console.log(`${up}Epoch ${epoch} 已存在`);
-          continue;
-        }
-
-        // 檢查失敗次數，3次後跳過
-        const failCount = await getFailCount(epoch);
-        if (failCount >= RETRY_MAX) {
-          console.log(`${up}Epoch ${epoch} 已失敗 ${failCount} 次，跳過`);
-          continue;
-        }
-
-        console.log(`${up}處理 Epoch ${epoch}${failCount > 0 ? ` (重試 ${failCount + 1}/${RETRY_MAX})` : ''}`);
-        await syncEpoch(epoch, up);
-        await sleep(100);
+      // 從游標 + 1 補到 targetEpoch；失敗的局交給重試線
+      for (let epoch = cursor + 1; epoch <= targetEpoch && !upControl.paused; epoch++) {
+        if (await syncLineEpoch(epoch, up, upControl)) await sleep(upControl.settings.delayMs);
+        await setLineCursor(pool, 'up', epoch);
       }
 
       console.log(`${up}✅ 補齊完成`);
@@ -840,52 +812,88 @@ async function upLine() {
 }
 
 /**
- * 下行線：從 DB 最小往回補歷史
+ * 將秒數格式化為「X天Y時Z分」
+ */
+function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return d > 0 ? `${d}天${h}時${m}分` : h > 0 ? `${h}時${m}分` : `${m}分${s % 60}秒`;
+}
+
+/**
+ * 下行線：從下行游標往回補歷史
+ * 每輪取游標下方 BACKFILL_CHUNK 局，由 BACKFILL_WORKERS 個 worker 並行處理；
+ * bulk 開啟時整輪先以批量日誌抓取取代逐局查詢（syncEpochRangeBulk）
+ * 跨程序安全依賴 syncEpoch 的 processing:epoch:* 鎖，RPC 請求量由節點池的 RPC_RATE_LIMIT 控制
  */
 async function downLine() {
   const down = colors.cyan('[下行線] ');
   await sleep(30000); // 延遲啟動，讓上行線先運行
-  console.log(`${down}啟動`);
+  console.log(`${down}啟動（${downControl.settings.workers} 個 worker，每輪 ${downControl.settings.batchSize} 局，` +
+    `${downControl.settings.bulk ? '批量日誌' : '逐局查詢'}，RPC 限速 ${RPC_RATE_LIMIT || '無'}/秒）`);
+
+  const startedAt = Date.now();
+  let handled = 0;
 
   while (true) {
     try {
-      if (downLinePaused) {
-        await sleep(5000);
-        continue;
-      }
-
-      const boundaries = await getDataBoundaries();
-      const dbMin = boundaries.min_epoch ? Number(boundaries.min_epoch) : null;
-
-      if (!dbMin) {
-        console.log(`${down}資料庫無數據，等待上行線建立母體`);
-        await sleep(60000);
-        continue;
+      await downControl.waitWhilePaused(down);
+
+      let cursor = await getLineCursor(pool, 'down');
+      if (cursor === null) {
+        const upCursor = await getLineCursor(pool, 'up');
+        if (upCursor === null) {
+          console.log(`${down}上行線尚未建立游標，等待`);
+          await sleep(60000);
+          continue;
+        }
+        cursor = upCursor + 1;
       }
 
-      const targetEpoch = dbMin - 1;
-
-      if (targetEpoch < 1) {
+      if (cursor - 1 < 1) {
         console.log(`${down}已補到 epoch 1，休息`);
         await sleep(300000); // 休息5分鐘
         continue;
       }
 
-      if (await epochAlreadyDone(targetEpoch)) {
-        console.log(`${down}Epoch ${targetEpoch} 已存在`);
-        continue;
+      const { workers, batchSize, bulk } = downControl.settings;
+      const lowest = Math.max(1, cursor - Math.max(1, batchSize));
+      let next = cursor - 1;
+      const worker = async () => {
+        while (next >= lowest) {
+          const epoch = next--;
+          try {
+            await syncLineEpoch(epoch, down, downControl);
+          } catch (err) {
+            console.error(`${down}❌ Epoch ${epoch}: ${err.message}`);
+          }
+        }
+      };
+
+      if (bulk) {
+        try {
+          await syncEpochRangeBulk(lowest, cursor - 1, down, downControl);
+        } catch (err) {
+          // 整段抓取失敗時本輪退回逐局查詢
+          console.error(`${down}❌ 批量抓取 ${lowest}-${cursor - 1} 失敗，改逐局查詢: ${err.message}`);
+          await Promise.all(Array.from({ length: Math.max(1, workers) }, worker));
+        }
+      } else {
+        await Promise.all(Array.from({ length: Math.max(1, workers) }, worker));
       }
 
-      // 檢查失敗次數，3次後跳過
-      const failCount = await getFailCount(targetEpoch);
-      if (failCount >= RETRY_MAX) {
-        console.log(`${down}Epoch ${targetEpoch} 已失敗 ${failCount} 次，跳過`);
-        continue;
-      }
+      // 整輪結束才推進游標，失敗的局交給重試線
+      await setLineCursor(pool, 'down', lowest);
+      handled += cursor - lowest;
 
-      console.log(`${down}處理 Epoch ${targetEpoch}${failCount > 0 ? ` (重試 ${failCount + 1}/${RETRY_MAX})` : ''}`);
-      await syncEpoch(targetEpoch, down);
-      await sleep(2000); // 慢慢補，不急
+      const elapsed = (Date.now() - startedAt) / 1000;
+      const rate = handled / elapsed;
+      const remaining = lowest - 1;
+      console.log(`${down}📊 游標 ${lowest}，本次已處理 ${handled} 局，` +
+        `速率 ${(rate * 60).toFixed(1)} 局/分，剩餘 ${remaining} 局，` +
+        `預計 ${rate > 0 ? formatDuration(remaining / rate) : '未知'} 補到 epoch 1`);
 
     } catch (e) {
       console.error(`${down}❌ 異常:`, e.message);
@@ -895,7 +903,7 @@ async function downLine() {
 }
 
 /**
- * 支線（間隙填補線）：每 30 分鐘掃描 DB 範圍內的缺失局次
+ * 支線（間隙填補線）：每 30 分鐘掃描上下行游標之間未完成的局次範圍
  */
 async function gapLine() {
   const gap = colors.green('[支線] ');
@@ -904,50 +912,41 @@ async function gapLine() {
 
   while (true) {
     try {
-      if (gapLinePaused) {
-        await sleep(5000);
-        continue;
-      }
+      await gapControl.waitWhilePaused(gap);
 
-      const boundaries = await getDataBoundaries();
-      if (!boundaries.min_epoch || !boundaries.max_epoch) {
-        console.log(`${gap}資料庫無數據，跳過掃描`);
-        await sleep(30 * 60 * 1000);
+      const upCursor = await getLineCursor(pool, 'up');
+      const fromEpoch = await getLineCursor(pool, 'down') ?? (await getSyncBounds(pool)).minEpoch;
+      if (upCursor === null || fromEpoch === null) {
+        console.log(`${gap}尚無同步狀態，跳過掃描`);
+        await gapControl.wait(gapControl.settings.intervalMs);
         continue;
       }
 
-      const dbMin = Number(boundaries.min_epoch);
-      const dbMax = Number(boundaries.max_epoch);
-      const totalEpochs = Number(boundaries.total_epochs);
-      const expectedEpochs = dbMax - dbMin + 1;
+      const ranges = await findMissingRanges(pool, fromEpoch, upCursor);
+      const missing = ranges.reduce((n, r) => n + r.to - r.from + 1, 0);
 
-      console.log(`${gap}掃描範圍: ${dbMin} - ${dbMax}, 已有: ${totalEpochs}, 應有: ${expectedEpochs}`);
+      console.log(`${gap}掃描範圍: ${fromEpoch} - ${upCursor}`);
 
-      if (totalEpochs >= expectedEpochs) {
+      if (ranges.length === 0) {
         console.log(`${gap}✅ 無缺失局次`);
       } else {
-        const missing = expectedEpochs - totalEpochs;
-        console.log(`${gap}⚠️ 發現 ${missing} 個缺失局次，開始補齊...`);
-
-        // 找出缺失的局次
-        const result = await pool.query(`
-          SELECT epoch + 1 AS missing_epoch
-          FROM hisbet
-          WHERE epoch + 1 NOT IN (SELECT epoch FROM hisbet WHERE epoch BETWEEN $1 AND $2)
-            AND epoch BETWEEN $1 AND $2 - 1
-          ORDER BY epoch
-          LIMIT 100
-        `, [dbMin, dbMax]);
-
-        for (const row of result.rows) {
-          const missingEpoch = Number(row.missing_epoch);
-          console.log(`${gap}補齊缺失局次: ${missingEpoch}`);
-          try {
-            await syncEpoch(missingEpoch, gap);
-          } catch (err) {
-            console.error(`${gap}❌ 補齊 ${missingEpoch} 失敗: ${err.message}`);
+        console.log(`${gap}⚠️ 發現 ${ranges.length} 段共 ${missing} 個缺失局次，開始補齊...`);
+
+        // 每輪最多補 batchSize 局，其餘留到下一輪
+        let budget = gapControl.settings.batchSize;
+        for (const range of ranges) {
+          if (budget <= 0 || gapControl.paused) break;
+          console.log(`${gap}補齊缺失範圍: ${range.from} - ${range.to}`);
+          for (let epoch = range.from; epoch <= range.to && budget > 0 && !gapControl.paused; epoch++) {
+            try {
+              if (await syncLineEpoch(epoch, gap, gapControl)) {
+                budget--;
+                await sleep(gapControl.settings.delayMs);
+              }
+            } catch (err) {
+              console.error(`${gap}❌ 補齊 ${epoch} 失敗: ${err.message}`);
+            }
           }
-          await sleep(500);
         }
 
         console.log(`${gap}✅ 間隙補齊完成`);
@@ -957,39 +956,702 @@ async function gapLine() {
       console.error(`${gap}❌ 異常:`, e.message);
     }
 
-    await sleep(30 * 60 * 1000); // 每30分鐘運行一次
+    await gapControl.wait(gapControl.settings.intervalMs); // 預設每30分鐘運行一次
+  }
+}
+
+/**
+ * 重試線：依 failed_epochs 排程時間重試失敗局次
+ */
+async function retryLine() {
+  const rt = colors.red('[重試線] ');
+  console.log(`${rt}啟動`);
+
+  while (true) {
+    await retryControl.waitWhilePaused(rt);
+    try {
+      const epochs = await getDueRetries(pool, retryControl.settings.batchSize);
+      for (const epoch of epochs) {
+        if (retryControl.paused) break;
+        if (await epochAlreadyDone(epoch)) {
+          await clearEpochFailure(pool, epoch);
+          continue;
+        }
+        retryControl.currentEpoch = epoch;
+        console.log(`${rt}重試 Epoch ${epoch}`);
+        recordLineResult(retryControl, epoch, await syncEpoch(epoch, rt));
+      }
+    } catch (e) {
+      console.error(`${rt}❌ 異常:`, e.message);
+    }
+
+    await retryControl.wait(retryControl.settings.intervalMs);
+  }
+}
+
+/**
+ * 重組檢查線：同步後經過 N 個確認的局次重新比對日誌
+ */
+async function reorgLine() {
+  const rg = colors.yellow('[重組檢查] ');
+  console.log(`${rg}啟動（確認數 ${REORG_CONFIRMATIONS}）`);
+
+  while (true) {
+    await reorgControl.waitWhilePaused(rg);
+    try {
+      const head = await retryFn(() => provider.getBlockNumber());
+      const due = await pool.query(`
+        SELECT epoch FROM epoch_log_fingerprint
+        WHERE confirmed_at IS NULL AND last_block <= $1
+        ORDER BY checked_at NULLS FIRST, epoch
+        LIMIT $2
+      `, [head - REORG_CONFIRMATIONS, reorgControl.settings.batchSize]);
+
+      for (const row of due.rows) {
+        if (reorgControl.paused) break;
+        const epoch = Number(row.epoch);
+        reorgControl.currentEpoch = epoch;
+        try {
+          const { status } = await checkEpochReorg(epoch, rg);
+          if (status === 'locked') console.log(`${rg}Epoch ${epoch} 已被鎖定，稍後再查`);
+          else reorgControl.recordSuccess(epoch);
+        } catch (err) {
+          console.error(`${rg}❌ Epoch ${epoch} 檢查失敗: ${err.message}`);
+          reorgControl.recordFailure(epoch, err.message);
+        }
+        await sleep(200);
+      }
+    } catch (e) {
+      console.error(`${rg}❌ 異常:`, e.message);
+    }
+
+    await reorgControl.wait(reorgControl.settings.intervalMs);
+  }
+}
+
+/**
+ * 領獎索引線：持續往前掃描區塊（落後鏈頭 REORG_CONFIRMATIONS 個區塊），寫入所有 Claim 事件
+ */
+async function claimLine() {
+  const cl = colors.magenta('[領獎索引] ');
+  console.log(`${cl}啟動（每批 ${CLAIM_BATCH_BLOCKS} 區塊）`);
+
+  while (true) {
+    await claimControl.waitWhilePaused(cl);
+    const { intervalMs, batchBlocks } = claimControl.settings;
+    try {
+      const checkpoint = await loadIndexerCheckpoint(CLAIM_INDEXER_NAME, 'CLAIM_INDEXER_START_BLOCK');
+      const head = await retryFn(() => provider.getBlockNumber());
+      const safeHead = head - REORG_CONFIRMATIONS;
+
+      // 追上鏈頭後往回補索引起點之前未涵蓋的區塊
+      if (checkpoint.lastBlock >= safeHead) {
+        const backfill = await backfillIndexer(CLAIM_BACKFILL_NAME, 'claim', CLAIM_INDEXER_NAME, batchBlocks, indexClaimRange);
+        if (!backfill) {
+          await claimControl.wait(intervalMs);
+        } else {
+          if (backfill.result.claims > 0) {
+            console.log(`${cl}往回補索引 區塊 ${backfill.fromBlock}-${backfill.toBlock}: ${backfill.result.claims} 筆領獎`);
+          }
+          await sleep(200);
+        }
+        continue;
+      }
+
+      const fromBlock = checkpoint.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + batchBlocks - 1, safeHead);
+      const { claims, lastEpoch } = await indexClaimRange(fromBlock, toBlock, checkpoint);
+      claimControl.currentEpoch = lastEpoch;
+      claimControl.recordSuccess(lastEpoch);
+      if (claims > 0) {
+        console.log(`${cl}區塊 ${fromBlock}-${toBlock}: ${claims} 筆領獎 (局次 ${lastEpoch ?? '-'})`);
+      }
+
+      // 追上鏈頭後放慢
+      if (toBlock >= safeHead) await claimControl.wait(intervalMs);
+      else await sleep(200);
+    } catch (e) {
+      console.error(`${cl}❌ 異常:`, e.message);
+      claimControl.recordFailure(claimControl.currentEpoch, e.message);
+      await claimControl.wait(intervalMs);
+    }
+  }
+}
+
+/**
+ * 設定索引線：掃描 Pause/Unpause 與各項參數變更事件，寫入 contract_config_history
+ */
+async function configLine() {
+  const cf = colors.gray('[設定索引] ');
+  console.log(`${cf}啟動（每批 ${CONFIG_BATCH_BLOCKS} 區塊）`);
+
+  while (true) {
+    await configControl.waitWhilePaused(cf);
+    const { intervalMs, batchBlocks } = configControl.settings;
+    try {
+      const checkpoint = await loadIndexerCheckpoint(CONFIG_INDEXER_NAME, 'CONFIG_INDEXER_START_BLOCK');
+      const head = await retryFn(() => provider.getBlockNumber());
+      const safeHead = head - REORG_CONFIRMATIONS;
+
+      // 追上鏈頭後往回補索引起點之前未涵蓋的區塊
+      if (checkpoint.lastBlock >= safeHead) {
+        const backfill = await backfillIndexer(CONFIG_BACKFILL_NAME, 'contract_config_history', CONFIG_INDEXER_NAME, batchBlocks, indexConfigRange);
+        if (!backfill) await configControl.wait(intervalMs);
+        else await sleep(200);
+        continue;
+      }
+
+      const fromBlock = checkpoint.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + batchBlocks - 1, safeHead);
+      const { lastEpoch } = await indexConfigRange(fromBlock, toBlock, checkpoint);
+      configControl.currentEpoch = lastEpoch;
+      configControl.recordSuccess(lastEpoch);
+
+      if (toBlock >= safeHead) await configControl.wait(intervalMs);
+      else await sleep(200);
+    } catch (e) {
+      console.error(`${cf}❌ 異常:`, e.message);
+      configControl.recordFailure(configControl.currentEpoch, e.message);
+      await configControl.wait(intervalMs);
+    }
+  }
+}
+
+/**
+ * 建立同步所需的輔助表
+ */
+async function ensureTables() {
+  // 損益欄位先於相容檢視表建立，hisbet_compat 才會包含新欄位
+  await ensureProfitSchema(pool);
+  // 時間欄位未遷移時不可寫入，直接中止
+  await ensureTimeSchema(pool);
+
+  try {
+    await ensureRoundSchema(pool);
+  } catch (e) {
+    console.error('❌ 新增 round 派彩 / 預言機欄位失敗:', e.message);
+  }
+
+  try {
+    await ensureRetryQueueTable(pool);
+  } catch (e) {
+    console.error('❌ 建立重試佇列表失敗:', e.message);
+  }
+
+  try {
+    await pool.query(`
+      ALTER TABLE claim
+        ADD COLUMN IF NOT EXISTS tx_hash TEXT,
+        ADD COLUMN IF NOT EXISTS log_index INT,
+        ADD COLUMN IF NOT EXISTS claim_time TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS bet_tx_hash TEXT
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_claim_epoch ON claim (epoch)');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS indexer_checkpoint (
+        name TEXT PRIMARY KEY,
+        last_block BIGINT NOT NULL,
+        last_epoch BIGINT,
+        updated_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+  } catch (e) {
+    console.error('❌ 建立領獎索引表失敗:', e.message);
+  }
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sync_repairs (
+        id BIGSERIAL PRIMARY KEY,
+        epoch BIGINT NOT NULL,
+        repaired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        round_changes JSONB NOT NULL,
+        bets_inserted JSONB NOT NULL,
+        bets_removed JSONB NOT NULL,
+        bets_changed JSONB NOT NULL,
+        claims_inserted JSONB,
+        claims_removed JSONB,
+        claims_changed JSONB,
+        multi_claim_rows INT
+      )
+    `);
+    await pool.query(`
+      ALTER TABLE sync_repairs
+        ADD COLUMN IF NOT EXISTS claims_inserted JSONB,
+        ADD COLUMN IF NOT EXISTS claims_removed JSONB,
+        ADD COLUMN IF NOT EXISTS claims_changed JSONB
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sync_repairs_epoch ON sync_repairs (epoch)');
+  } catch (e) {
+    console.error('❌ 建立 sync_repairs 表失敗:', e.message);
+  }
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS contract_config_history (
+        id BIGSERIAL PRIMARY KEY,
+        block_number BIGINT NOT NULL,
+        log_index INT NOT NULL,
+        tx_hash TEXT,
+        event_time TIMESTAMPTZ,
+        epoch BIGINT,
+        event_name TEXT NOT NULL,
+        params JSONB NOT NULL,
+        UNIQUE (block_number, log_index)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_contract_config_history_epoch ON contract_config_history (epoch)');
+  } catch (e) {
+    console.error('❌ 建立 contract_config_history 表失敗:', e.message);
+  }
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS epoch_blocks (
+        epoch BIGINT PRIMARY KEY,
+        start_block BIGINT NOT NULL,
+        lock_block BIGINT NOT NULL,
+        close_block BIGINT,
+        source TEXT NOT NULL,
+        discovered_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+  } catch (e) {
+    console.error('❌ 建立 epoch_blocks 表失敗:', e.message);
+  }
+
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS epoch_log_fingerprint (
+        epoch BIGINT PRIMARY KEY,
+        last_block BIGINT NOT NULL,
+        block_hashes JSONB NOT NULL,
+        log_digest TEXT NOT NULL,
+        log_count INT NOT NULL,
+        synced_at TIMESTAMPTZ NOT NULL,
+        checked_at TIMESTAMPTZ,
+        confirmed_at TIMESTAMPTZ
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_epoch_log_fingerprint_pending
+      ON epoch_log_fingerprint (last_block) WHERE confirmed_at IS NULL
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS reorg_audit (
+        id BIGSERIAL PRIMARY KEY,
+        epoch BIGINT NOT NULL,
+        detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        old_digest TEXT,
+        new_digest TEXT,
+        old_log_count INT,
+        new_log_count INT,
+        changed_blocks JSONB,
+        bets_added JSONB,
+        bets_removed JSONB,
+        claims_added JSONB,
+        claims_removed JSONB
+      )
+    `);
+  } catch (e) {
+    console.error('❌ 建立重組檢查表失敗:', e.message);
+  }
+
+  try {
+    const { seeded } = await ensureSyncStateTables(pool);
+    if (seeded > 0) console.log(`已由 finepoch 回填 ${seeded} 局同步狀態`);
+  } catch (e) {
+    console.error('❌ 建立同步狀態表失敗:', e.message);
+  }
+}
+
+// ========================================
+// 指定局次重新同步（命令列 / Redis 指令）
+// ========================================
+
+const COMMAND_CHANNEL = 'hisbet_command_channel';
+const COMMAND_RESULT_CHANNEL = CHANNELS.HISBET_COMMAND_RESULT;
+const RESYNC_MAX_EPOCHS = parseInt(process.env.RESYNC_MAX_EPOCHS) || 10000;
+
+const resyncQueue = [];
+let resyncRunning = false;
+
+/**
+ * 解析局次指定，支援 "280000-280500"、"280001,280005" 或兩者混用
+ * @param {string|number|Array<string|number>} spec
+ * @returns {number[]} 去重並排序後的局次
+ */
+function parseEpochSpec(spec) {
+  const parts = (Array.isArray(spec) ? spec : [spec])
+    .flatMap(s => String(s).split(','))
+    .map(s => s.trim())
+    .filter(Boolean);
+  if (parts.length === 0) throw new Error('未指定局次');
+
+  const epochs = new Set();
+  for (const part of parts) {
+    const m = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) throw new Error(`無效局次格式: ${part}`);
+    const from = Number(m[1]);
+    const to = m[2] ? Number(m[2]) : from;
+    if (from < 1 || to < from) throw new Error(`無效局次範圍: ${part}`);
+    if (epochs.size + (to - from + 1) > RESYNC_MAX_EPOCHS) {
+      throw new Error(`局次數量超過上限 ${RESYNC_MAX_EPOCHS}`);
+    }
+    for (let e = from; e <= to; e++) epochs.add(e);
+  }
+  return [...epochs].sort((a, b) => a - b);
+}
+
+/**
+ * 依序重新同步指定局次
+ * @param {number[]} epochs - 局次列表
+ * @param {{force?: boolean, repair?: boolean, ignoreRetryLimit?: boolean}} options
+ *   force: 忽略 finepoch 強制重跑；repair: 比對並取代既有資料列（寫入 sync_repairs）；
+ *   ignoreRetryLimit: 連同 dead-letter / 已忽略的局次一併重跑
+ * @returns {Promise<Array<{epoch: number, status: string, error?: string}>>}
+ */
+async function resyncEpochs(epochs, options = {}, lp = colors.magenta('[重同步] ')) {
+  const results = [];
+  for (const epoch of epochs) {
+    if (!options.ignoreRetryLimit) {
+      const retry = await getRetryEntry(pool, epoch);
+      if (retry && retry.state !== RETRY_STATE.RETRYING) {
+        console.log(`${lp}Epoch ${epoch} 為 ${retry.state}，跳過`);
+        results.push({ epoch, status: retry.state === RETRY_STATE.DEAD ? 'dead_letter' : 'ignored' });
+        continue;
+      }
+    }
+
+    const r = await syncEpoch(epoch, lp, { force: !!options.force, repair: !!options.repair });
+    let status = 'failed';
+    if (r.skipped) status = 'skipped';
+    else if (r.success) status = options.repair ? 'repaired' : 'synced';
+    else if (r.reason === 'locked') status = 'locked';
+    else if (r.reason === 'paused') status = 'paused';
+    results.push(r.error ? { epoch, status, error: r.error } : { epoch, status });
+    await sleep(100);
+  }
+  return results;
+}
+
+/**
+ * 輸出逐局結果與統計
+ */
+function printResyncSummary(results, lp = colors.magenta('[重同步] ')) {
+  console.log(`${lp}===== 重新同步結果 =====`);
+  for (const r of results) {
+    console.log(`${lp}Epoch ${r.epoch}: ${r.status}${r.error ? ` (${r.error})` : ''}`);
+  }
+  const counts = {};
+  for (const r of results) counts[r.status] = (counts[r.status] || 0) + 1;
+  const detail = Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(', ');
+  console.log(`${lp}共 ${results.length} 局${detail ? `: ${detail}` : ''}`);
+}
+
+/**
+ * 依序執行佇列中的重新同步任務，避免多個任務同時搶同一批局次
+ */
+async function drainResyncQueue() {
+  if (resyncRunning) return;
+  resyncRunning = true;
+  const lp = colors.magenta('[重同步] ');
+  try {
+    while (resyncQueue.length > 0) {
+      const job = resyncQueue.shift();
+      console.log(`${lp}開始任務 ${job.id}: ${job.epochs.length} 局 (${job.epochs[0]} - ${job.epochs[job.epochs.length - 1]})`);
+      const results = await resyncEpochs(job.epochs, job.options, lp);
+      printResyncSummary(results, lp);
+      try {
+        await publishMessage(redisPublisher, COMMAND_RESULT_CHANNEL, { type: 'resync_result', id: job.id, results }, 'hisbet');
+      } catch (e) {}
+    }
+  } catch (e) {
+    console.error(`${lp}❌ 異常:`, e.message);
+  } finally {
+    resyncRunning = false;
+  }
+}
+
+/**
+ * 輸出 dead-letter 清單
+ */
+function printDeadLetters(rows) {
+  if (rows.length === 0) {
+    console.log('無 dead-letter 局次');
+    return;
+  }
+  for (const r of rows) {
+    const at = r.dead_lettered_at ? new Date(r.dead_lettered_at).toISOString() : '-';
+    console.log(`Epoch ${r.epoch} [${r.state}/${r.error_class || '-'}] ${r.stage} 失敗 ${r.retry_count} 次 @ ${at}: ${r.error_message}`);
   }
+  console.log(`共 ${rows.length} 局`);
+}
+
+/**
+ * 執行 dead-letter 指令並回傳結果
+ * @param {'list'|'requeue'|'ignore'} action
+ */
+async function runDeadLetterAction(action, { epochs = [], includeIgnored = false } = {}) {
+  switch (action) {
+    case 'list':
+      return { rows: await listDeadLetters(pool, { includeIgnored }) };
+    case 'requeue':
+      return { epochs: await requeueEpochs(pool, epochs) };
+    case 'ignore':
+      return { epochs: await ignoreEpochs(pool, epochs) };
+    default:
+      throw new Error(`未知 dead-letter 動作: ${action}`);
+  }
+}
+
+/**
+ * 處理 hisbet_command_channel 指令
+ * 格式：
+ *   { type: 'resync', epochs?: "280000-280500" | number[], from?, to?, force?, ignoreRetryLimit?, id? }
+ *   { type: 'dead_letter', action: 'list' | 'requeue' | 'ignore', epochs?, includeIgnored?, id? }
+ *   { type: 'line_control', action: 'pause' | 'resume' | 'configure' | 'status', line?, settings?, id? }
+ */
+function handleCommandMessage(message) {
+  const cmd = JSON.parse(message);
+  switch (cmd.type) {
+    case 'resync': {
+      const spec = cmd.epochs ?? (cmd.from != null ? `${cmd.from}-${cmd.to ?? cmd.from}` : null);
+      if (spec == null) throw new Error('resync 指令缺少 epochs 或 from/to');
+      const epochs = parseEpochSpec(spec);
+      const id = cmd.id || `resync-${Date.now()}`;
+      resyncQueue.push({
+        id,
+        epochs,
+        options: { force: !!cmd.force, repair: !!cmd.repair, ignoreRetryLimit: !!cmd.ignoreRetryLimit }
+      });
+      console.log(`📥 收到重新同步指令 ${id}: ${epochs.length} 局，佇列長度 ${resyncQueue.length}`);
+      drainResyncQueue();
+      break;
+    }
+    case 'dead_letter': {
+      const id = cmd.id || `dead-letter-${Date.now()}`;
+      const epochs = cmd.action === 'list' ? [] : parseEpochSpec(cmd.epochs);
+      console.log(`📥 收到 dead-letter 指令 ${id}: ${cmd.action}${epochs.length ? ` ${epochs.length} 局` : ''}`);
+      runDeadLetterAction(cmd.action, { epochs, includeIgnored: !!cmd.includeIgnored })
+        .then(result => publishMessage(redisPublisher, COMMAND_RESULT_CHANNEL,
+          { type: 'dead_letter_result', id, action: cmd.action, ...result }, 'hisbet'))
+        .catch(err => console.error(`❌ dead-letter 指令 ${id} 失敗:`, err.message));
+      break;
+    }
+    case 'line_control': {
+      const id = cmd.id || `line-control-${Date.now()}`;
+      let result;
+      try {
+        result = { ok: true, ...lineControl.handleCommand(cmd) };
+      } catch (err) {
+        console.error(`❌ 控制指令 ${id} 失敗:`, err.message);
+        result = { ok: false, error: err.message };
+      }
+      publishMessage(redisPublisher, COMMAND_RESULT_CHANNEL, { type: 'line_control_result', id, ...result }, 'hisbet')
+        .catch(() => {});
+      break;
+    }
+    default:
+      console.log(`⚠️ 未知指令:`, cmd.type);
+  }
+}
+
+/**
+ * 命令列：node hisbet.js resync <局次...> [--force] [--repair] [--ignore-retry-limit]
+ * @returns {Promise<number>} 結束碼
+ */
+async function runResyncCli(args) {
+  const known = new Set(['--force', '--repair', '--ignore-retry-limit']);
+  const flags = args.filter(a => a.startsWith('--'));
+  const specs = args.filter(a => !a.startsWith('--'));
+  const unknown = flags.filter(f => !known.has(f));
+  if (unknown.length > 0 || specs.length === 0) {
+    if (unknown.length > 0) console.error(`未知參數: ${unknown.join(' ')}`);
+    console.error('用法: node hisbet.js resync <局次|起-迄>[,...] [--force] [--repair] [--ignore-retry-limit]');
+    return 2;
+  }
+
+  const epochs = parseEpochSpec(specs);
+  console.log(`重新同步 ${epochs.length} 局 (${epochs[0]} - ${epochs[epochs.length - 1]})`);
+  await ensureTables();
+
+  const results = await resyncEpochs(epochs, {
+    force: flags.includes('--force'),
+    repair: flags.includes('--repair'),
+    ignoreRetryLimit: flags.includes('--ignore-retry-limit')
+  });
+  printResyncSummary(results);
+  return results.every(r => ['synced', 'repaired', 'skipped'].includes(r.status)) ? 0 : 1;
+}
+
+/**
+ * 命令列：node hisbet.js dead-letter list [--all] | requeue <局次...> | ignore <局次...>
+ * @returns {Promise<number>} 結束碼
+ */
+async function runDeadLetterCli(args) {
+  const [action, ...rest] = args;
+  const specs = rest.filter(a => !a.startsWith('--'));
+  const valid = action === 'list' || ((action === 'requeue' || action === 'ignore') && specs.length > 0);
+  if (!valid) {
+    console.error('用法: node hisbet.js dead-letter list [--all] | requeue <局次|起-迄>[,...] | ignore <局次|起-迄>[,...]');
+    return 2;
+  }
+
+  await ensureTables();
+  if (action === 'list') {
+    const { rows } = await runDeadLetterAction('list', { includeIgnored: rest.includes('--all') });
+    printDeadLetters(rows);
+    return 0;
+  }
+
+  const epochs = parseEpochSpec(specs);
+  const result = await runDeadLetterAction(action, { epochs });
+  const label = action === 'requeue' ? '重新排入' : '忽略';
+  console.log(`已${label} ${result.epochs.length}/${epochs.length} 局${result.epochs.length ? `: ${result.epochs.join(', ')}` : ''}`);
+  return 0;
+}
+
+/**
+ * node hisbet.js rebuild-multi-claim：依完整 claim 表重建所有 multi_claim
+ */
+async function runRebuildMultiClaimCli() {
+  await ensureTables();
+  const res = await pool.query('SELECT DISTINCT epoch FROM claim ORDER BY epoch');
+  const epochs = res.rows.map(r => Number(r.epoch));
+  let rows = 0;
+  for (let i = 0; i < epochs.length; i += 1000) {
+    rows += await rebuildMultiClaims(epochs.slice(i, i + 1000), pool);
+  }
+  console.log(`已重建 ${epochs.length} 局的 multi_claim，共 ${rows} 筆`);
+  return 0;
+}
+
+/**
+ * node hisbet.js migrate-timestamptz：時間欄位轉 TIMESTAMPTZ 並建立 hypertable
+ * 大表轉換耗時，使用獨立連線並取消 statement_timeout
+ */
+async function runMigrateTimestamptzCli() {
+  const client = await pool.connect();
+  try {
+    await client.query('SET statement_timeout = 0');
+    const converted = await migrateTimeColumns(client);
+    console.log(converted > 0 ? `已轉換 ${converted} 個時間欄位` : '時間欄位皆已是 TIMESTAMPTZ');
+    return 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * node hisbet.js backfill-profit [起-迄]：補齊舊下注的損益欄位並重建 wallet_epoch_result
+ */
+async function runBackfillProfitCli(args) {
+  const m = args[0] ? args[0].match(/^(\d+)-(\d+)$/) : null;
+  if (args[0] && (!m || Number(m[2]) < Number(m[1]))) {
+    console.error('用法: node hisbet.js backfill-profit [起-迄]');
+    return 2;
+  }
+  await ensureTables();
+  const result = await backfillProfit(pool, m ? { from: Number(m[1]), to: Number(m[2]) } : {});
+  console.log(`已補齊 ${result.bets} 筆下注損益，彙總 ${result.walletEpochs} 筆錢包局次`);
+  return 0;
 }
 
 // 啟動
-(async () => {
+/**
+ * 取消局/單邊局過去會被驗證擋下並累積失敗次數，清除這些紀錄讓補漏線以目前規則重新處理
+ * 舊規則下的失敗都在錯誤分類之前寫入（stage = 'sync' 且 error_class 為 NULL）；
+ * 重新處理後仍失敗的局次會帶分類重新記錄，不會再被清除
+ */
+async function releaseLegacyValidationFailures() {
+  try {
+    const res = await pool.query(`
+      DELETE FROM failed_epochs
+      WHERE stage = 'sync' AND error_class IS NULL
+      RETURNING epoch
+    `);
+    if (res.rowCount > 0) {
+      // 清除失敗 / 跳過狀態，讓支線視為缺口重新補齊
+      await pool.query(`
+        DELETE FROM epoch_status
+        WHERE epoch = ANY($1::bigint[]) AND status IN ('failed', 'skipped')
+      `, [res.rows.map(r => r.epoch)]);
+      console.log(`已釋放 ${res.rowCount} 個因舊驗證規則失敗的局次`);
+    }
+  } catch (e) {
+    console.error('❌ 清除舊失敗紀錄失敗:', e.message);
+  }
+}
+
+async function main() {
   console.log("啟動歷史數據同步 - 三線架構");
-  console.log("上行線: 從 DB 最大往前補到最新 N-2，休息等待下一局");
-  console.log("下行線: 從 DB 最小往回補歷史");
+  console.log("上行線: 從上行游標往前補到最新 N-2，休息等待下一局");
+  console.log(`下行線: 從下行游標往回補歷史（${BACKFILL_WORKERS} 個 worker 並行）`);
   console.log("支線: 每 30 分鐘掃描並補齊缺失局次");
+  console.log("重試線: 失敗局次依錯誤類型指數退避重試，超過上限移入 dead-letter");
+  console.log(`重組檢查線: 同步後經過 ${REORG_CONFIRMATIONS} 個確認重新比對日誌`);
+  console.log("領獎索引線: 以獨立檢查點連續掃描所有 Claim 事件");
+  console.log("設定索引線: 記錄暫停與手續費/buffer/最低下注等參數變更");
 
   const client = await pool.connect();
   await client.query("SELECT 1");
   client.release();
   console.log("數據庫連接成功");
 
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS failed_epochs (
-        epoch BIGINT PRIMARY KEY,
-        error_message TEXT NOT NULL,
-        stage VARCHAR(50) NOT NULL,
-        failed_at TIMESTAMPTZ NOT NULL,
-        retry_count INT DEFAULT 0
-      )
-    `);
-  } catch (e) {}
+  await ensureTables();
+  await releaseLegacyValidationFailures();
 
-  // 訂閱 Redis 獲取最新局次
+  // 訂閱 Redis 獲取最新局次與指令
   await setupRedisSubscription();
 
-  // 啟動三線
+  if (process.env.LINE_CONTROL_PORT) {
+    lineControl.listen(parseInt(process.env.LINE_CONTROL_PORT),
+      process.env.LINE_CONTROL_HOST || '127.0.0.1', process.env.LINE_CONTROL_TOKEN || null);
+  }
+
+  // 啟動三線 + 重組檢查 + 領獎索引
   upLine();
   downLine();
   gapLine();
-})();
\ No newline at end of file
+  retryLine();
+  reorgLine();
+  claimLine();
+  configLine();
+}
+
+const CLI_COMMANDS = {
+  'resync': { run: runResyncCli, label: '重新同步' },
+  'rebuild-multi-claim': { run: runRebuildMultiClaimCli, label: '重建 multi_claim' },
+  'dead-letter': { run: runDeadLetterCli, label: 'dead-letter 指令' },
+  'migrate-timestamptz': { run: runMigrateTimestamptzCli, label: '時間欄位遷移' },
+  'backfill-profit': { run: runBackfillProfitCli, label: '損益回補' }
+};
+
+// 匯出單局同步，供 test/sync_parity.test.js 與 gk_hisbet 的工具流程比對寫入結果
+module.exports = {
+  syncEpoch,
+  syncEpochRangeBulk,
+};
+
+// 直接執行時才啟動同步線或 CLI 指令
+if (require.main === module) {
+  const cliCommand = CLI_COMMANDS[process.argv[2]];
+  if (cliCommand) {
+    cliCommand.run(process.argv.slice(3))
+      .catch((e) => {
+        console.error(`❌ ${cliCommand.label}失敗: ${e.message}`);
+        return 1;
+      })
+      .then(async (code) => {
+        redisPublisher.disconnect();
+        await pool.end();
+        process.exit(code);
+      });
+  } else {
+    main().catch((e) => {
+      console.error(`❌ 啟動失敗: ${e.message}`);
+      process.exit(1);
+    });
+  }
+}
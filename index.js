@@ -1,5 +1,8 @@
-const { realtimeBetFlow } = require('./gk_realbet');
+const { realtimeBetFlow, realtimeBetBatchFlow, pendingBetFlow, roundLifecycleFlow } = require('./gk_realbet');
 
 module.exports = {
   realtimeBetFlow,
-};
\ No newline at end of file
+  realtimeBetBatchFlow,
+  pendingBetFlow,
+  roundLifecycleFlow,
+};
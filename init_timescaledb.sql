@@ -6,9 +6,9 @@ CREATE EXTENSION IF NOT EXISTS timescaledb;
 -- ========================================
 CREATE TABLE IF NOT EXISTS round (
     epoch BIGINT NOT NULL,
-  start_time VARCHAR(25) NOT NULL,
-  lock_time VARCHAR(25) NOT NULL,
-  close_time VARCHAR(25) NOT NULL,
+  start_time TIMESTAMPTZ NOT NULL,
+  lock_time TIMESTAMPTZ NOT NULL,
+  close_time TIMESTAMPTZ NOT NULL,
     lock_price NUMERIC(20, 8),
     close_price NUMERIC(20, 8),
   result TEXT,
@@ -17,9 +17,17 @@ CREATE TABLE IF NOT EXISTS round (
     down_bet_amount NUMERIC(20, 8) NOT NULL,
     up_payout NUMERIC(20, 10),
     down_payout NUMERIC(20, 10),
+    reward_base_cal_amount NUMERIC(30, 18),  -- RewardsCalculated.rewardBaseCalAmount（贏方總下注）
+    reward_amount NUMERIC(30, 18),           -- RewardsCalculated.rewardAmount（可分配獎金）
+    treasury_amount NUMERIC(30, 18),         -- RewardsCalculated.treasuryAmount
+    treasury_fee INT,                        -- 手續費（basis points）
+    lock_oracle_id NUMERIC(30, 0),           -- LockRound.roundId（Chainlink）
+    close_oracle_id NUMERIC(30, 0),          -- EndRound.roundId（Chainlink）
     PRIMARY KEY (start_time, epoch)
 );
 
+SELECT create_hypertable('round', 'start_time', if_not_exists => TRUE, migrate_data => TRUE);
+
 -- 索引
 CREATE INDEX IF NOT EXISTS idx_round_epoch ON round (epoch);
 
@@ -29,18 +37,93 @@ CREATE INDEX IF NOT EXISTS idx_round_epoch ON round (epoch);
 CREATE TABLE IF NOT EXISTS hisbet (
   tx_hash TEXT NOT NULL,
     epoch BIGINT NOT NULL,
-  bet_time VARCHAR(25) NOT NULL,
+  bet_time TIMESTAMPTZ NOT NULL,
   wallet_address TEXT NOT NULL,
   bet_direction TEXT NOT NULL,
     bet_amount NUMERIC(20, 8) NOT NULL,
   result TEXT,
     block_number BIGINT NOT NULL,
+    payout_multiplier NUMERIC(20, 10),  -- WIN: 該方派彩倍率 / LOSS: 0 / REFUND: 1
+    gross_return NUMERIC(20, 8),        -- bet_amount × payout_multiplier
+    net_profit NUMERIC(20, 8),          -- gross_return - bet_amount
     PRIMARY KEY (bet_time, tx_hash)
 );
 
+SELECT create_hypertable('hisbet', 'bet_time', if_not_exists => TRUE, migrate_data => TRUE);
+
 -- 索引
 CREATE INDEX IF NOT EXISTS idx_hisbet_wallet_epoch ON hisbet (wallet_address, epoch);
 CREATE INDEX IF NOT EXISTS idx_hisbet_epoch_result ON hisbet (epoch, result);
+
+-- ========================================
+-- 錢包每局彙總（同局多筆下注合併，同步 hisbet 時重建）
+-- ========================================
+CREATE TABLE IF NOT EXISTS wallet_epoch_result (
+    wallet_address TEXT NOT NULL,
+    epoch BIGINT NOT NULL,
+    bet_count INT NOT NULL,
+    up_amount NUMERIC(20, 8) NOT NULL,
+    down_amount NUMERIC(20, 8) NOT NULL,
+    total_amount NUMERIC(20, 8) NOT NULL,
+    largest_bet NUMERIC(20, 8) NOT NULL,
+    wins INT NOT NULL,
+    losses INT NOT NULL,
+    gross_return NUMERIC(20, 8),
+    net_profit NUMERIC(20, 8),
+    result TEXT NOT NULL,            -- WIN | LOSS | REFUND | MIXED（同局結果不一致）
+    PRIMARY KEY (wallet_address, epoch)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_epoch_result_epoch ON wallet_epoch_result (epoch);
+
+-- 舊版 wallet_epoch_result 沒有 largest_bet / wins / losses：補上欄位並依 hisbet 回填後再設為 NOT NULL
+ALTER TABLE wallet_epoch_result
+    ADD COLUMN IF NOT EXISTS largest_bet NUMERIC(20, 8),
+    ADD COLUMN IF NOT EXISTS wins INT,
+    ADD COLUMN IF NOT EXISTS losses INT;
+
+UPDATE wallet_epoch_result w SET largest_bet = x.largest_bet, wins = x.wins, losses = x.losses
+FROM (
+    SELECT h.wallet_address, h.epoch, MAX(h.bet_amount) AS largest_bet,
+        COUNT(*) FILTER (WHERE h.result = 'WIN') AS wins, COUNT(*) FILTER (WHERE h.result = 'LOSS') AS losses
+    FROM hisbet h
+    WHERE h.epoch IN (SELECT epoch FROM wallet_epoch_result WHERE largest_bet IS NULL OR wins IS NULL OR losses IS NULL)
+    GROUP BY h.wallet_address, h.epoch
+) x
+WHERE (w.largest_bet IS NULL OR w.wins IS NULL OR w.losses IS NULL)
+  AND w.wallet_address = x.wallet_address AND w.epoch = x.epoch;
+
+UPDATE wallet_epoch_result SET
+    largest_bet = COALESCE(largest_bet, 0), wins = COALESCE(wins, 0), losses = COALESCE(losses, 0)
+WHERE largest_bet IS NULL OR wins IS NULL OR losses IS NULL;
+
+ALTER TABLE wallet_epoch_result
+    ALTER COLUMN largest_bet SET NOT NULL,
+    ALTER COLUMN wins SET NOT NULL,
+    ALTER COLUMN losses SET NOT NULL;
+
+-- ========================================
+-- 錢包維度表（隨 wallet_epoch_result 增量更新）
+-- ========================================
+CREATE TABLE IF NOT EXISTS wallets (
+    wallet_address TEXT PRIMARY KEY,
+    first_epoch BIGINT NOT NULL,
+    last_epoch BIGINT NOT NULL,
+    epochs_played INT NOT NULL,
+    bet_count INT NOT NULL,
+    volume NUMERIC(30, 8) NOT NULL,
+    wins INT NOT NULL,
+    losses INT NOT NULL,
+    net_pnl NUMERIC(30, 8) NOT NULL,
+    largest_bet NUMERIC(20, 8) NOT NULL,
+    current_streak INT NOT NULL DEFAULT 0,  -- > 0 連勝、< 0 連敗（依每局淨損益）
+    streak_since BIGINT,                     -- 目前連續結果的第一局
+    streak_break_epoch BIGINT,               -- 中斷目前連續結果的前一局
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallets_net_pnl ON wallets (net_pnl DESC);
+CREATE INDEX IF NOT EXISTS idx_wallets_volume ON wallets (volume DESC);
 CREATE INDEX IF NOT EXISTS idx_hisbet_epoch ON hisbet (epoch);
 
 -- 地址必須小寫約束
@@ -54,7 +137,7 @@ ALTER TABLE hisbet
 CREATE TABLE IF NOT EXISTS realbet (
   tx_hash TEXT NOT NULL,
     epoch BIGINT NOT NULL,
-  bet_time VARCHAR(25) NOT NULL,
+  bet_time TIMESTAMPTZ NOT NULL,
   wallet_address TEXT NOT NULL,
   bet_direction TEXT NOT NULL,
     bet_amount NUMERIC(20, 8) NOT NULL,
@@ -62,15 +145,32 @@ CREATE TABLE IF NOT EXISTS realbet (
     PRIMARY KEY (bet_time, tx_hash)
 );
 
+SELECT create_hypertable('realbet', 'bet_time', if_not_exists => TRUE, migrate_data => TRUE);
+
 -- 索引
 CREATE INDEX IF NOT EXISTS idx_realbet_epoch ON realbet (epoch);
 CREATE UNIQUE INDEX IF NOT EXISTS idx_realbet_tx_hash_unique ON realbet (bet_time, tx_hash);
+CREATE INDEX IF NOT EXISTS idx_realbet_tx_hash ON realbet (tx_hash);  -- 待確認下注以 tx_hash 查詢是否已上鏈
 
 -- 地址必須小寫約束
 ALTER TABLE realbet 
   ADD CONSTRAINT check_realbet_wallet_lowercase 
   CHECK (wallet_address = LOWER(wallet_address));
 
+-- ========================================
+-- 待確認下注表（mempool 觀察到、尚未上鏈；上鏈或逾時後由 gk_realbet.js 刪除）
+-- ========================================
+CREATE TABLE IF NOT EXISTS pending_bet (
+    tx_hash TEXT PRIMARY KEY,
+    epoch BIGINT NOT NULL,
+    wallet_address TEXT NOT NULL CHECK (wallet_address = LOWER(wallet_address)),
+    bet_direction TEXT NOT NULL,
+    bet_amount NUMERIC(20, 8) NOT NULL,
+    first_seen TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_bet_first_seen ON pending_bet (first_seen);
+
 -- ========================================
 -- 領獎記錄表
 -- ========================================
@@ -80,6 +180,10 @@ CREATE TABLE IF NOT EXISTS claim (
   wallet_address TEXT NOT NULL,
     bet_epoch BIGINT NOT NULL,
     amount NUMERIC(20, 8) NOT NULL,
+    tx_hash TEXT,
+    log_index INT,
+    claim_time TIMESTAMPTZ,
+    bet_tx_hash TEXT,          -- 對應 hisbet.tx_hash（下注同步後補上）
     PRIMARY KEY (block_number, wallet_address, bet_epoch)
 );
 
@@ -89,6 +193,7 @@ SELECT create_hypertable('claim', 'block_number', if_not_exists => TRUE, chunk_t
 -- 索引
 CREATE INDEX IF NOT EXISTS idx_claim_bet_epoch ON claim (bet_epoch);
 CREATE INDEX IF NOT EXISTS idx_claim_user_bet_epoch ON claim (wallet_address, bet_epoch);
+CREATE INDEX IF NOT EXISTS idx_claim_epoch ON claim (epoch);
 
 -- 地址必須小寫約束
 ALTER TABLE claim 
@@ -120,36 +225,219 @@ ALTER TABLE multi_claim
 -- ========================================
 CREATE TABLE IF NOT EXISTS finepoch (
     epoch BIGINT PRIMARY KEY,
-    processed_at VARCHAR(25)
+    processed_at TIMESTAMPTZ
 );
 
 CREATE INDEX IF NOT EXISTS idx_finepoch_processed ON finepoch (processed_at);
 
 -- ========================================
--- 失敗局次記錄表（用於錯誤追蹤）
+-- 失敗局次記錄表（重試佇列 + dead-letter）
 -- ========================================
 CREATE TABLE IF NOT EXISTS failed_epochs (
     epoch BIGINT PRIMARY KEY,
     error_message TEXT NOT NULL,
   stage TEXT NOT NULL,
-    failed_at VARCHAR(25) NOT NULL,
-    retry_count INT DEFAULT 0
+    failed_at TIMESTAMPTZ NOT NULL,
+    retry_count INT DEFAULT 0,
+    error_class TEXT,                           -- transient | validation
+    state TEXT NOT NULL DEFAULT 'retrying',     -- retrying | dead | ignored
+    next_retry_at TIMESTAMPTZ,
+    dead_lettered_at TIMESTAMPTZ
 );
 
 CREATE INDEX IF NOT EXISTS idx_failed_epochs_retry ON failed_epochs (retry_count);
 CREATE INDEX IF NOT EXISTS idx_failed_epochs_time ON failed_epochs (failed_at);
+CREATE INDEX IF NOT EXISTS idx_failed_epochs_due ON failed_epochs (next_retry_at) WHERE state = 'retrying';
+
+-- ========================================
+-- 索引器檢查點（領獎索引等）
+-- ========================================
+CREATE TABLE IF NOT EXISTS indexer_checkpoint (
+    name TEXT PRIMARY KEY,
+    last_block BIGINT NOT NULL,
+    last_epoch BIGINT,
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+-- ========================================
+-- 合約設定歷史（管理事件 + 索引起點快照）
+-- ========================================
+CREATE TABLE IF NOT EXISTS contract_config_history (
+    id BIGSERIAL PRIMARY KEY,
+    block_number BIGINT NOT NULL,
+    log_index INT NOT NULL,          -- Snapshot 為 -1
+    tx_hash TEXT,
+    event_time TIMESTAMPTZ,
+    epoch BIGINT,
+    event_name TEXT NOT NULL,        -- Pause | Unpause | NewTreasuryFee | ... | Snapshot
+    params JSONB NOT NULL,
+    UNIQUE (block_number, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contract_config_history_epoch ON contract_config_history (epoch);
+
+-- ========================================
+-- 局次區塊邊界快取（鏈上探測結果）
+-- ========================================
+CREATE TABLE IF NOT EXISTS epoch_blocks (
+    epoch BIGINT PRIMARY KEY,
+    start_block BIGINT NOT NULL,
+    lock_block BIGINT NOT NULL,
+    close_block BIGINT,
+    source TEXT NOT NULL,
+    discovered_at TIMESTAMPTZ NOT NULL
+);
+
+-- ========================================
+-- 日誌指紋表（鏈重組檢查用）
+-- ========================================
+CREATE TABLE IF NOT EXISTS epoch_log_fingerprint (
+    epoch BIGINT PRIMARY KEY,
+    last_block BIGINT NOT NULL,
+    block_hashes JSONB NOT NULL,
+    log_digest TEXT NOT NULL,
+    log_count INT NOT NULL,
+    synced_at TIMESTAMPTZ NOT NULL,
+    checked_at TIMESTAMPTZ,
+    confirmed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_epoch_log_fingerprint_pending ON epoch_log_fingerprint (last_block) WHERE confirmed_at IS NULL;
+
+-- ========================================
+-- 重組修復稽核表
+-- ========================================
+CREATE TABLE IF NOT EXISTS reorg_audit (
+    id BIGSERIAL PRIMARY KEY,
+    epoch BIGINT NOT NULL,
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    old_digest TEXT,
+    new_digest TEXT,
+    old_log_count INT,
+    new_log_count INT,
+    changed_blocks JSONB,
+    bets_added JSONB,
+    bets_removed JSONB,
+    claims_added JSONB,
+    claims_removed JSONB
+);
+
+-- ========================================
+-- 修復模式稽核表（resync --repair 的逐局差異）
+-- ========================================
+CREATE TABLE IF NOT EXISTS sync_repairs (
+    id BIGSERIAL PRIMARY KEY,
+    epoch BIGINT NOT NULL,
+    repaired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    round_changes JSONB NOT NULL,    -- {欄位: {old, new}}
+    bets_inserted JSONB NOT NULL,
+    bets_removed JSONB NOT NULL,
+    bets_changed JSONB NOT NULL,     -- [{tx_hash, fields: {欄位: {old, new}}}]
+    claims_inserted JSONB,           -- 本局下注的領獎列；未重新索引領獎時為 NULL
+    claims_removed JSONB,
+    claims_changed JSONB,            -- [{block_number, wallet_address, fields: {欄位: {old, new}}}]
+    multi_claim_rows INT
+);
+
+ALTER TABLE sync_repairs ADD COLUMN IF NOT EXISTS claims_inserted JSONB;
+ALTER TABLE sync_repairs ADD COLUMN IF NOT EXISTS claims_removed JSONB;
+ALTER TABLE sync_repairs ADD COLUMN IF NOT EXISTS claims_changed JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_sync_repairs_epoch ON sync_repairs (epoch);
+
+-- ========================================
+-- 同步狀態：各線游標與每局狀態
+-- ========================================
+CREATE TABLE IF NOT EXISTS sync_cursor (
+    line TEXT PRIMARY KEY,           -- up | down
+    epoch BIGINT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS epoch_status (
+    epoch BIGINT PRIMARY KEY,
+    status TEXT NOT NULL CHECK (status IN ('synced', 'failed', 'skipped', 'cancelled')),
+    detail TEXT,
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_epoch_status_failed ON epoch_status (epoch) WHERE status = 'failed';
+
+-- ========================================
+-- 資料完整性稽核（auditor.js）
+-- ========================================
+CREATE TABLE IF NOT EXISTS audit_runs (
+    id BIGSERIAL PRIMARY KEY,
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ,
+    from_epoch BIGINT NOT NULL,
+    to_epoch BIGINT NOT NULL,
+    status TEXT NOT NULL,            -- running | ok | warning | error | failed
+    summary JSONB                    -- {checks: {名稱: {severity, count}}, totals, failures}
+);
+
+CREATE TABLE IF NOT EXISTS audit_findings (
+    id BIGSERIAL PRIMARY KEY,
+    run_id BIGINT NOT NULL REFERENCES audit_runs (id) ON DELETE CASCADE,
+    check_name TEXT NOT NULL,
+    severity TEXT NOT NULL CHECK (severity IN ('error', 'warning', 'info')),
+    epoch BIGINT,
+    entity TEXT,                     -- 錢包地址或表名
+    detail JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_findings_run ON audit_findings (run_id);
+CREATE INDEX IF NOT EXISTS idx_audit_findings_check_epoch ON audit_findings (check_name, epoch);
+
+-- ========================================
+-- 相容檢視表：時間欄位輸出舊的台北時間字串（YYYY-MM-DD HH:mm:ss）
+-- hisbet.js 啟動時會依實際欄位重建（time_columns.js）
+-- ========================================
+CREATE OR REPLACE VIEW round_compat AS
+SELECT epoch,
+       TO_CHAR(start_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') AS start_time,
+       TO_CHAR(lock_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') AS lock_time,
+       TO_CHAR(close_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') AS close_time,
+       lock_price, close_price, result, total_bet_amount, up_bet_amount, down_bet_amount,
+       up_payout, down_payout, reward_base_cal_amount, reward_amount, treasury_amount, treasury_fee
+FROM round;
+
+CREATE OR REPLACE VIEW hisbet_compat AS
+SELECT tx_hash, epoch,
+       TO_CHAR(bet_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') AS bet_time,
+       wallet_address, bet_direction, bet_amount, result, block_number,
+       payout_multiplier, gross_return, net_profit
+FROM hisbet;
+
+CREATE OR REPLACE VIEW realbet_compat AS
+SELECT tx_hash, epoch,
+       TO_CHAR(bet_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') AS bet_time,
+       wallet_address, bet_direction, bet_amount, block_number
+FROM realbet;
 
 -- ========================================
 -- 完成訊息
 -- ========================================
 DO $$ 
 BEGIN 
-    RAISE NOTICE '✅ TimescaleDB 表格初始化完成 (時間格式已修改為 VARCHAR)';
-    RAISE NOTICE '- round: 局次資訊';
-    RAISE NOTICE '- hisbet: 歷史下注（永久）';
-    RAISE NOTICE '- realbet: 即時下注（暫存）';
+    RAISE NOTICE '✅ TimescaleDB 表格初始化完成 (時間欄位為 TIMESTAMPTZ)';
+    RAISE NOTICE '- round: 局次資訊（hypertable: start_time）';
+    RAISE NOTICE '- hisbet: 歷史下注（永久，hypertable: bet_time）';
+    RAISE NOTICE '- wallet_epoch_result: 錢包每局損益彙總';
+    RAISE NOTICE '- wallets: 錢包維度表';
+    RAISE NOTICE '- realbet: 即時下注（暫存，hypertable: bet_time）';
+    RAISE NOTICE '- pending_bet: 待確認下注（mempool）';
     RAISE NOTICE '- claim: 領獎記錄';
     RAISE NOTICE '- multi_claim: 大額領獎';
     RAISE NOTICE '- finepoch: 已處理標記';
-    RAISE NOTICE '- failed_epochs: 失敗記錄';
+    RAISE NOTICE '- failed_epochs: 失敗記錄 / 重試佇列';
+    RAISE NOTICE '- indexer_checkpoint: 索引器檢查點';
+    RAISE NOTICE '- contract_config_history: 合約設定歷史';
+    RAISE NOTICE '- epoch_blocks: 局次區塊邊界';
+    RAISE NOTICE '- epoch_log_fingerprint: 日誌指紋';
+    RAISE NOTICE '- reorg_audit: 重組修復稽核';
+    RAISE NOTICE '- sync_repairs: 修復模式稽核';
+    RAISE NOTICE '- sync_cursor / epoch_status: 同步游標與局次狀態';
+    RAISE NOTICE '- audit_runs / audit_findings: 資料完整性稽核';
+    RAISE NOTICE '- round_compat / hisbet_compat / realbet_compat: 舊字串時間格式檢視表';
 END $$;
\ No newline at end of file
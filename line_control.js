@@ -0,0 +1,231 @@
+/**
+ * 同步線執行期控制 - 暫停 / 恢復、調整間隔與批量、回報即時狀態
+ * hisbet.js 與 gk_hisbet.js 共用；指令可經 Redis 指令頻道或 HTTP 送入
+ *
+ * Redis 指令格式：
+ *   { type: 'line_control', action: 'pause' | 'resume' | 'configure' | 'status', line?: 'up' | 'all', settings?, id? }
+ * HTTP：
+ *   GET  /lines                   全部狀態
+ *   POST /lines/:line/pause       暫停（line 可為 all）
+ *   POST /lines/:line/resume      恢復
+ *   POST /lines/:line/config      body 為 settings JSON
+ */
+
+const http = require("http");
+
+const ERROR_WINDOW = 100; // 錯誤率統計最近幾局
+
+class LineControl {
+  /**
+   * @param {string} name
+   * @param {Object<string, number>} settings - 可調整的數值設定（間隔、批量等）
+   * @param {Object<string, number>} limits - 各設定的上限
+   */
+  constructor(name, settings, limits = {}) {
+    this.name = name;
+    this.paused = false;
+    this.settings = { ...settings };
+    this.limits = limits;
+    this.currentEpoch = null;
+    this.lastSuccessEpoch = null;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.processed = 0;
+    this.failed = 0;
+    this.outcomes = [];
+    this.wakers = new Set();
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.wake();
+  }
+
+  /**
+   * 套用設定；只接受已存在的鍵與非負整數
+   */
+  configure(patch) {
+    const next = { ...this.settings };
+    for (const [key, value] of Object.entries(patch || {})) {
+      if (!(key in this.settings)) throw new Error(`${this.name} 無此設定: ${key}`);
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 0) throw new Error(`${this.name}.${key} 必須為非負整數`);
+      if (this.limits[key] !== undefined && n > this.limits[key]) {
+        throw new Error(`${this.name}.${key} 不可超過 ${this.limits[key]}`);
+      }
+      next[key] = n;
+    }
+    this.settings = next;
+    this.wake();
+  }
+
+  /**
+   * 可被 resume / configure 提前喚醒的等待
+   */
+  wait(ms) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.wakers.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.wakers.add(done);
+    });
+  }
+
+  wake() {
+    for (const done of [...this.wakers]) done();
+  }
+
+  /**
+   * 暫停期間阻塞；回傳是否曾經暫停
+   * @param {string} lp - 日誌前綴
+   */
+  async waitWhilePaused(lp = `[${this.name}] `) {
+    if (!this.paused) return false;
+    console.log(`${lp}⏸️ 已暫停`);
+    while (this.paused) await this.wait(5000);
+    console.log(`${lp}▶️ 已恢復`);
+    return true;
+  }
+
+  recordOutcome(ok) {
+    this.outcomes.push(ok);
+    if (this.outcomes.length > ERROR_WINDOW) this.outcomes.shift();
+  }
+
+  recordSuccess(epoch) {
+    this.processed++;
+    this.lastSuccessEpoch = epoch;
+    this.lastSuccessAt = new Date();
+    this.recordOutcome(true);
+  }
+
+  recordFailure(epoch, error) {
+    this.processed++;
+    this.failed++;
+    this.lastError = `Epoch ${epoch}: ${error}`;
+    this.lastErrorAt = new Date();
+    this.recordOutcome(false);
+  }
+
+  status() {
+    const failures = this.outcomes.filter(ok => !ok).length;
+    return {
+      line: this.name,
+      paused: this.paused,
+      settings: { ...this.settings },
+      currentEpoch: this.currentEpoch,
+      lastSuccessEpoch: this.lastSuccessEpoch,
+      lastSuccessAt: this.lastSuccessAt,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+      processed: this.processed,
+      failed: this.failed,
+      errorRate: this.outcomes.length > 0 ? Number((failures / this.outcomes.length).toFixed(3)) : 0
+    };
+  }
+}
+
+class LineControlRegistry {
+  constructor(service) {
+    this.service = service;
+    this.lines = new Map();
+  }
+
+  register(name, settings, limits) {
+    const line = new LineControl(name, settings, limits);
+    this.lines.set(name, line);
+    return line;
+  }
+
+  select(name) {
+    if (!name || name === 'all') return [...this.lines.values()];
+    const line = this.lines.get(name);
+    if (!line) throw new Error(`未知同步線: ${name}`);
+    return [line];
+  }
+
+  status() {
+    return { service: this.service, lines: [...this.lines.values()].map(l => l.status()) };
+  }
+
+  /**
+   * 執行控制指令並回傳結果（同時供 Redis 與 HTTP 使用）
+   */
+  handleCommand(cmd) {
+    const targets = this.select(cmd.line);
+    switch (cmd.action) {
+      case 'pause':
+        targets.forEach(l => l.pause());
+        break;
+      case 'resume':
+        targets.forEach(l => l.resume());
+        break;
+      case 'configure':
+        // line 為 all 時各線只套用自己有的設定
+        for (const l of targets) {
+          const patch = targets.length > 1
+            ? Object.fromEntries(Object.entries(cmd.settings || {}).filter(([k]) => k in l.settings))
+            : cmd.settings;
+          l.configure(patch);
+        }
+        break;
+      case 'status':
+        break;
+      default:
+        throw new Error(`未知控制動作: ${cmd.action}`);
+    }
+    if (cmd.action !== 'status') {
+      console.log(`🎛️ ${this.service} ${cmd.action} ${targets.map(l => l.name).join(', ')}${cmd.settings ? ` ${JSON.stringify(cmd.settings)}` : ''}`);
+    }
+    return { service: this.service, lines: targets.map(l => l.status()) };
+  }
+
+  /**
+   * 啟動 HTTP 控制端點；設定 token 時需帶 Authorization: Bearer <token>
+   */
+  listen(port, host = '127.0.0.1', token = null) {
+    const server = http.createServer((req, res) => {
+      const send = (code, body) => {
+        res.writeHead(code, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (token && req.headers.authorization !== `Bearer ${token}`) return send(401, { error: 'unauthorized' });
+
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method === 'GET' && url.pathname === '/lines') return send(200, this.status());
+
+      const m = url.pathname.match(/^\/lines\/([\w-]+)\/(pause|resume|config)$/);
+      if (req.method !== 'POST' || !m) return send(404, { error: 'not found' });
+
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          const settings = m[2] === 'config' ? JSON.parse(body || '{}') : undefined;
+          const action = m[2] === 'config' ? 'configure' : m[2];
+          send(200, this.handleCommand({ action, line: m[1], settings }));
+        } catch (e) {
+          send(400, { error: e.message });
+        }
+      });
+    });
+    // 埠被占用等錯誤只停用控制端點，同步線照常執行（仍可經 Redis 指令頻道控制）
+    server.on('error', (e) => console.error(`❌ 同步線控制端點無法啟動 (${host}:${port}): ${e.message}，略過 HTTP 控制`));
+    server.listen(port, host, () => console.log(`🎛️ 同步線控制端點: http://${host}:${server.address().port}/lines`));
+    return server;
+  }
+}
+
+module.exports = {
+  LineControl,
+  LineControlRegistry,
+};
@@ -0,0 +1,277 @@
+/**
+ * Redis 頻道訊息契約 - 各服務共用的 zod schema 與版本化信封
+ * 信封格式：{ version, channel, source, ts, data }；發布與訂閱兩端都經此驗證，
+ * 不合格的訊息計數後丟棄，不會送出也不會交給處理函式
+ */
+
+const { z } = require('zod');
+
+const MESSAGE_VERSION = 1;
+
+const CHANNELS = {
+  ROUND_UPDATE: 'round_update_channel',
+  INSTANT_BET: 'instant_bet_channel',
+  LIVE_PREDICTIONS: 'live_predictions',
+  BACKTEST_RESULTS: 'backtest_results',
+  TRADE_LOG: 'trade_log',
+  TX_BENCHMARK: 'tx_benchmark',
+  PENDING_BET: 'pending_bet_channel',
+  AUDIT_RESULTS: 'audit_results',
+  ANALYSIS: 'analysis_channel',
+  HISBET_COMMAND_RESULT: 'hisbet_command_result_channel',
+  GK_HISBET_COMMAND_RESULT: 'gk_hisbet_command_result_channel'
+};
+
+const Direction = z.enum(['UP', 'DOWN']);
+const UnixSeconds = z.number().int().nonnegative();
+const Amount = z.number().nonnegative();
+
+// 局次更新：gk_realbet 依 StartRound / LockRound / EndRound 即時發布（start / lock / end），
+// server 輪詢備援（poll），hisbet / gk_hisbet 發布同步完成的局（sync）
+const RoundUpdateSchema = z.object({
+  event: z.enum(['start', 'lock', 'end', 'poll', 'sync']),
+  epoch: z.number().int().positive(),
+  startTimestamp: UnixSeconds.nullable(),
+  lockTimestamp: UnixSeconds.nullable(),
+  closeTimestamp: UnixSeconds.nullable(),
+  status: z.enum(['LIVE', 'LOCKED', 'ENDED']),
+  bullAmount: Amount,
+  bearAmount: Amount,
+  totalAmount: Amount,
+  result: z.enum(['UP', 'DOWN', 'HOUSE', 'CANCELLED', 'REFUNDABLE']).nullable(),
+  lockPrice: z.number().nullable(),
+  closePrice: z.number().nullable(),
+  // Chainlink roundId 超過 Number 精度，以十進位字串傳遞
+  lockOracleId: z.string().regex(/^\d+$/).nullable(),
+  closeOracleId: z.string().regex(/^\d+$/).nullable()
+});
+
+// 即時下注：欄位與 realbet 資料列一致，前端可直接當作下注列表項目
+const InstantBetSchema = z.object({
+  epoch: z.number().int().positive(),
+  bet_time: z.string().datetime(),
+  wallet_address: z.string().regex(/^0x[0-9a-f]{40}$/),
+  bet_direction: Direction,
+  bet_amount: z.number().positive(),
+  block_number: z.number().int().nonnegative(),
+  tx_hash: z.string().regex(/^0x[0-9a-f]{64}$/)
+});
+
+// 待確認下注：pending 為 mempool 首次看到，confirmed / dropped 為上鏈或逾時後移除
+const PendingBetSchema = z.object({
+  status: z.enum(['pending', 'confirmed', 'dropped']),
+  epoch: z.number().int().positive(),
+  wallet_address: z.string().regex(/^0x[0-9a-f]{40}$/),
+  bet_direction: Direction,
+  bet_amount: z.number().positive(),
+  tx_hash: z.string().regex(/^0x[0-9a-f]{64}$/),
+  first_seen: z.string().datetime()
+});
+
+const StrategyPredictionSchema = z.object({
+  name: z.string(),
+  prediction: Direction,
+  confidence: z.string()
+}).passthrough();
+
+const LivePredictionsSchema = z.object({
+  epoch: z.number().int().positive(),
+  timestamp: z.string().datetime(),
+  version: z.number().int().optional(),
+  final: z.boolean().optional(),
+  pending: z.object({ up: Amount, down: Amount, count: z.number().int().nonnegative() }).optional(),
+  strategies: z.record(StrategyPredictionSchema)
+}).passthrough();
+
+const StrategyBacktestSchema = z.object({
+  name: z.string(),
+  winRate: z.number(),
+  wins: z.number().int().nonnegative(),
+  total: z.number().int().nonnegative(),
+  profit: z.number(),
+  history: z.array(z.object({ epoch: z.number().int() }).passthrough())
+}).passthrough();
+
+const BacktestResultsSchema = z.object({
+  timestamp: z.string().datetime(),
+  currentEpoch: z.number().int().positive(),
+  strategies: z.record(StrategyBacktestSchema)
+});
+
+const TradeLogSchema = z.object({
+  phase: z.enum(['arm', 'final_dryrun', 'final_receipt']),
+  epoch: z.number().int().positive(),
+  prediction: Direction,
+  amountBNB: Amount
+}).passthrough();
+
+const TxBenchmarkSchema = z.object({
+  total_ms: z.number().nonnegative(),
+  delta: z.number().nullable().optional(),
+  success: z.boolean()
+}).passthrough();
+
+const Severity = z.enum(['error', 'warning', 'info']);
+
+// 稽核結果：auditor.js 每次稽核完成後發布，同一信封也寫入 latest_audit 鍵
+const AuditReportSchema = z.object({
+  run_id: z.number().int().positive(),
+  started_at: z.string().datetime(),
+  finished_at: z.string().datetime(),
+  from_epoch: z.number().int().positive(),
+  to_epoch: z.number().int().positive(),
+  status: z.enum(['ok', 'warning', 'error', 'failed']),
+  checks: z.record(z.object({ severity: Severity, count: z.number().int().nonnegative() })),
+  totals: z.object({ error: z.number().int(), warning: z.number().int(), info: z.number().int() }),
+  failures: z.record(z.string())
+});
+
+// 錢包分析請求：收到下注後由 server 在背景計算並推送給前端
+const AnalysisRequestSchema = z.object({
+  type: z.literal('analysis_request'),
+  bet: z.object({
+    epoch: z.number().int().positive(),
+    wallet_address: z.string().regex(/^0x[0-9a-fA-F]{40}$/),
+    tx_hash: z.string().regex(/^0x[0-9a-fA-F]{64}$/)
+  }).passthrough()
+});
+
+// hisbet / gk_hisbet 指令結果，id 對應指令的 id（未指定時由服務產生）
+const CommandId = z.union([z.string(), z.number()]);
+const CommandResultSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('resync_result'),
+    id: CommandId,
+    results: z.array(z.object({ epoch: z.number().int(), status: z.string(), error: z.string().optional() }))
+  }),
+  z.object({
+    type: z.literal('dead_letter_result'),
+    id: CommandId,
+    action: z.enum(['list', 'requeue', 'ignore']),
+    rows: z.array(z.object({ epoch: z.union([z.number(), z.string()]) }).passthrough()).optional(),
+    epochs: z.array(z.number().int()).optional()
+  }),
+  z.object({
+    type: z.literal('line_control_result'),
+    id: CommandId.nullable(),
+    ok: z.boolean(),
+    error: z.string().optional(),
+    service: z.string().optional(),
+    lines: z.array(z.object({ line: z.string() }).passthrough()).optional()
+  })
+]);
+
+const DATA_SCHEMAS = {
+  [CHANNELS.ROUND_UPDATE]: RoundUpdateSchema,
+  [CHANNELS.INSTANT_BET]: InstantBetSchema,
+  [CHANNELS.LIVE_PREDICTIONS]: LivePredictionsSchema,
+  [CHANNELS.BACKTEST_RESULTS]: BacktestResultsSchema,
+  [CHANNELS.TRADE_LOG]: TradeLogSchema,
+  [CHANNELS.TX_BENCHMARK]: TxBenchmarkSchema,
+  [CHANNELS.PENDING_BET]: PendingBetSchema,
+  [CHANNELS.AUDIT_RESULTS]: AuditReportSchema,
+  [CHANNELS.ANALYSIS]: AnalysisRequestSchema,
+  [CHANNELS.HISBET_COMMAND_RESULT]: CommandResultSchema,
+  [CHANNELS.GK_HISBET_COMMAND_RESULT]: CommandResultSchema
+};
+
+const ENVELOPE_SCHEMAS = Object.fromEntries(Object.entries(DATA_SCHEMAS).map(([channel, data]) => [
+  channel,
+  z.object({
+    version: z.literal(MESSAGE_VERSION),
+    channel: z.literal(channel),
+    source: z.string().min(1),
+    ts: z.string().datetime(),
+    data
+  })
+]));
+
+// channel -> { publish, receive }：本程序丟棄的不合格訊息數
+const invalidCounts = new Map();
+
+function countInvalid(channel, stage, reason) {
+  if (!invalidCounts.has(channel)) invalidCounts.set(channel, { publish: 0, receive: 0 });
+  const counts = invalidCounts.get(channel);
+  counts[stage]++;
+  console.warn(`⚠️ 丟棄不合格訊息 [${channel}] (${stage === 'publish' ? '發布' : '接收'}，累計 ${counts[stage]}): ${reason}`);
+}
+
+function describeIssues(error) {
+  return error.issues.slice(0, 3).map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ');
+}
+
+function envelopeSchema(channel) {
+  const schema = ENVELOPE_SCHEMAS[channel];
+  if (!schema) throw new Error(`未定義的訊息頻道: ${channel}`);
+  return schema;
+}
+
+/**
+ * 建立並驗證信封；data 不合格時計數並回傳 null
+ * @param {string} channel - CHANNELS 之一
+ * @param {object} data
+ * @param {string} source - 發布服務名稱
+ */
+function buildMessage(channel, data, source) {
+  const parsed = envelopeSchema(channel).safeParse({
+    version: MESSAGE_VERSION,
+    channel,
+    source,
+    ts: new Date().toISOString(),
+    data
+  });
+  if (!parsed.success) {
+    countInvalid(channel, 'publish', describeIssues(parsed.error));
+    return null;
+  }
+  return parsed.data;
+}
+
+/**
+ * 驗證後發布；不合格的訊息不送出並回傳 false，Redis 錯誤照常拋出
+ * @param {{publish: Function}} redis - ioredis 或 redis 客戶端
+ */
+async function publishMessage(redis, channel, data, source) {
+  const envelope = buildMessage(channel, data, source);
+  if (!envelope) return false;
+  await redis.publish(channel, JSON.stringify(envelope));
+  return true;
+}
+
+/**
+ * 解析並驗證收到的訊息，回傳信封內的 data；不合格（含非 JSON、版本不符）時計數並回傳 null
+ * @param {string} channel
+ * @param {string} raw - Redis 訊息原文
+ */
+function parseMessage(channel, raw) {
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (e) {
+    countInvalid(channel, 'receive', `非 JSON: ${e.message}`);
+    return null;
+  }
+  const parsed = envelopeSchema(channel).safeParse(payload);
+  if (!parsed.success) {
+    countInvalid(channel, 'receive', describeIssues(parsed.error));
+    return null;
+  }
+  return parsed.data.data;
+}
+
+/**
+ * 本程序各頻道丟棄的不合格訊息數
+ * @returns {{version: number, invalid: Object<string, {publish: number, receive: number}>}}
+ */
+function getMessageStats() {
+  return { version: MESSAGE_VERSION, invalid: Object.fromEntries(invalidCounts) };
+}
+
+module.exports = {
+  MESSAGE_VERSION,
+  CHANNELS,
+  buildMessage,
+  publishMessage,
+  parseMessage,
+  getMessageStats
+};
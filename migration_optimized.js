@@ -37,16 +37,6 @@ const stats = {
   processed: 0,
 };
 
-// Helper function to get current Taipei time as a string
-function getCurrentTaipeiTime() {
-  return new Date().toLocaleString('sv-SE', {
-    timeZone: 'Asia/Taipei',
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', second: '2-digit',
-    hour12: false
-  });
-}
-
 // 嚴格的數據完整性驗證器
 class DataValidator {
   static validateRound(roundData) {
@@ -294,9 +284,9 @@ async function processEpochOptimized(epoch, oldClient, newClient) {
       const roundRes = await oldClient.query(`
         SELECT 
           epoch, 
-          TO_CHAR(start_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') as start_time,
-          TO_CHAR(lock_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') as lock_time,
-          TO_CHAR(close_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') as close_time,
+          start_time,
+          lock_time,
+          close_time,
           lock_price, close_price, result, total_bet_amount, up_bet_amount, down_bet_amount, up_payout, down_payout
         FROM round WHERE epoch = $1`, [epoch]);
 
@@ -308,7 +298,7 @@ async function processEpochOptimized(epoch, oldClient, newClient) {
       const hisbetQuery = `
         SELECT
           tx_hash, epoch, 
-          TO_CHAR(bet_time AT TIME ZONE 'Asia/Taipei', 'YYYY-MM-DD HH24:MI:SS') as bet_time,
+          bet_time,
           wallet_address, bet_direction, bet_amount, result, block_number
         FROM hisbet WHERE epoch = $1`;
       const hisbetRes = await oldClient.query(hisbetQuery, [epoch]);
@@ -386,7 +376,7 @@ async function processEpochOptimized(epoch, oldClient, newClient) {
         }
 
         // 插入 finepoch
-        await newClient.query('INSERT INTO finepoch (epoch, processed_at) VALUES ($1, $2)', [epoch, getCurrentTaipeiTime()]);
+        await newClient.query('INSERT INTO finepoch (epoch, processed_at) VALUES ($1, NOW())', [epoch]);
 
         await newClient.query('COMMIT');
         
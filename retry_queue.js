@@ -0,0 +1,215 @@
+/**
+ * 失敗局次重試佇列 - 以 failed_epochs 為佇列，依錯誤類型做指數退避重試，
+ * 超過上限轉為 dead-letter，保留最後錯誤與階段供人工 requeue / ignore
+ */
+
+const { EPOCH_STATUS, markEpochStatus } = require("./sync_state");
+
+/**
+ * 鏈上資料與預期不符（重試多半無法解決）；其餘錯誤視為 RPC / 資料庫的暫時性錯誤
+ */
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const ERROR_CLASS = {
+  TRANSIENT: 'transient',
+  VALIDATION: 'validation'
+};
+
+const RETRY_STATE = {
+  RETRYING: 'retrying',
+  DEAD: 'dead',
+  IGNORED: 'ignored'
+};
+
+const RETRY_POLICY = {
+  [ERROR_CLASS.TRANSIENT]: {
+    maxAttempts: parseInt(process.env.RETRY_TRANSIENT_MAX) || 8,
+    baseDelayMs: parseInt(process.env.RETRY_TRANSIENT_BASE_MS) || 60000
+  },
+  [ERROR_CLASS.VALIDATION]: {
+    maxAttempts: parseInt(process.env.RETRY_VALIDATION_MAX) || 3,
+    baseDelayMs: parseInt(process.env.RETRY_VALIDATION_BASE_MS) || 600000
+  }
+};
+const RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS) || 6 * 3600 * 1000;
+
+function classifyError(error) {
+  return error instanceof ValidationError ? ERROR_CLASS.VALIDATION : ERROR_CLASS.TRANSIENT;
+}
+
+/**
+ * 第 attempt 次失敗後的等待時間
+ */
+function retryDelayMs(errorClass, attempt) {
+  const { baseDelayMs } = RETRY_POLICY[errorClass];
+  return Math.min(baseDelayMs * 2 ** Math.max(0, attempt - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * 建立 / 升級 failed_epochs
+ * @param {import('pg').Pool} db
+ */
+async function ensureRetryQueueTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS failed_epochs (
+      epoch BIGINT PRIMARY KEY,
+      error_message TEXT NOT NULL,
+      stage VARCHAR(50) NOT NULL,
+      failed_at TIMESTAMPTZ NOT NULL,
+      retry_count INT DEFAULT 0
+    )
+  `);
+  await db.query(`
+    ALTER TABLE failed_epochs
+      ADD COLUMN IF NOT EXISTS error_class TEXT,
+      ADD COLUMN IF NOT EXISTS state TEXT NOT NULL DEFAULT 'retrying',
+      ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMPTZ
+  `);
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_failed_epochs_due
+    ON failed_epochs (next_retry_at) WHERE state = 'retrying'
+  `);
+  // 舊版紀錄沒有排程時間，立即排入重試
+  await db.query(`
+    UPDATE failed_epochs SET next_retry_at = NOW()
+    WHERE state = 'retrying' AND next_retry_at IS NULL
+  `);
+}
+
+/**
+ * 記錄一次失敗並排程下次重試，超過上限則轉為 dead-letter
+ * @returns {Promise<{attempts: number, errorClass: string, state: string, nextRetryAt: Date|null}>}
+ */
+async function recordEpochFailure(db, epoch, error, stage) {
+  const errorClass = classifyError(error);
+  const message = String(error.message || error).substring(0, 500);
+
+  const res = await db.query(`
+    INSERT INTO failed_epochs (epoch, error_message, stage, failed_at, retry_count, error_class, state)
+    VALUES ($1, $2, $3, NOW(), 1, $4, 'retrying')
+    ON CONFLICT (epoch) DO UPDATE SET
+      error_message = EXCLUDED.error_message,
+      stage = EXCLUDED.stage,
+      failed_at = NOW(),
+      retry_count = failed_epochs.retry_count + 1,
+      error_class = EXCLUDED.error_class
+    RETURNING retry_count
+  `, [epoch, message, stage, errorClass]);
+  const attempts = res.rows[0].retry_count;
+
+  if (attempts >= RETRY_POLICY[errorClass].maxAttempts) {
+    await db.query(`
+      UPDATE failed_epochs SET state = 'dead', next_retry_at = NULL, dead_lettered_at = NOW()
+      WHERE epoch = $1
+    `, [epoch]);
+    await markEpochStatus(db, epoch, EPOCH_STATUS.SKIPPED, `dead-letter ${stage}: ${message}`);
+    return { attempts, errorClass, state: RETRY_STATE.DEAD, nextRetryAt: null };
+  }
+
+  const nextRetryAt = new Date(Date.now() + retryDelayMs(errorClass, attempts));
+  await db.query(`
+    UPDATE failed_epochs SET state = 'retrying', next_retry_at = $2, dead_lettered_at = NULL
+    WHERE epoch = $1
+  `, [epoch, nextRetryAt]);
+  await markEpochStatus(db, epoch, EPOCH_STATUS.FAILED, `${stage}: ${message}`);
+  return { attempts, errorClass, state: RETRY_STATE.RETRYING, nextRetryAt };
+}
+
+/**
+ * 同步成功後移出佇列
+ */
+async function clearEpochFailure(db, epoch) {
+  await db.query('DELETE FROM failed_epochs WHERE epoch = $1', [epoch]);
+}
+
+async function getRetryEntry(db, epoch) {
+  const res = await db.query('SELECT * FROM failed_epochs WHERE epoch = $1', [epoch]);
+  return res.rows[0] || null;
+}
+
+/**
+ * 已到重試時間的局次
+ * @returns {Promise<number[]>}
+ */
+async function getDueRetries(db, limit = 20) {
+  const res = await db.query(`
+    SELECT epoch FROM failed_epochs
+    WHERE state = 'retrying' AND next_retry_at <= NOW()
+    ORDER BY next_retry_at
+    LIMIT $1
+  `, [limit]);
+  return res.rows.map(r => Number(r.epoch));
+}
+
+/**
+ * 列出 dead-letter（可含已忽略）局次
+ */
+async function listDeadLetters(db, { includeIgnored = false, limit = 200 } = {}) {
+  const states = includeIgnored ? [RETRY_STATE.DEAD, RETRY_STATE.IGNORED] : [RETRY_STATE.DEAD];
+  const res = await db.query(`
+    SELECT epoch, state, error_class, stage, error_message, retry_count, failed_at, dead_lettered_at
+    FROM failed_epochs
+    WHERE state = ANY($1::text[])
+    ORDER BY epoch
+    LIMIT $2
+  `, [states, limit]);
+  return res.rows;
+}
+
+/**
+ * 將 dead-letter / 已忽略局次重新排入佇列，立即重試
+ * @returns {Promise<number[]>} 實際重新排入的局次
+ */
+async function requeueEpochs(db, epochs) {
+  const res = await db.query(`
+    UPDATE failed_epochs
+    SET state = 'retrying', retry_count = 0, next_retry_at = NOW(), dead_lettered_at = NULL
+    WHERE epoch = ANY($1::bigint[]) AND state IN ('dead', 'ignored')
+    RETURNING epoch
+  `, [epochs]);
+  const requeued = res.rows.map(r => Number(r.epoch));
+  for (const epoch of requeued) {
+    await markEpochStatus(db, epoch, EPOCH_STATUS.FAILED, 'requeued');
+  }
+  return requeued;
+}
+
+/**
+ * 標記為忽略：不再重試，epoch_status 記為 skipped
+ * @returns {Promise<number[]>} 實際忽略的局次
+ */
+async function ignoreEpochs(db, epochs) {
+  const res = await db.query(`
+    UPDATE failed_epochs SET state = 'ignored', next_retry_at = NULL
+    WHERE epoch = ANY($1::bigint[]) AND state IN ('retrying', 'dead')
+    RETURNING epoch
+  `, [epochs]);
+  const ignored = res.rows.map(r => Number(r.epoch));
+  for (const epoch of ignored) {
+    await markEpochStatus(db, epoch, EPOCH_STATUS.SKIPPED, 'ignored');
+  }
+  return ignored;
+}
+
+module.exports = {
+  ValidationError,
+  ERROR_CLASS,
+  RETRY_STATE,
+  RETRY_POLICY,
+  classifyError,
+  retryDelayMs,
+  ensureRetryQueueTable,
+  recordEpochFailure,
+  clearEpochFailure,
+  getRetryEntry,
+  getDueRetries,
+  listDeadLetters,
+  requeueEpochs,
+  ignoreEpochs,
+};
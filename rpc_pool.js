@@ -0,0 +1,349 @@
+/**
+ * RPC 節點池 - hisbet.js、gk_hisbet、server.js、trader.js 共用
+ * 依權重挑選節點、追蹤延遲與健康度，遇 429 / 5xx / 連線錯誤時熔斷並改用下一個節點，
+ * eth_getLogs 依各節點的區塊範圍上限自動切段
+ *
+ * 節點設定（RPC_URLS，逗號分隔，權重與範圍上限可省略）：
+ *   RPC_URLS="https://a.example|3|5000,https://b.example|1"
+ * 未設定 RPC_URLS 時退回單一 RPC_URL
+ */
+
+const { ethers } = require("ethers");
+
+const DEFAULTS = {
+  timeoutMs: 15000,
+  failureThreshold: 3,       // 連續失敗幾次後熔斷
+  cooldownMs: 30000,         // 首次熔斷時間，重複熔斷時加倍
+  maxCooldownMs: 300000,
+  rateLimitCooldownMs: 10000, // 429 且未提供 Retry-After 時的熔斷時間
+  minLogRange: 100,
+  rateLimit: 0               // 每秒請求數（整個節點池），0 表示不限制
+};
+
+const RATE_LIMIT_PATTERN = /rate limit|limit exceeded|too many requests|request limit/i;
+const LOG_RANGE_PATTERN = /block range|range is too (large|wide)|exceed.*range|range.*exceed|more than \d+ results|query returned more than/i;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * 依固定間隔放行請求
+ */
+class RateLimiter {
+  constructor(perSecond) {
+    this.interval = perSecond > 0 ? 1000 / perSecond : 0;
+    this.next = 0;
+  }
+  async acquire() {
+    if (this.interval === 0) return;
+    const now = Date.now();
+    const at = Math.max(now, this.next);
+    this.next = at + this.interval;
+    if (at > now) await sleep(at - now);
+  }
+}
+
+/**
+ * 節點層級錯誤（已計入健康度，呼叫端應改用下一個節點）
+ */
+class RpcEndpointError extends Error {
+  constructor(message, { status = null, rateLimited = false, rangeTooLarge = false } = {}) {
+    super(message);
+    this.name = 'RpcEndpointError';
+    this.status = status;
+    this.rateLimited = rateLimited;
+    this.rangeTooLarge = rangeTooLarge;
+  }
+}
+
+/**
+ * 解析 RPC_URLS 字串
+ * @param {string} spec - "url|weight|maxLogRange,..."
+ * @returns {Array<{url: string, weight: number, maxLogRange: number}>}
+ */
+function parseRpcEndpoints(spec) {
+  return String(spec || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [url, weight, maxLogRange] = entry.split('|').map(s => s.trim());
+      // 權重 0 表示停用該節點，未填或格式錯誤時為 1
+      const w = weight ? Number(weight) : 1;
+      return {
+        url,
+        weight: Number.isFinite(w) ? Math.max(0, w) : 1,
+        maxLogRange: Number(maxLogRange) || 0
+      };
+    });
+}
+
+function rpcEndpointsFromEnv(env = process.env) {
+  const endpoints = parseRpcEndpoints(env.RPC_URLS);
+  if (endpoints.length > 0) return endpoints;
+  return parseRpcEndpoints(env.RPC_URL);
+}
+
+// 日誌只顯示主機名稱，避免洩漏網址中的 API key
+function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return 'rpc';
+  }
+}
+
+function toHex(n) {
+  return '0x' + n.toString(16);
+}
+
+// 取出 eth_getLogs 的數字區塊範圍（含 latest 等標籤時不切段）
+function getLogsRange(payload) {
+  if (Array.isArray(payload) || payload.method !== 'eth_getLogs') return null;
+  const filter = payload.params && payload.params[0];
+  if (!filter || filter.blockHash) return null;
+  const isHex = (v) => typeof v === 'string' && /^0x[0-9a-f]+$/i.test(v);
+  if (!isHex(filter.fromBlock) || !isHex(filter.toBlock)) return null;
+  return { from: Number(filter.fromBlock), to: Number(filter.toBlock) };
+}
+
+class RpcPool {
+  /**
+   * @param {Array<{url: string, weight?: number, maxLogRange?: number}>} endpoints
+   * @param {Object} options - 見 DEFAULTS；maxLogRange 為未個別設定節點的預設上限
+   */
+  constructor(endpoints, options = {}) {
+    if (!endpoints || endpoints.length === 0) throw new Error('RPC 節點池未設定任何節點');
+    this.options = { ...DEFAULTS, ...options };
+    this.limiter = new RateLimiter(this.options.rateLimit);
+    this.endpoints = endpoints.map(e => ({
+      url: e.url,
+      label: endpointLabel(e.url),
+      weight: e.weight ?? 1,
+      maxLogRange: e.maxLogRange || this.options.maxLogRange || Infinity,
+      latencyMs: null,
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      opens: 0,
+      openUntil: 0,
+      lastError: null
+    }));
+    this.nextId = 1;
+  }
+
+  /**
+   * 可用節點依權重隨機排序；全部熔斷時回傳最快恢復的節點（權重 0 的節點一律不用，沒有其他節點時回傳空陣列）
+   */
+  order() {
+    const now = Date.now();
+    const weighted = this.endpoints.filter(e => e.weight > 0);
+    const available = weighted.filter(e => e.openUntil <= now);
+    if (available.length === 0) {
+      if (weighted.length === 0) return [];
+      const soonest = [...weighted].sort((a, b) => a.openUntil - b.openUntil)[0];
+      return [soonest];
+    }
+
+    const pool = [...available];
+    const ordered = [];
+    while (pool.length > 0) {
+      const total = pool.reduce((s, e) => s + e.weight, 0);
+      let r = Math.random() * total;
+      let i = 0;
+      while (i < pool.length - 1 && r >= pool[i].weight) {
+        r -= pool[i].weight;
+        i++;
+      }
+      ordered.push(pool.splice(i, 1)[0]);
+    }
+    return ordered;
+  }
+
+  recordSuccess(ep, latency) {
+    ep.latencyMs = ep.latencyMs === null ? latency : Math.round(ep.latencyMs * 0.8 + latency * 0.2);
+    ep.consecutiveFailures = 0;
+    ep.opens = 0;
+  }
+
+  recordFailure(ep, error, retryAfterMs = null) {
+    ep.failures++;
+    ep.consecutiveFailures++;
+    ep.lastError = error.message;
+    if (!error.rateLimited && ep.consecutiveFailures < this.options.failureThreshold) return;
+
+    ep.opens++;
+    const cooldown = error.rateLimited
+      ? (retryAfterMs ?? this.options.rateLimitCooldownMs)
+      : Math.min(this.options.cooldownMs * 2 ** (ep.opens - 1), this.options.maxCooldownMs);
+    ep.openUntil = Date.now() + cooldown;
+    console.warn(`[RPC] ⚠️ ${ep.label} 熔斷 ${Math.round(cooldown / 1000)} 秒: ${error.message}`);
+  }
+
+  /**
+   * 對單一節點送出 JSON-RPC 請求；節點層級錯誤記錄後拋出 RpcEndpointError
+   */
+  async sendTo(ep, payload) {
+    await this.limiter.acquire();
+    ep.requests++;
+    const started = Date.now();
+
+    let res;
+    try {
+      res = await fetch(ep.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.options.timeoutMs)
+      });
+    } catch (e) {
+      const error = new RpcEndpointError(`${ep.label} 連線失敗: ${e.message}`);
+      this.recordFailure(ep, error);
+      throw error;
+    }
+
+    if (!res.ok) {
+      const rateLimited = res.status === 429;
+      const retryAfter = Number(res.headers.get('retry-after'));
+      const error = new RpcEndpointError(`${ep.label} HTTP ${res.status}`, { status: res.status, rateLimited });
+      this.recordFailure(ep, error, rateLimited && retryAfter > 0 ? retryAfter * 1000 : null);
+      throw error;
+    }
+
+    let body;
+    try {
+      body = await res.json();
+    } catch (e) {
+      const error = new RpcEndpointError(`${ep.label} 回應格式錯誤: ${e.message}`, { status: res.status });
+      this.recordFailure(ep, error);
+      throw error;
+    }
+
+    const rpcError = !Array.isArray(body) && body.error;
+    if (rpcError) {
+      const message = String(rpcError.message || '');
+      // 部分節點以 -32005 同時表示限流與結果過多，先判斷範圍
+      if (payload.method === 'eth_getLogs' && LOG_RANGE_PATTERN.test(message)) {
+        throw new RpcEndpointError(`${ep.label} 區塊範圍過大: ${message}`, { rangeTooLarge: true });
+      }
+      if (rpcError.code === -32005 || RATE_LIMIT_PATTERN.test(message)) {
+        const error = new RpcEndpointError(`${ep.label} 限流: ${message}`, { rateLimited: true });
+        this.recordFailure(ep, error);
+        throw error;
+      }
+    }
+
+    this.recordSuccess(ep, Date.now() - started);
+    return body;
+  }
+
+  /**
+   * 送出 JSON-RPC 請求，失敗時依序改用其他節點
+   * @param {Object|Array} payload
+   * @returns {Promise<Object|Array>} 節點回傳的 JSON 內容
+   */
+  async request(payload) {
+    const range = getLogsRange(payload);
+    let lastError = null;
+
+    for (const ep of this.order()) {
+      if (range && range.to - range.from + 1 > ep.maxLogRange) {
+        return this.requestLogsInChunks(payload, range, ep.maxLogRange);
+      }
+      try {
+        return await this.sendTo(ep, payload);
+      } catch (e) {
+        if (!(e instanceof RpcEndpointError)) throw e;
+        lastError = e;
+        if (e.rangeTooLarge && range) {
+          // 節點拒絕此範圍：調降上限後切段重送
+          const span = range.to - range.from + 1;
+          ep.maxLogRange = Math.max(this.options.minLogRange, Math.floor(Math.min(span, ep.maxLogRange) / 2));
+          console.warn(`[RPC] ${ep.label} getLogs 範圍上限調降為 ${ep.maxLogRange}`);
+          if (span > this.options.minLogRange) return this.requestLogsInChunks(payload, range, ep.maxLogRange);
+        }
+      }
+    }
+
+    throw lastError || new RpcEndpointError('RPC 節點池無可用節點');
+  }
+
+  async requestLogsInChunks(payload, range, size) {
+    const filter = payload.params[0];
+    const logs = [];
+    for (let from = range.from; from <= range.to; from += size) {
+      const to = Math.min(range.to, from + size - 1);
+      const part = await this.request({
+        jsonrpc: '2.0',
+        id: this.nextId++,
+        method: 'eth_getLogs',
+        params: [{ ...filter, fromBlock: toHex(from), toBlock: toHex(to) }]
+      });
+      if (part.error) return { ...part, id: payload.id };
+      logs.push(...part.result);
+    }
+    return { jsonrpc: '2.0', id: payload.id, result: logs };
+  }
+
+  /**
+   * 各節點健康狀態（網址只顯示主機名稱）
+   */
+  stats() {
+    const now = Date.now();
+    return this.endpoints.map(e => ({
+      endpoint: e.label,
+      weight: e.weight,
+      healthy: e.openUntil <= now,
+      openForMs: Math.max(0, e.openUntil - now),
+      latencyMs: e.latencyMs,
+      requests: e.requests,
+      failures: e.failures,
+      maxLogRange: Number.isFinite(e.maxLogRange) ? e.maxLogRange : null,
+      lastError: e.lastError
+    }));
+  }
+}
+
+/**
+ * 經由 RpcPool 送出請求的 ethers Provider；contract 呼叫與 getLogs 皆自動容錯
+ */
+class PooledJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(rpcPool, network, options = {}) {
+    super(rpcPool.endpoints[0].url, network, { ...options, batchMaxCount: 1 });
+    this.rpcPool = rpcPool;
+  }
+
+  async _send(payload) {
+    const body = await this.rpcPool.request(payload);
+    return Array.isArray(body) ? body : [body];
+  }
+}
+
+/**
+ * 依環境變數建立節點池與 Provider
+ * @param {Object} options - endpoints（預設讀 RPC_URLS / RPC_URL）、network 及 RpcPool 選項
+ * @returns {PooledJsonRpcProvider} 透過 provider.rpcPool 取得節點狀態
+ */
+function createRpcProvider(options = {}) {
+  const {
+    endpoints = rpcEndpointsFromEnv(),
+    network = { chainId: 56, name: 'binance' },
+    ...poolOptions
+  } = options;
+  if (poolOptions.maxLogRange === undefined && process.env.RPC_MAX_LOG_RANGE) {
+    poolOptions.maxLogRange = parseInt(process.env.RPC_MAX_LOG_RANGE);
+  }
+  const rpcPool = new RpcPool(endpoints, poolOptions);
+  return new PooledJsonRpcProvider(rpcPool, network, { staticNetwork: true, polling: false });
+}
+
+module.exports = {
+  RpcPool,
+  RpcEndpointError,
+  RateLimiter,
+  PooledJsonRpcProvider,
+  parseRpcEndpoints,
+  rpcEndpointsFromEnv,
+  createRpcProvider,
+};
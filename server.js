@@ -20,6 +20,11 @@ const { WebSocketServer } = require("ws");
 const { Pool } = require("pg");
 const { createClient } = require("redis");
 const { ethers } = require("ethers");
+const { getContractConfigAtEpoch } = require("./contract_config");
+const { createRpcProvider } = require("./rpc_pool");
+const { getLatestAudit, AUDIT_LATEST_KEY } = require("./auditor");
+const { getWallet, getWallets } = require("./wallets");
+const { CHANNELS, publishMessage, parseMessage, getMessageStats } = require("./messages");
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -27,7 +32,7 @@ const HOST = process.env.HOST || '0.0.0.0';
 // 環境變數檢查
 if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL");
 if (!process.env.REDIS_URL) throw new Error("Missing REDIS_URL");
-if (!process.env.RPC_URL) throw new Error("Missing RPC_URL");
+if (!process.env.RPC_URL && !process.env.RPC_URLS) throw new Error("Missing RPC_URL");
 if (!process.env.CONTRACT_ADDR) throw new Error("Missing CONTRACT_ADDR");
 
 // ========================================
@@ -48,30 +53,6 @@ function normalizeAddress(address) {
   return trimmed.toLowerCase();
 }
 
-/**
- * 將 Unix 秒時間戳轉換為台北時區字串
- * 格式：YYYY-MM-DD HH:mm:ss
- */
-function toTaipeiTimeString(ts) {
-  if (ts === null || ts === undefined || isNaN(Number(ts))) {
-    console.warn(`⚠️ 無效時間戳: ${ts}，使用當前時間`);
-    ts = Math.floor(Date.now() / 1000);
-  }
-  
-  const date = new Date(Number(ts) * 1000);
-  
-  return date.toLocaleString('sv-SE', {
-    timeZone: 'Asia/Taipei',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  }).replace(',', '');
-}
-
 /**
  * 延遲函數
  */
@@ -116,7 +97,7 @@ const redisClient = createClient({
   }
 });
 
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const provider = createRpcProvider();
 const contract = new ethers.Contract(contractAddr, contractAbi, provider);
 
 // HTTP 伺服器
@@ -133,12 +114,86 @@ const server = http.createServer((req, res) => {
       res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
       res.end(content);
     });
+  } else if (req.url.startsWith('/api/contract-config')) {
+    handleContractConfigRequest(req, res);
+  } else if (req.url.startsWith('/api/data-health')) {
+    handleDataHealthRequest(req, res);
+  } else if (req.url.startsWith('/api/wallet')) {
+    handleWalletRequest(req, res);
+  } else if (req.url.startsWith('/api/message-stats')) {
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(getMessageStats()));
   } else {
     res.writeHead(404);
     res.end('Not Found');
   }
 });
 
+/**
+ * GET /api/contract-config?epoch=X：查詢該局當時的手續費、buffer、最低下注等設定
+ */
+async function handleContractConfigRequest(req, res) {
+  const epoch = Number(new URL(req.url, 'http://localhost').searchParams.get('epoch'));
+  if (!Number.isInteger(epoch) || epoch <= 0) {
+    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: '缺少或無效的 epoch 參數' }));
+    return;
+  }
+  try {
+    const config = await getContractConfigAtEpoch(dbPool, epoch);
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(config));
+  } catch (error) {
+    console.error('❌ 查詢合約設定失敗:', error.message);
+    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: error.message }));
+  }
+}
+
+/**
+ * GET /api/data-health?severity=error&limit=N：最近一次資料稽核結果與明細（auditor.js）
+ */
+async function handleDataHealthRequest(req, res) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const severity = params.get('severity');
+  const limit = Math.min(Number(params.get('limit')) || 200, 1000);
+  if (severity && !['error', 'warning', 'info'].includes(severity)) {
+    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: '無效的 severity 參數' }));
+    return;
+  }
+  try {
+    const audit = await getLatestAudit(dbPool, { limit, severity });
+    res.writeHead(audit ? 200 : 404, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(audit || { error: '尚無稽核結果' }));
+  } catch (error) {
+    console.error('❌ 查詢資料稽核結果失敗:', error.message);
+    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: error.message }));
+  }
+}
+
+/**
+ * GET /api/wallet?address=0x...：錢包累計數據（wallets 維度表）
+ */
+async function handleWalletRequest(req, res) {
+  const address = new URL(req.url, 'http://localhost').searchParams.get('address');
+  if (!address || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    res.writeHead(400, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: '缺少或無效的 address 參數' }));
+    return;
+  }
+  try {
+    const wallet = await getWallet(dbPool, normalizeAddress(address));
+    res.writeHead(wallet ? 200 : 404, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(wallet ? formatWalletProfile(wallet) : { error: '查無此錢包' }));
+  } catch (error) {
+    console.error('❌ 查詢錢包失敗:', error.message);
+    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: error.message }));
+  }
+}
+
 const wss = new WebSocketServer({ server });
 
 // ========================================
@@ -221,12 +276,14 @@ async function initDatabase() {
 
 async function setupRedisSubscriptions() {
   try {
-    await redisSubscriber.subscribe('instant_bet_channel', handleInstantBet);
-    await redisSubscriber.subscribe('analysis_channel', handleAnalysisRequest);
-    await redisSubscriber.subscribe('round_update_channel', handleRoundUpdate);
-    await redisSubscriber.subscribe('backtest_results', handleBacktestResults);
-    await redisSubscriber.subscribe('live_predictions', handleLivePredictions);
-    await redisSubscriber.subscribe('tx_benchmark', handleTxBenchmark);
+    await redisSubscriber.subscribe(CHANNELS.INSTANT_BET, handleInstantBet);
+    await redisSubscriber.subscribe(CHANNELS.PENDING_BET, handlePendingBet);
+    await redisSubscriber.subscribe(CHANNELS.ANALYSIS, handleAnalysisRequest);
+    await redisSubscriber.subscribe(CHANNELS.ROUND_UPDATE, handleRoundUpdate);
+    await redisSubscriber.subscribe(CHANNELS.BACKTEST_RESULTS, handleBacktestResults);
+    await redisSubscriber.subscribe(CHANNELS.LIVE_PREDICTIONS, handleLivePredictions);
+    await redisSubscriber.subscribe(CHANNELS.TX_BENCHMARK, handleTxBenchmark);
+    await redisSubscriber.subscribe(CHANNELS.AUDIT_RESULTS, handleAuditResults);
     console.log('✅ Redis 訂閱已建立');
   } catch (error) {
     console.error('❌ Redis 訂閱失敗:', error);
@@ -257,13 +314,13 @@ async function processNewRound(epoch, roundDataFromChain) {
     await client.query(`
       INSERT INTO round(epoch, start_time, lock_time, close_time, lock_price, close_price, result, 
         total_bet_amount, up_bet_amount, down_bet_amount, up_payout, down_payout)
-      VALUES($1, $2, $3, $4, 0, 0, NULL, 0, 0, 0, 0, 0)
+      VALUES($1, to_timestamp($2), to_timestamp($3), to_timestamp($4), 0, 0, NULL, 0, 0, 0, 0, 0)
       ON CONFLICT (start_time, epoch) DO NOTHING
     `, [
       epoch,
-      toTaipeiTimeString(roundDataFromChain.startTimestamp),
-      toTaipeiTimeString(roundDataFromChain.lockTimestamp),
-      toTaipeiTimeString(roundDataFromChain.closeTimestamp)
+      Number(roundDataFromChain.startTimestamp),
+      Number(roundDataFromChain.lockTimestamp),
+      Number(roundDataFromChain.closeTimestamp)
     ]);
     
     await broadcastRoundUpdate(epoch, roundDataFromChain);
@@ -284,7 +341,9 @@ async function broadcastRoundUpdate(epoch, roundDataFromChain) {
   else if (now < closeTime) status = 'LOCKED';
 
   const roundDataForWs = {
+    event: 'poll',
     epoch: epoch,
+    startTimestamp: Number(roundDataFromChain.startTimestamp),
     lockTimestamp: Number(roundDataFromChain.lockTimestamp),
     closeTimestamp: Number(roundDataFromChain.closeTimestamp),
     bullAmount: 0,
@@ -292,7 +351,10 @@ async function broadcastRoundUpdate(epoch, roundDataFromChain) {
     totalAmount: 0,
     status: status,
     result: null,
-    closePrice: null
+    lockPrice: null,
+    closePrice: null,
+    lockOracleId: null,
+    closeOracleId: null
   };
   
   // 廣播到 WebSocket 客戶端
@@ -300,7 +362,7 @@ async function broadcastRoundUpdate(epoch, roundDataFromChain) {
   
   // 發布到 Redis channel 供 backtest 服務訂閱
   try {
-    await redisClient.publish('round_update_channel', JSON.stringify(roundDataForWs));
+    await publishMessage(redisClient, CHANNELS.ROUND_UPDATE, roundDataForWs, 'server');
   } catch (error) {
     console.error('❌ 發布到 Redis round_update_channel 失敗:', error.message);
   }
@@ -365,6 +427,7 @@ async function calculateWeightedFailureRate(client, walletAddress, currentEpoch)
     await saveAnalysisToCache(client, walletAddress, currentEpoch, short12, mid48);
 
     // 5. 查詢錢包標籤和圖表數據
+    const wallet = await getWallet(client, walletAddress);
     const walletTags = await analyzeWalletTags(client, walletAddress);
     const chartData = await get50RoundsChartData(client, walletAddress, currentEpoch);
 
@@ -378,6 +441,7 @@ async function calculateWeightedFailureRate(client, walletAddress, currentEpoch)
         score: mid48.bare_score
       },
       wallet_tags: walletTags,
+      wallet_profile: formatWalletProfile(wallet),
       chart_data: chartData
     };
 
@@ -406,6 +470,7 @@ async function getAnalysisFromCache(client, walletAddress, currentEpoch) {
     if (!result || result.rows.length === 0) return null;
 
     const cached = result.rows[0];
+    const wallet = await getWallet(client, walletAddress);
     const walletTags = await analyzeWalletTags(client, walletAddress);
     const chartData = await get50RoundsChartData(client, walletAddress, currentEpoch);
 
@@ -423,6 +488,7 @@ async function getAnalysisFromCache(client, walletAddress, currentEpoch) {
         profit_loss: cached.mid_48_profit_loss
       },
       wallet_tags: walletTags,
+      wallet_profile: formatWalletProfile(wallet),
       chart_data: chartData
     };
   } catch (error) {
@@ -441,19 +507,17 @@ async function calculateWindowStats(client, walletAddress, startEpoch, endEpoch,
 
   try {
     const result = await client.query(`
-      SELECT COUNT(*) as total_bets,
+      SELECT COUNT(CASE WHEN h.result IN ('WIN', 'LOSS') THEN 1 END) as total_bets,
              COUNT(CASE WHEN h.result = 'WIN' THEN 1 END) as wins,
              COUNT(CASE WHEN h.result = 'LOSS' THEN 1 END) as losses,
-             SUM(CASE
-               WHEN h.result = 'WIN' AND h.bet_direction = 'UP' 
-                 THEN h.bet_amount * (COALESCE(r.up_payout, 0) - 1)
-               WHEN h.result = 'WIN' AND h.bet_direction = 'DOWN' 
-                 THEN h.bet_amount * (COALESCE(r.down_payout, 0) - 1)
-               WHEN h.result = 'LOSS' THEN -h.bet_amount
+             -- 同步時已寫入 net_profit（REFUND：CANCELLED / REFUNDABLE 局全額退款，為 0）；尚未回補的舊資料依 round 派彩倍率現算（與 backfillProfit 相同）
+             SUM(COALESCE(h.net_profit, ROUND(h.bet_amount * CASE h.result
+               WHEN 'WIN' THEN COALESCE(CASE WHEN h.bet_direction = 'UP' THEN r.up_payout ELSE r.down_payout END, 0)
+               WHEN 'REFUND' THEN 1
                ELSE 0
-             END) as total_profit_loss
+             END, 8) - h.bet_amount)) as total_profit_loss
       FROM hisbet h
-      LEFT JOIN round r ON h.epoch = r.epoch
+      LEFT JOIN round r ON r.epoch = h.epoch
       WHERE h.wallet_address = $1 AND h.epoch BETWEEN $2 AND $3
     `, [walletAddress, startEpoch, endEpoch]);
 
@@ -487,6 +551,8 @@ async function calculateWindowStats(client, walletAddress, startEpoch, endEpoch,
 
 /**
  * 分析錢包標籤（鯨魚、機器人）
+ * 依 multi_claim 的領獎紀錄判斷（與 wallets 維度表的下注量、參與局數不同）：
+ *   鯨魚：每個領獎局平均領獎金額；機器人：單次最多合併領獎局數達 10 才檢查下注金額尾數
  */
 async function analyzeWalletTags(client, walletAddress) {
   const tags = {
@@ -555,6 +621,26 @@ async function analyzeWalletTags(client, walletAddress) {
   return tags;
 }
 
+/**
+ * wallets 列轉為前端/API 使用的格式
+ */
+function formatWalletProfile(wallet) {
+  if (!wallet) return null;
+  return {
+    wallet_address: wallet.wallet_address,
+    first_epoch: Number(wallet.first_epoch),
+    last_epoch: Number(wallet.last_epoch),
+    epochs_played: wallet.epochs_played,
+    bet_count: wallet.bet_count,
+    volume: parseFloat(wallet.volume),
+    wins: wallet.wins,
+    losses: wallet.losses,
+    net_pnl: parseFloat(wallet.net_pnl),
+    largest_bet: parseFloat(wallet.largest_bet),
+    current_streak: wallet.current_streak
+  };
+}
+
 /**
  * 查詢 50 局的詳細歷史數據
  */
@@ -564,20 +650,25 @@ async function get50RoundsChartData(client, walletAddress, currentEpoch) {
       WITH epochs AS (
         SELECT generate_series($2, $2 - 49, -1) AS epoch
       ),
-      combined_data AS (
-        SELECT epoch, bet_amount, result
-        FROM hisbet
+      settled AS (
+        SELECT epoch, total_amount, net_profit, result
+        FROM wallet_epoch_result
         WHERE wallet_address = $1 AND epoch BETWEEN $2 - 49 AND $2
-        UNION ALL
-        SELECT epoch, bet_amount, NULL as result
+      ),
+      pending AS (
+        SELECT epoch, SUM(bet_amount) as total_amount
         FROM realbet
         WHERE wallet_address = $1 AND epoch BETWEEN $2 - 49 AND $2
+        GROUP BY epoch
       )
+      -- 同局多筆下注已合併為一點；結果不一致（MIXED）時依淨損益判定
       SELECT e.epoch,
-             COALESCE(c.bet_amount, 0) as bet_amount,
-             c.result
+             COALESCE(s.total_amount, p.total_amount, 0) as bet_amount,
+             CASE WHEN s.result = 'MIXED' THEN CASE WHEN s.net_profit >= 0 THEN 'WIN' ELSE 'LOSS' END
+                  ELSE s.result END as result
       FROM epochs e
-      LEFT JOIN combined_data c ON c.epoch = e.epoch
+      LEFT JOIN settled s ON s.epoch = e.epoch
+      LEFT JOIN pending p ON p.epoch = e.epoch
       ORDER BY e.epoch DESC
     `, [walletAddress, currentEpoch]);
 
@@ -728,6 +819,8 @@ function renderChartSVG(dataPoints, layout) {
         marker = `<circle cx="${point.x}" cy="${point.y}" r="2.5" fill="#00FF00" stroke="none"/>`;
       } else if (point.result === 'LOSS') {
         marker = `<circle cx="${point.x}" cy="${point.y}" r="2.5" fill="#FF0000" stroke="none"/>`;
+      } else if (point.result === 'REFUND') {
+        marker = `<circle cx="${point.x}" cy="${point.y}" r="2.5" fill="none" stroke="#FFD700" stroke-width="1"/>`;
       } else {
         // 未下注：空心圓在零點
         marker = `<circle cx="${point.x}" cy="${point.y0}" r="2" fill="none" stroke="#888" stroke-width="1"/>`;
@@ -829,18 +922,47 @@ async function fetchBetsWithAnalysis(client, tableName, epoch) {
 
 async function handleInstantBet(message, channel) {
   try {
-    const payload = JSON.parse(message);
-    if (payload.type === 'instant_bet') {
-      broadcast({ type: "new_bet", data: payload.data });
+    const bet = parseMessage(CHANNELS.INSTANT_BET, message);
+    if (bet) {
+      broadcast({ type: "new_bet", data: bet });
     }
   } catch (error) {
     console.error('❌ 處理即時下注錯誤:', error.message);
   }
 }
 
+/**
+ * mempool 待確認下注（gk_realbet.js）：與已上鏈的 new_bet 分開推送
+ */
+async function handlePendingBet(message, channel) {
+  try {
+    const bet = parseMessage(CHANNELS.PENDING_BET, message);
+    if (bet) {
+      broadcast({ type: "pending_bet", data: bet });
+    }
+  } catch (error) {
+    console.error('❌ 處理待確認下注錯誤:', error.message);
+  }
+}
+
 // 追蹤最新局次，避免廣播舊局次
 let latestBroadcastEpoch = 0;
 
+// 依 gk_realbet 局次事件（start / lock / end）推算的下一個局次事件時間（毫秒）；
+// 超過該時間加一個輪詢間隔仍未收到事件時，才由 pollLatestRound 輪詢
+let nextRoundEventAt = 0;
+const ROUND_POLL_INTERVAL_MS = 30000;
+
+/**
+ * 下一個局次事件在最近一個尚未到達的 lockTimestamp / closeTimestamp（executeRound 同一筆交易發出 end / lock / start）
+ */
+function noteLifecycleEvent(roundData) {
+  const now = Date.now();
+  for (const ts of [roundData.lockTimestamp, roundData.closeTimestamp]) {
+    if (ts && ts * 1000 > now) nextRoundEventAt = Math.max(nextRoundEventAt, ts * 1000);
+  }
+}
+
 // 追蹤已設置的鎖倉前5秒快照計時器
 const snapshotTimers = new Map(); // epoch -> timeoutId
 
@@ -874,21 +996,22 @@ async function calculatePredictionSnapshot(epoch) {
     
     console.log(`📋 局次 ${epoch} 共有 ${betsQuery.rows.length} 筆下注`);
     
-    // 獲取所有錢包的勝率數據
+    // 獲取所有錢包的勝率數據與累計數據
     const walletsWithWinRates = [];
+    const addresses = betsQuery.rows.map(bet => normalizeAddress(bet.wallet_address));
+    const analysisQuery = await client.query(`
+      SELECT wallet_address, short_12_win_rate, mid_48_win_rate, short_12_total_bets, mid_48_total_bets
+      FROM wallet_analysis
+      WHERE wallet_address = ANY($1::text[]) AND epoch = $2
+    `, [addresses, epoch]);
+    const analysisByWallet = new Map(analysisQuery.rows.map(r => [r.wallet_address, r]));
+    const walletRows = await getWallets(client, addresses);
     
     for (const bet of betsQuery.rows) {
       const walletAddress = normalizeAddress(bet.wallet_address);
+      const analysis = analysisByWallet.get(walletAddress);
       
-      // 獲取該錢包的勝率數據
-      const analysisQuery = await client.query(`
-        SELECT short_12_win_rate, mid_48_win_rate, short_12_total_bets, mid_48_total_bets
-        FROM wallet_analysis
-        WHERE wallet_address = $1 AND epoch = $2
-      `, [walletAddress, epoch]);
-      
-      if (analysisQuery.rows.length > 0) {
-        const analysis = analysisQuery.rows[0];
+      if (analysis) {
         // 只有有歷史數據的錢包才參與比較
         if (analysis.short_12_total_bets > 0 || analysis.mid_48_total_bets > 0) {
           walletsWithWinRates.push({
@@ -897,7 +1020,8 @@ async function calculatePredictionSnapshot(epoch) {
             short_12_win_rate: analysis.short_12_win_rate || 0,
             mid_48_win_rate: analysis.mid_48_win_rate || 0,
             short_12_total_bets: analysis.short_12_total_bets || 0,
-            mid_48_total_bets: analysis.mid_48_total_bets || 0
+            mid_48_total_bets: analysis.mid_48_total_bets || 0,
+            net_pnl: parseFloat(walletRows.get(walletAddress)?.net_pnl ?? 0)
           });
         }
       }
@@ -910,12 +1034,15 @@ async function calculatePredictionSnapshot(epoch) {
     
     console.log(`📋 局次 ${epoch} 共有 ${walletsWithWinRates.length} 個錢包有歷史數據`);
     
-    // 排序：先比12局勝率，内12局相同再看48局
+    // 排序：先比12局勝率，内12局相同再看48局，再相同看累計淨損益
     walletsWithWinRates.sort((a, b) => {
       if (a.short_12_win_rate !== b.short_12_win_rate) {
         return b.short_12_win_rate - a.short_12_win_rate; // 降序
       }
-      return b.mid_48_win_rate - a.mid_48_win_rate; // 降序
+      if (a.mid_48_win_rate !== b.mid_48_win_rate) {
+        return b.mid_48_win_rate - a.mid_48_win_rate; // 降序
+      }
+      return b.net_pnl - a.net_pnl; // 降序
     });
     
     // 找出勝率最高和最低的錢包
@@ -1023,7 +1150,7 @@ async function calculateMomentumPredictionSnapshot(client, epoch, currentBets) {
     const trendQuery = await client.query(`
       SELECT result, up_bet_amount, down_bet_amount
       FROM round 
-      WHERE epoch BETWEEN $1 AND $2 AND result IS NOT NULL
+      WHERE epoch BETWEEN $1 AND $2 AND result IN ('UP', 'DOWN')
       ORDER BY epoch DESC
       LIMIT 5
     `, [epoch - 5, epoch - 1]);
@@ -1052,8 +1179,10 @@ async function calculateMomentumPredictionSnapshot(client, epoch, currentBets) {
 
 async function handleRoundUpdate(message, channel) {
   try {
-    const roundData = JSON.parse(message);
+    const roundData = parseMessage(CHANNELS.ROUND_UPDATE, message);
+    if (!roundData) return;
     const epoch = roundData.epoch;
+    if (['start', 'lock', 'end'].includes(roundData.event)) noteLifecycleEvent(roundData);
 
     // 初始化：第一次收到時設定基準
     if (latestBroadcastEpoch === 0) {
@@ -1073,25 +1202,28 @@ async function handleRoundUpdate(message, channel) {
     }
 
   const now = Date.now();
-  // roundData.lock_time 格式為 "YYYY-MM-DD HH:mm:ss" 台北時間
-  // 需要明確指定為台北時區來避免時區混淆
-  const lockTime = new Date(roundData.lock_time + ' GMT+0800').getTime();
-  const closeTime = new Date(roundData.close_time + ' GMT+0800').getTime();
+  const lockTime = Number(roundData.lockTimestamp) * 1000;
+  const closeTime = Number(roundData.closeTimestamp) * 1000;
 
+    // 局次事件的狀態以鏈上事件為準，輪詢 / 同步訊息依時間推算
     let status = 'ENDED';
-    if (now < lockTime) status = 'LIVE';
+    if (['start', 'lock', 'end'].includes(roundData.event)) status = roundData.status;
+    else if (now < lockTime) status = 'LIVE';
     else if (now < closeTime) status = 'LOCKED';
 
     const roundDataForWs = {
       epoch: epoch,
       lockTimestamp: Math.floor(lockTime / 1000),
       closeTimestamp: Math.floor(closeTime / 1000),
-      bullAmount: roundData.up_bet_amount,
-      bearAmount: roundData.down_bet_amount,
-      totalAmount: roundData.total_bet_amount,
+      bullAmount: roundData.bullAmount,
+      bearAmount: roundData.bearAmount,
+      totalAmount: roundData.totalAmount,
       status: status,
       result: roundData.result,
-      closePrice: roundData.close_price
+      lockPrice: roundData.lockPrice,
+      closePrice: roundData.closePrice,
+      lockOracleId: roundData.lockOracleId,
+      closeOracleId: roundData.closeOracleId
     };
 
     broadcast({ type: 'round_update', data: roundDataForWs });
@@ -1100,7 +1232,7 @@ async function handleRoundUpdate(message, channel) {
     // 如果是 LIVE 狀態，設置鎖倉前5秒的快照計算
     if (status === 'LIVE' && !snapshotTimers.has(epoch)) {
       const currentTime = Date.now();
-      const lockTimestamp = new Date(roundData.lock_time + ' GMT+0800').getTime();
+      const lockTimestamp = lockTime;
       const timeUntilSnapshot = lockTimestamp - currentTime - 5000; // 鎖倉前5秒
       
       if (timeUntilSnapshot > 0) {
@@ -1129,14 +1261,13 @@ async function handleRoundUpdate(message, channel) {
 
 async function handleAnalysisRequest(message, channel) {
   try {
-    const payload = JSON.parse(message);
-    if (payload.type === 'analysis_request') {
-      console.log(`🧮 收到分析請求: ${payload.bet.wallet_address.substring(0,8)}... epoch ${payload.bet.epoch}`);
-      // 不要 await，讓它在背景執行，避免阻塞
-      processAnalysisInBackground(payload.bet).catch(err => {
-        console.error('❌ 背景分析失敗:', err.message);
-      });
-    }
+    const payload = parseMessage(CHANNELS.ANALYSIS, message);
+    if (!payload) return;
+    console.log(`🧮 收到分析請求: ${payload.bet.wallet_address.substring(0,8)}... epoch ${payload.bet.epoch}`);
+    // 不要 await，讓它在背景執行，避免阻塞
+    processAnalysisInBackground(payload.bet).catch(err => {
+      console.error('❌ 背景分析失敗:', err.message);
+    });
   } catch (error) {
     console.error('❌ 處理分析請求錯誤:', error.message);
   }
@@ -1172,7 +1303,8 @@ async function processAnalysisInBackground(betData) {
 
 async function handleBacktestResults(message, channel) {
   try {
-    const backtestData = JSON.parse(message);
+    const backtestData = parseMessage(CHANNELS.BACKTEST_RESULTS, message);
+    if (!backtestData) return;
     console.log(`📊 收到回測結果: 跟隨最高 ${backtestData.strategies.follow_best.winRate}%, 反向最低 ${backtestData.strategies.reverse_low.winRate}%`);
     
     // 廣播給所有 WebSocket 客戶端
@@ -1184,7 +1316,8 @@ async function handleBacktestResults(message, channel) {
 
 async function handleLivePredictions(message, channel) {
   try {
-    const predictionsData = JSON.parse(message);
+    const predictionsData = parseMessage(CHANNELS.LIVE_PREDICTIONS, message);
+    if (!predictionsData) return;
     const momentum = predictionsData.strategies?.momentum;
     
     if (momentum) {
@@ -1200,7 +1333,8 @@ async function handleLivePredictions(message, channel) {
 
 async function handleTxBenchmark(message, channel) {
   try {
-    const data = JSON.parse(message);
+    const data = parseMessage(CHANNELS.TX_BENCHMARK, message);
+    if (!data) return;
     // 只做轉發，前端維護彙總
     broadcast({ type: 'tx_benchmark', data });
   } catch (error) {
@@ -1208,6 +1342,16 @@ async function handleTxBenchmark(message, channel) {
   }
 }
 
+async function handleAuditResults(message, channel) {
+  try {
+    const data = parseMessage(CHANNELS.AUDIT_RESULTS, message);
+    if (!data) return;
+    broadcast({ type: 'data_health', data });
+  } catch (error) {
+    console.error('❌ 處理 audit_results 錯誤:', error.message);
+  }
+}
+
 // ========================================
 // WebSocket 客戶端消息處理
 // ========================================
@@ -1232,8 +1376,8 @@ async function handleClientMessage(ws, message) {
             // 資料庫有資料
             const round = roundRes.rows[0];
             const now = Date.now();
-            const lockTime = new Date(round.lock_time).getTime();
-            const closeTime = new Date(round.close_time).getTime();
+            const lockTime = round.lock_time.getTime();
+            const closeTime = round.close_time.getTime();
 
             let status = 'ENDED';
             if (now < lockTime) status = 'LIVE';
@@ -1356,6 +1500,15 @@ async function handleClientMessage(ws, message) {
         break;
       }
 
+      case 'get_data_health': {
+        const latestAudit = await redisClient.get(AUDIT_LATEST_KEY);
+        const audit = latestAudit && parseMessage(CHANNELS.AUDIT_RESULTS, latestAudit);
+        if (audit) {
+          ws.send(JSON.stringify({ type: 'data_health', data: audit }));
+        }
+        break;
+      }
+
       default:
         console.warn(`⚠️ 未知的消息類型: ${data.type}`);
     }
@@ -1423,7 +1576,11 @@ wss.on("connection", (ws) => {
 // 定期檢查最新局次
 // ========================================
 
+/**
+ * 輪詢備援：預期的下一個局次事件逾時一個輪詢間隔仍未到時，才向鏈上查詢最新局次
+ */
 async function pollLatestRound() {
+  if (Date.now() < nextRoundEventAt + ROUND_POLL_INTERVAL_MS) return;
   try {
     // 從鏈上獲取最新局次
     const currentEpoch = await contract.currentEpoch();
@@ -1444,15 +1601,20 @@ async function pollLatestRound() {
       else if (now < closeTimestamp) status = 'LOCKED';
 
       const roundData = {
+        event: 'poll',
         epoch: latestEpoch,
+        startTimestamp: Number(roundInfo.startTimestamp),
         lockTimestamp: lockTimestamp,
         closeTimestamp: closeTimestamp,
-        bullAmount: ethers.formatEther(roundInfo.bullAmount),
-        bearAmount: ethers.formatEther(roundInfo.bearAmount),
-        totalAmount: ethers.formatEther(roundInfo.totalAmount),
+        bullAmount: parseFloat(ethers.formatEther(roundInfo.bullAmount)),
+        bearAmount: parseFloat(ethers.formatEther(roundInfo.bearAmount)),
+        totalAmount: parseFloat(ethers.formatEther(roundInfo.totalAmount)),
         status: status,
         result: null,
-        closePrice: null
+        lockPrice: null,
+        closePrice: null,
+        lockOracleId: null,
+        closeOracleId: null
       };
 
       // 更新最新局次並廣播
@@ -1461,7 +1623,7 @@ async function pollLatestRound() {
       
       // 發布到 Redis channel 供 backtest 服務訂閱
       try {
-        await redisClient.publish('round_update_channel', JSON.stringify(roundData));
+        await publishMessage(redisClient, CHANNELS.ROUND_UPDATE, roundData, 'server');
       } catch (error) {
         console.error('❌ 發布到 Redis round_update_channel 失敗:', error.message);
       }
@@ -1495,8 +1657,8 @@ async function main() {
       console.log(`📡 伺服器監聽: http://${HOST}:${PORT}`);
     });
 
-    // 4. 啟動定期輪詢最新局次（每 30 秒）
-    setInterval(pollLatestRound, 30000);
+    // 4. 啟動定期輪詢最新局次（每 30 秒；gk_realbet 局次事件正常時略過，僅作備援）
+    setInterval(pollLatestRound, ROUND_POLL_INTERVAL_MS);
     // 立即執行一次
     pollLatestRound();
 
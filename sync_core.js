@@ -0,0 +1,1266 @@
+/**
+ * 局次同步核心 - 區塊範圍、事件抓取、驗證、解析與寫入
+ * hisbet.js 的同步線與 gk_hisbet 的 Genkit 工具共用，兩者只負責排程與呼叫順序
+ *
+ * 純函式直接匯出；需要資料庫、RPC、合約或 Redis 的部分由 createSyncCore 建立
+ * 事件在 Genkit 工具之間傳遞時以 serializeEvents / deserializeEvents 轉為原始日誌（不含 BigInt）
+ */
+
+const { ethers } = require("ethers");
+const crypto = require("crypto");
+const { EPOCH_STATUS, markEpochStatus } = require("./sync_state");
+const { ValidationError, RETRY_STATE, RETRY_POLICY, recordEpochFailure, clearEpochFailure } = require("./retry_queue");
+const { getContractConfigAtEpoch, getPauseAffectingEpoch } = require("./contract_config");
+const { betProfit, rebuildWalletEpochResults } = require("./bet_profit");
+const { CHANNELS, parseMessage, publishMessage } = require("./messages");
+
+const CACHE_MAX = parseInt(process.env.CACHE_MAX) || 5000;
+const RETRY_MAX = parseInt(process.env.RETRY_MAX) || 3;
+const DISCOVERY_EVENT_WINDOW_SECONDS = parseInt(process.env.DISCOVERY_EVENT_WINDOW_SECONDS) || 180;
+const BULK_LOG_CHUNK_BLOCKS = parseInt(process.env.BULK_LOG_CHUNK_BLOCKS) || 5000;
+const EPOCH_LOCK_SECONDS = 300; // processing:epoch:* 鎖，避免多條線或多個程序同時處理同一局
+
+const BULK_EVENTS = ['StartRound', 'LockRound', 'EndRound', 'BetBull', 'BetBear', 'RewardsCalculated', 'NewTreasuryFee'];
+
+// LRU 快取
+class LRUCache {
+  constructor(limit = CACHE_MAX) {
+    this.limit = limit;
+    this.cache = new Map();
+  }
+  get(key) {
+    if (!this.cache.has(key)) return null;
+    const val = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, val);
+    return val;
+  }
+  set(key, val) {
+    if (this.cache.has(key)) this.cache.delete(key);
+    else if (this.cache.size >= this.limit) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, val);
+  }
+}
+
+function normalizeAddress(address) {
+  if (!address || typeof address !== 'string') throw new Error(`無效地址: ${address}`);
+  const trimmed = address.trim();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(trimmed)) throw new Error(`格式錯誤: ${trimmed}`);
+  return trimmed.toLowerCase();
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// 重試機制：節點池已處理單次容錯，此處以指數退避等待熔斷節點恢復
+async function retryFn(fn, retries = RETRY_MAX) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (i === retries - 1) throw e;
+      await sleep(Math.min(1000 * 2 ** i, 15000) + Math.floor(Math.random() * 250));
+    }
+  }
+}
+
+/**
+ * 解析 round_update_channel 訊息（messages.js 信封）
+ * @returns {{epoch: number, lockTimestamp: number|null}|null} 不合格時回傳 null（已計數）
+ */
+function parseRoundUpdate(message) {
+  const data = parseMessage(CHANNELS.ROUND_UPDATE, message);
+  return data ? { epoch: data.epoch, lockTimestamp: data.lockTimestamp } : null;
+}
+
+/**
+ * 建立 / 補上 round 的派彩與預言機欄位（hisbet、gk_hisbet、gk_realbet 啟動時呼叫）
+ * @param {import('pg').Pool} db
+ */
+async function ensureRoundSchema(db) {
+  await db.query(`
+    ALTER TABLE round
+      ADD COLUMN IF NOT EXISTS reward_base_cal_amount NUMERIC(30, 18),
+      ADD COLUMN IF NOT EXISTS reward_amount NUMERIC(30, 18),
+      ADD COLUMN IF NOT EXISTS treasury_amount NUMERIC(30, 18),
+      ADD COLUMN IF NOT EXISTS treasury_fee INT,
+      ADD COLUMN IF NOT EXISTS lock_oracle_id NUMERIC(30, 0),
+      ADD COLUMN IF NOT EXISTS close_oracle_id NUMERIC(30, 0)
+  `);
+}
+
+/**
+ * 預言機 roundId；尚未鎖定 / 結算（或取消局）時合約回傳 0，存為 null
+ */
+function oracleId(id) {
+  return id && String(id) !== '0' ? String(id) : null;
+}
+
+/**
+ * 將同步完成的 round 資料列轉為 round_update_channel 訊息內容
+ */
+function roundUpdateFromRow(round) {
+  return {
+    event: 'sync',
+    epoch: round.epoch,
+    startTimestamp: round.start_time,
+    lockTimestamp: round.lock_time,
+    closeTimestamp: round.close_time,
+    status: 'ENDED',
+    bullAmount: Number(round.up_bet_amount),
+    bearAmount: Number(round.down_bet_amount),
+    totalAmount: Number(round.total_bet_amount),
+    result: round.result,
+    lockPrice: Number(round.lock_price),
+    closePrice: Number(round.close_price),
+    lockOracleId: round.lock_oracle_id,
+    closeOracleId: round.close_oracle_id
+  };
+}
+
+function emptyEpochEvents() {
+  return {
+    startround: [],
+    lockround: [],
+    endround: [],
+    betbull: [],
+    betbear: [],
+    rewardscalculated: [],
+    newtreasuryfee: []
+  };
+}
+
+/**
+ * 將事件轉為可 JSON 序列化的原始日誌（topics / data），供 Genkit 工具傳遞與記錄 trace
+ */
+function serializeEvents(events) {
+  const plain = {};
+  for (const [key, logs] of Object.entries(events)) {
+    plain[key] = logs.map(l => ({
+      blockNumber: l.blockNumber, blockHash: l.blockHash, transactionHash: l.transactionHash,
+      index: l.index, topics: [...l.topics], data: l.data
+    }));
+  }
+  return plain;
+}
+
+async function validateBetEvents(events, rd, epoch) {
+  const errors = [];
+  // 單邊局允許某一方無下注，但事件數須與鏈上金額一致
+  if (events.betbull.length === 0 && BigInt(rd.bullAmount) > 0n) errors.push('缺少UP');
+  if (events.betbear.length === 0 && BigInt(rd.bearAmount) > 0n) errors.push('缺少DOWN');
+
+  for (let i = 0; i < events.betbull.length; i++) {
+    const e = events.betbull[i];
+    try {
+      const addr = normalizeAddress(e.args.sender);
+      if (addr === '0x0000000000000000000000000000000000000000') errors.push(`UP[${i}]零地址`);
+    } catch (err) {
+      errors.push(`UP[${i}]地址錯誤`);
+    }
+    if (!e.args.amount || e.args.amount <= 0n) errors.push(`UP[${i}]amount無效`);
+  }
+
+  for (let i = 0; i < events.betbear.length; i++) {
+    const e = events.betbear[i];
+    try {
+      const addr = normalizeAddress(e.args.sender);
+      if (addr === '0x0000000000000000000000000000000000000000') errors.push(`DOWN[${i}]零地址`);
+    } catch (err) {
+      errors.push(`DOWN[${i}]地址錯誤`);
+    }
+    if (!e.args.amount || e.args.amount <= 0n) errors.push(`DOWN[${i}]amount無效`);
+  }
+
+  if (errors.length > 0) throw new ValidationError(`Epoch ${epoch} 下注驗證失敗: ${errors.join('; ')}`);
+  return true;
+}
+
+function verifyRoundBetsStrict(round, bets, epoch) {
+  const errors = [];
+  const txs = new Set();
+  for (const b of bets) {
+    if (!b.tx_hash) {
+      errors.push('缺tx_hash');
+      continue;
+    }
+    if (txs.has(b.tx_hash)) errors.push('重複tx');
+    txs.add(b.tx_hash);
+  }
+
+  let tot = 0, up = 0, dn = 0;
+  for (const b of bets) {
+    tot += b.amount;
+    if (b.direction === 'UP') up += b.amount;
+    else if (b.direction === 'DOWN') dn += b.amount;
+  }
+
+  const et = parseFloat(round.total_bet_amount);
+  const eu = parseFloat(round.up_bet_amount);
+  const ed = parseFloat(round.down_bet_amount);
+  if (Math.abs(tot - et) > 0.001) errors.push('總額不符');
+  if (Math.abs(up - eu) > 0.001) errors.push('UP不符');
+  if (Math.abs(dn - ed) > 0.001) errors.push('DOWN不符');
+
+  if (errors.length > 0) throw new ValidationError(`Epoch ${epoch} 金額驗證失敗: ${errors.join('; ')}`);
+  return true;
+}
+
+async function verifyDatabaseWrite(epoch, round, bets, client) {
+  const errors = [];
+  const rc = await client.query('SELECT 1 FROM round WHERE epoch = $1', [epoch]);
+  if (rc.rows.length === 0) errors.push('round失敗');
+
+  const hc = await client.query('SELECT COUNT(*) as c FROM hisbet WHERE epoch = $1', [epoch]);
+  if (parseInt(hc.rows[0].c) !== bets.length) errors.push('hisbet筆數不符');
+
+  const fc = await client.query('SELECT 1 FROM finepoch WHERE epoch = $1', [epoch]);
+  if (fc.rows.length === 0) errors.push('finepoch失敗');
+
+  if (errors.length > 0) throw new ValidationError(`資料庫驗證失敗: ${errors.join('; ')}`);
+  return true;
+}
+
+/**
+ * 取得局次的派彩數據：優先使用 RewardsCalculated 事件，並與 rounds() 交叉驗證
+ * @returns {{rewardBaseCalAmount: bigint, rewardAmount: bigint, treasuryAmount: bigint}}
+ */
+function extractRewards(rd, events, epoch) {
+  const ev = events?.rewardscalculated?.[0];
+  if (ev) {
+    const rewards = {
+      rewardBaseCalAmount: ev.args.rewardBaseCalAmount,
+      rewardAmount: ev.args.rewardAmount,
+      treasuryAmount: ev.args.treasuryAmount
+    };
+    if (rewards.rewardBaseCalAmount !== BigInt(rd.rewardBaseCalAmount) || rewards.rewardAmount !== BigInt(rd.rewardAmount)) {
+      throw new ValidationError(`Epoch ${epoch} RewardsCalculated 與 rounds() 不符`);
+    }
+    return rewards;
+  }
+
+  // 合約中 rewardAmount = totalAmount - treasuryAmt，可由 rounds() 反推
+  console.log(`    [rewards] Epoch ${epoch} 未找到 RewardsCalculated，改用 rounds() 數據`);
+  return {
+    rewardBaseCalAmount: BigInt(rd.rewardBaseCalAmount),
+    rewardAmount: BigInt(rd.rewardAmount),
+    treasuryAmount: BigInt(rd.totalAmount) - BigInt(rd.rewardAmount)
+  };
+}
+
+/**
+ * 局次適用的手續費（basis points）：RewardsCalculated 之前（含同一區塊較早的日誌）有 NewTreasuryFee 時以最後一筆為準，
+ * 否則由實際國庫金額反推；派彩之後的費率變更不影響本局
+ */
+function resolveTreasuryFee(result, rd, rewards, events) {
+  const calc = events?.rewardscalculated?.[0];
+  const changes = calc
+    ? (events?.newtreasuryfee || []).filter(e =>
+        e.blockNumber < calc.blockNumber || (e.blockNumber === calc.blockNumber && e.index < calc.index))
+    : [];
+  if (changes.length > 0) {
+    const last = changes.reduce((a, b) => (b.blockNumber > a.blockNumber || (b.blockNumber === a.blockNumber && b.index > a.index) ? b : a));
+    return Number(last.args.treasuryFee);
+  }
+
+  const total = BigInt(rd.totalAmount);
+  if ((result === 'UP' || result === 'DOWN') && total > 0n) {
+    return Number((rewards.treasuryAmount * 10000n + total / 2n) / total);
+  }
+  return null;
+}
+
+function payoutRatio(rewardAmount, sideAmount) {
+  if (sideAmount === 0n) return '0';
+  return ethers.formatEther(rewardAmount * 10n ** 18n / sideAmount);
+}
+
+/**
+ * 可退款的局次結果：未鎖倉即中止（CANCELLED）或鎖倉後未在緩衝時間內結算（REFUNDABLE）
+ */
+function isRefundResult(roundResult) {
+  return roundResult === 'CANCELLED' || roundResult === 'REFUNDABLE';
+}
+
+/**
+ * 單筆下注結果：可退款局為 REFUND，HOUSE 局雙方皆 LOSS
+ */
+function betResult(direction, roundResult) {
+  if (isRefundResult(roundResult)) return 'REFUND';
+  return direction === roundResult ? 'WIN' : 'LOSS';
+}
+
+// 寫入單局 round/hisbet/wallet_epoch_result（不含交易控制，由呼叫端 BEGIN/COMMIT）
+async function insertEpochRows(round, bets, client) {
+  await client.query(`
+    INSERT INTO round(epoch, start_time, lock_time, close_time, lock_price, close_price, result,
+       total_bet_amount, up_bet_amount, down_bet_amount, up_payout, down_payout,
+       reward_base_cal_amount, reward_amount, treasury_amount, treasury_fee, lock_oracle_id, close_oracle_id)
+    VALUES($1,to_timestamp($2),to_timestamp($3),to_timestamp($4),$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18)
+    ON CONFLICT (start_time, epoch) DO UPDATE SET
+      lock_time=EXCLUDED.lock_time, close_time=EXCLUDED.close_time,
+      lock_price=EXCLUDED.lock_price, close_price=EXCLUDED.close_price, result=EXCLUDED.result,
+      total_bet_amount=EXCLUDED.total_bet_amount, up_bet_amount=EXCLUDED.up_bet_amount,
+      down_bet_amount=EXCLUDED.down_bet_amount, up_payout=EXCLUDED.up_payout, down_payout=EXCLUDED.down_payout,
+      reward_base_cal_amount=EXCLUDED.reward_base_cal_amount, reward_amount=EXCLUDED.reward_amount,
+      treasury_amount=EXCLUDED.treasury_amount, treasury_fee=EXCLUDED.treasury_fee,
+      lock_oracle_id=EXCLUDED.lock_oracle_id, close_oracle_id=EXCLUDED.close_oracle_id
+    `, [round.epoch, round.start_time, round.lock_time, round.close_time, round.lock_price, round.close_price,
+        round.result, round.total_bet_amount||0, round.up_bet_amount||0, round.down_bet_amount||0,
+        round.up_payout||0, round.down_payout||0,
+        round.reward_base_cal_amount, round.reward_amount, round.treasury_amount, round.treasury_fee,
+        round.lock_oracle_id ?? null, round.close_oracle_id ?? null]);
+
+  if (bets.length > 0) {
+    const v = [], p = [];
+    let i = 1;
+    for (const b of bets) {
+      const result = betResult(b.direction, round.result);
+      const profit = betProfit(result, b.direction, b.amount, round);
+      v.push(`($${i},to_timestamp($${i+1}),$${i+2},$${i+3},$${i+4},$${i+5},$${i+6},$${i+7},$${i+8},$${i+9},$${i+10})`);
+      p.push(b.epoch, b.bet_time, b.wallet_address, b.direction, b.amount,
+            b.block_number, b.tx_hash, result,
+            profit.payout_multiplier, profit.gross_return, profit.net_profit);
+      i += 11;
+    }
+    await client.query(`
+      INSERT INTO hisbet(epoch, bet_time, wallet_address, bet_direction, bet_amount, block_number, tx_hash, result,
+        payout_multiplier, gross_return, net_profit)
+      VALUES ${v.join(',')} ON CONFLICT (bet_time, tx_hash) DO NOTHING
+    `, p);
+  }
+  await rebuildWalletEpochResults([round.epoch], client);
+
+  // 領獎索引可能先於下注同步，補上對應的下注交易
+  await client.query(`
+    UPDATE claim c SET bet_tx_hash = h.tx_hash
+    FROM hisbet h
+    WHERE c.bet_epoch = $1 AND c.bet_tx_hash IS NULL
+      AND h.epoch = c.bet_epoch AND h.wallet_address = c.wallet_address
+  `, [round.epoch]);
+}
+
+/**
+ * 寫入 claim 資料列並連結原始下注（multi_claim 由呼叫端重建）
+ */
+async function writeClaimRows(claims, fromBlock, toBlock, client) {
+  if (claims.length === 0) return;
+
+  const v = [], p = [];
+  let i = 1;
+  for (const c of claims) {
+    v.push(`($${i},$${i+1},$${i+2},$${i+3},$${i+4},$${i+5},$${i+6},to_timestamp($${i+7}))`);
+    p.push(c.epoch, c.block_number, c.wallet_address, c.bet_epoch, c.amount, c.tx_hash, c.log_index, c.claim_time);
+    i += 8;
+  }
+  await client.query(`
+    INSERT INTO claim(epoch, block_number, wallet_address, bet_epoch, amount, tx_hash, log_index, claim_time)
+    VALUES ${v.join(',')}
+    ON CONFLICT (block_number, wallet_address, bet_epoch) DO UPDATE SET
+      epoch = EXCLUDED.epoch, amount = EXCLUDED.amount, tx_hash = EXCLUDED.tx_hash,
+      log_index = EXCLUDED.log_index, claim_time = EXCLUDED.claim_time
+  `, p);
+
+  // 連結原始下注（每個錢包每局只能下注一次）
+  await client.query(`
+    UPDATE claim c SET bet_tx_hash = h.tx_hash
+    FROM hisbet h
+    WHERE c.block_number BETWEEN $1 AND $2 AND c.bet_tx_hash IS NULL
+      AND h.epoch = c.bet_epoch AND h.wallet_address = c.wallet_address
+  `, [fromBlock, toBlock]);
+}
+
+/**
+ * 依完整領獎資料重建指定局次的 multi_claim
+ */
+async function rebuildMultiClaims(epochs, client) {
+  if (epochs.length === 0) return 0;
+  await client.query('DELETE FROM multi_claim WHERE epoch = ANY($1::bigint[])', [epochs]);
+  const res = await client.query(`
+    INSERT INTO multi_claim(epoch, wallet_address, num_claimed_epochs, total_amount)
+    SELECT epoch, wallet_address, COUNT(DISTINCT bet_epoch), SUM(amount)
+    FROM claim
+    WHERE epoch = ANY($1::bigint[])
+    GROUP BY epoch, wallet_address
+    HAVING COUNT(DISTINCT bet_epoch) >= 5 OR SUM(amount) >= 1
+  `, [epochs]);
+  return res.rowCount;
+}
+
+// ========================================
+// 修復模式：以鏈上資料取代已存在的資料列
+// ========================================
+
+const ROUND_DIFF_FIELDS = ['start_time', 'lock_time', 'close_time', 'lock_price', 'close_price', 'result',
+  'total_bet_amount', 'up_bet_amount', 'down_bet_amount', 'up_payout', 'down_payout',
+  'reward_base_cal_amount', 'reward_amount', 'treasury_amount', 'treasury_fee', 'lock_oracle_id', 'close_oracle_id'];
+const BET_DIFF_FIELDS = ['bet_time', 'wallet_address', 'bet_direction', 'bet_amount', 'block_number', 'result'];
+const CLAIM_DIFF_FIELDS = ['epoch', 'amount', 'tx_hash', 'log_index'];
+const DECIMAL_RE = /^-?\d+(\.\d+)?(e[-+]?\d+)?$/i;
+
+/**
+ * 比較兩筆資料列的指定欄位；數值欄位容許 NUMERIC 精度造成的尾差
+ * @returns {Object<string, {old: *, new: *}>}
+ */
+function diffFields(stored, fresh, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const a = stored[field] ?? null;
+    const b = fresh[field] ?? null;
+    if (a === null || b === null) {
+      if (a !== b) changes[field] = { old: a, new: b };
+      continue;
+    }
+    // 預言機 roundId 超過 Number 精度，整數字串直接比對
+    const numeric = DECIMAL_RE.test(String(a)) && DECIMAL_RE.test(String(b)) && !/^\d{16,}$/.test(String(a));
+    const same = numeric ? Math.abs(Number(a) - Number(b)) <= 1e-8 : String(a) === String(b);
+    if (!same) changes[field] = { old: a, new: b };
+  }
+  return changes;
+}
+
+/**
+ * 比對資料庫中本局的 round/hisbet 與鏈上資料
+ * @returns {Promise<{round: Object, inserted: Object[], removed: Object[], changed: Object[]}>}
+ */
+async function diffEpochRows(round, bets, client) {
+  const storedRound = await client.query(`
+    SELECT EXTRACT(EPOCH FROM start_time)::bigint AS start_time, EXTRACT(EPOCH FROM lock_time)::bigint AS lock_time,
+      EXTRACT(EPOCH FROM close_time)::bigint AS close_time, lock_price, close_price, result,
+      total_bet_amount, up_bet_amount, down_bet_amount, up_payout, down_payout,
+      reward_base_cal_amount, reward_amount, treasury_amount, treasury_fee, lock_oracle_id, close_oracle_id
+    FROM round WHERE epoch = $1
+  `, [round.epoch]);
+  const storedBets = await client.query(`
+    SELECT tx_hash, EXTRACT(EPOCH FROM bet_time)::bigint AS bet_time, wallet_address, bet_direction,
+      bet_amount, block_number, result
+    FROM hisbet WHERE epoch = $1
+  `, [round.epoch]);
+
+  const roundChanges = storedRound.rows.length > 0
+    ? diffFields(storedRound.rows[0], round, ROUND_DIFF_FIELDS)
+    : { missing: { old: null, new: 'round' } };
+
+  // 舊資料的主鍵含 bet_time，同一筆交易可能因時間錯誤重複存在，多出的列視為移除
+  const stored = new Map();
+  const removed = [];
+  for (const row of storedBets.rows) {
+    if (stored.has(row.tx_hash)) removed.push({ ...row, duplicate: true });
+    else stored.set(row.tx_hash, row);
+  }
+
+  const inserted = [];
+  const changed = [];
+  for (const b of bets) {
+    const fresh = {
+      tx_hash: b.tx_hash, bet_time: b.bet_time, wallet_address: b.wallet_address, bet_direction: b.direction,
+      bet_amount: b.amount, block_number: b.block_number, result: betResult(b.direction, round.result)
+    };
+    const old = stored.get(b.tx_hash);
+    if (!old) {
+      inserted.push(fresh);
+      continue;
+    }
+    stored.delete(b.tx_hash);
+    const fields = diffFields(old, fresh, BET_DIFF_FIELDS);
+    if (Object.keys(fields).length > 0) changed.push({ tx_hash: b.tx_hash, fields });
+  }
+  removed.push(...stored.values());
+
+  return { round: roundChanges, inserted, removed, changed };
+}
+
+/**
+ * 比對資料庫中本局下注的領獎列（bet_epoch）與重新索引的結果
+ * @returns {{inserted: Object[], removed: Object[], changed: Object[]}}
+ */
+function diffClaimRows(storedRows, claims) {
+  const key = c => `${Number(c.block_number)}:${c.wallet_address}:${Number(c.bet_epoch)}`;
+  const stored = new Map(storedRows.map(c => [key(c), c]));
+  const inserted = [];
+  const changed = [];
+  for (const c of claims) {
+    const old = stored.get(key(c));
+    if (!old) {
+      inserted.push(c);
+      continue;
+    }
+    stored.delete(key(c));
+    const fields = diffFields(old, c, CLAIM_DIFF_FIELDS);
+    if (Object.keys(fields).length > 0) changed.push({ block_number: c.block_number, wallet_address: c.wallet_address, fields });
+  }
+  return { inserted, removed: [...stored.values()], changed };
+}
+
+/**
+ * 修復模式寫入：計算差異後刪除本局 round/hisbet 重新寫入，並記錄到 sync_repairs
+ * claims 為重新索引的本局下注領獎（{rows, fromBlock, toBlock}）：取代該區間內的領獎列，
+ * 並依領獎列所屬局次（領獎當時的進行中局次）重建 multi_claim；未提供時只重設下注連結
+ */
+async function replaceEpochRows(round, bets, client, claims = null) {
+  const diff = await diffEpochRows(round, bets, client);
+
+  await client.query('DELETE FROM hisbet WHERE epoch = $1', [round.epoch]);
+  await client.query('DELETE FROM round WHERE epoch = $1', [round.epoch]);
+  await client.query('UPDATE claim SET bet_tx_hash = NULL WHERE bet_epoch = $1', [round.epoch]);
+  await insertEpochRows(round, bets, client);
+
+  let multiClaimRows = null;
+  if (claims) {
+    const oldClaims = await client.query(`
+      DELETE FROM claim WHERE bet_epoch = $1 AND block_number BETWEEN $2 AND $3
+      RETURNING epoch, block_number, wallet_address, bet_epoch, amount, tx_hash, log_index
+    `, [round.epoch, claims.fromBlock, claims.toBlock]);
+    diff.claims = diffClaimRows(oldClaims.rows, claims.rows);
+    await writeClaimRows(claims.rows, claims.fromBlock, claims.toBlock, client);
+    const claimEpochs = new Set([...oldClaims.rows, ...claims.rows].map(c => Number(c.epoch)));
+    multiClaimRows = await rebuildMultiClaims([...claimEpochs], client);
+  }
+
+  await client.query(`
+    INSERT INTO sync_repairs (epoch, round_changes, bets_inserted, bets_removed, bets_changed,
+      claims_inserted, claims_removed, claims_changed, multi_claim_rows)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [round.epoch, JSON.stringify(diff.round), JSON.stringify(diff.inserted), JSON.stringify(diff.removed),
+      JSON.stringify(diff.changed),
+      diff.claims ? JSON.stringify(diff.claims.inserted) : null,
+      diff.claims ? JSON.stringify(diff.claims.removed) : null,
+      diff.claims ? JSON.stringify(diff.claims.changed) : null,
+      multiClaimRows]);
+
+  return diff;
+}
+
+function printRepairDiff(epoch, diff, lp = '') {
+  const roundFields = Object.keys(diff.round);
+  console.log(`${lp}🛠️ Epoch ${epoch} 修復: 新增 ${diff.inserted.length} / 移除 ${diff.removed.length} / 變更 ${diff.changed.length} 筆下注` +
+    `${roundFields.length > 0 ? `，round 變更: ${roundFields.join(', ')}` : ''}`);
+  for (const [field, c] of Object.entries(diff.round)) {
+    console.log(`${lp}  round.${field}: ${c.old} → ${c.new}`);
+  }
+  for (const b of diff.inserted) {
+    console.log(`${lp}  + ${b.tx_hash} ${b.wallet_address} ${b.bet_direction} ${b.bet_amount}`);
+  }
+  for (const b of diff.removed) {
+    console.log(`${lp}  - ${b.tx_hash} ${b.wallet_address} ${b.bet_direction} ${b.bet_amount}${b.duplicate ? ' (重複)' : ''}`);
+  }
+  for (const c of diff.changed) {
+    const fields = Object.entries(c.fields).map(([f, v]) => `${f}: ${v.old} → ${v.new}`).join(', ');
+    console.log(`${lp}  ~ ${c.tx_hash} ${fields}`);
+  }
+  if (!diff.claims) return;
+  const { inserted, removed, changed } = diff.claims;
+  console.log(`${lp}🛠️ Epoch ${epoch} 領獎修復: 新增 ${inserted.length} / 移除 ${removed.length} / 變更 ${changed.length} 筆`);
+  for (const c of inserted) console.log(`${lp}  + claim ${c.block_number} ${c.wallet_address} ${c.amount}`);
+  for (const c of removed) console.log(`${lp}  - claim ${c.block_number} ${c.wallet_address} ${c.amount}`);
+  for (const c of changed) {
+    const fields = Object.entries(c.fields).map(([f, v]) => `${f}: ${v.old} → ${v.new}`).join(', ');
+    console.log(`${lp}  ~ claim ${c.block_number} ${c.wallet_address} ${fields}`);
+  }
+}
+
+// ========================================
+// 批量日誌與重組指紋
+// ========================================
+
+/**
+ * 將日誌依局次分組為 fetchEventsForEpoch 的事件格式
+ * NewTreasuryFee 與逐局查詢相同，歸入該局 [開局, 派彩] 區塊區間
+ * @returns {Map<number, Object>}
+ */
+function groupLogsByEpoch(logs, fromEpoch, toEpoch, toBlock) {
+  const groups = new Map();
+  for (let epoch = fromEpoch; epoch <= toEpoch; epoch++) groups.set(epoch, emptyEpochEvents());
+
+  const fees = [];
+  for (const l of logs) {
+    if (l.eventName === 'NewTreasuryFee') {
+      fees.push(l);
+      continue;
+    }
+    const g = groups.get(Number(l.args.epoch));
+    if (g) g[l.eventName.toLowerCase()].push(l);
+  }
+
+  for (const g of groups.values()) {
+    if (g.startround.length === 0) continue;
+    const from = g.startround[0].blockNumber;
+    const to = g.rewardscalculated[0]?.blockNumber ?? toBlock;
+    g.newtreasuryfee = fees.filter(l => l.blockNumber >= from && l.blockNumber <= to);
+  }
+  return groups;
+}
+
+/**
+ * 下注只會出現在開局與鎖倉之間，兩個事件都在抓取範圍內才能確定本局日誌完整
+ */
+function hasCompleteBetWindow(events) {
+  return events.startround.length > 0 && events.lockround.length > 0;
+}
+
+/**
+ * 計算單局事件的日誌指紋（區塊哈希 + 日誌集合）
+ * @param {Object} events - fetchEventsForEpoch 取得的事件
+ * @returns {{lastBlock: number, blockHashes: Object<string, string>, digest: string, logCount: number}}
+ */
+function computeLogFingerprint(events) {
+  const logs = [...events.betbull, ...events.betbear];
+  const blockHashes = {};
+  const keys = [];
+  let lastBlock = 0;
+  for (const e of logs) {
+    blockHashes[e.blockNumber] = e.blockHash;
+    keys.push(`${e.blockNumber}:${e.blockHash}:${e.transactionHash.toLowerCase()}:${e.index}`);
+    if (e.blockNumber > lastBlock) lastBlock = e.blockNumber;
+  }
+  keys.sort();
+  const digest = crypto.createHash('sha256').update(keys.join('\n')).digest('hex');
+  return { lastBlock, blockHashes, digest, logCount: logs.length };
+}
+
+async function saveLogFingerprint(epoch, fp, client, confirmed = false) {
+  await client.query(`
+    INSERT INTO epoch_log_fingerprint (epoch, last_block, block_hashes, log_digest, log_count, synced_at, checked_at, confirmed_at)
+    VALUES ($1, $2, $3, $4, $5, NOW(), NULL, $6)
+    ON CONFLICT (epoch) DO UPDATE SET
+      last_block = EXCLUDED.last_block,
+      block_hashes = EXCLUDED.block_hashes,
+      log_digest = EXCLUDED.log_digest,
+      log_count = EXCLUDED.log_count,
+      synced_at = NOW(),
+      checked_at = EXCLUDED.checked_at,
+      confirmed_at = EXCLUDED.confirmed_at
+  `, [epoch, fp.lastBlock, JSON.stringify(fp.blockHashes), fp.digest, fp.logCount, confirmed ? new Date() : null]);
+}
+
+/**
+ * 建立綁定資料庫、RPC、合約與 Redis 的同步核心
+ * @param {{pool: import('pg').Pool, provider: import('ethers').Provider, contract: import('ethers').Contract, redis: import('ioredis').Redis, source?: string}} deps
+ *   source 為發布 round_update_channel 時的服務名稱
+ */
+function createSyncCore({ pool, provider, contract, redis, source = 'hisbet' }) {
+  const blockTimestampCache = new LRUCache();
+  const epochCache = new LRUCache();
+  let bufferSecondsCache = { value: null, fetchedAt: 0 };
+  let latestRound = { epoch: null, lockTimestamp: null };
+
+  // 動態區塊範圍計算器
+  class BlockRangeCalculator {
+    /**
+     * 計算指定局次附近的「每局區塊數」最大值
+     * @param {number} referenceEpoch - 參考局次
+     * @param {number} lookBehind - 往前看幾局（預設10局）
+     * @returns {Promise<number>} 每局最大區塊數
+     */
+    async getBlocksPerEpoch(referenceEpoch, lookBehind = 10) {
+      const result = await pool.query(`
+        WITH epoch_last_blocks AS (
+          SELECT epoch, MAX(block_number) as last_block
+          FROM hisbet
+          WHERE epoch BETWEEN $1 AND $2
+          GROUP BY epoch
+          HAVING COUNT(*) > 5
+        )
+        SELECT e1.last_block - e2.last_block as diff
+        FROM epoch_last_blocks e1
+        JOIN epoch_last_blocks e2 ON e2.epoch = e1.epoch - 1
+        WHERE e1.last_block IS NOT NULL AND e2.last_block IS NOT NULL
+      `, [referenceEpoch - lookBehind, referenceEpoch]);
+
+      if (result.rows.length === 0) {
+        console.log(`[BlockRange] epoch ${referenceEpoch} 附近無數據，使用預設值 410`);
+        return 410; // 根據歷史統計，平均 408，取 410 作為安全值
+      }
+
+      const diffs = result.rows.map(r => Number(r.diff));
+      const maxBlocks = Math.max(...diffs);
+      console.log(`[BlockRange] epoch ${referenceEpoch} 附近 ${result.rows.length} 局數據，每局最大區塊數: ${maxBlocks}`);
+      return maxBlocks;
+    }
+
+    /**
+     * 獲取指定 epoch 的區塊範圍
+     * @param {number} epoch - 要查詢的局次
+     * @returns {Promise<{startBlock: number, endBlock: number}>}
+     */
+    async getBlockRangeForEpoch(epoch) {
+      const SEARCH_RANGE = 5; // 搜尋前後各5局，應對跳過/失敗的情況
+
+      // 策略0: 已探測過的精確區塊邊界
+      const cached = await pool.query(
+        'SELECT start_block, lock_block FROM epoch_blocks WHERE epoch = $1',
+        [epoch]
+      );
+      if (cached.rows.length > 0) {
+        return { startBlock: Number(cached.rows[0].start_block), endBlock: Number(cached.rows[0].lock_block) };
+      }
+
+      // 策略1: 查詢後面幾局（往回處理歷史時）
+      const nextBlocks = await pool.query(`
+        SELECT epoch, MIN(block_number) as min_block
+        FROM hisbet
+        WHERE epoch BETWEEN $1 AND $2
+          AND block_number IS NOT NULL
+        GROUP BY epoch
+        HAVING COUNT(*) > 5
+        ORDER BY epoch ASC
+        LIMIT 1
+      `, [epoch + 1, epoch + SEARCH_RANGE]);
+
+      if (nextBlocks.rows[0]?.min_block) {
+        const foundEpoch = Number(nextBlocks.rows[0].epoch);
+        const endBlock = Number(nextBlocks.rows[0].min_block);
+        const blocksPerEpoch = await this.getBlocksPerEpoch(foundEpoch, 10);
+
+        // 計算跨越的局數
+        const epochGap = foundEpoch - epoch;
+        const startBlock = endBlock - (blocksPerEpoch * epochGap) - 50;
+
+        console.log(`[BlockRange] epoch ${epoch} 使用後面第 ${epochGap} 局 (epoch ${foundEpoch}) 推算: ${startBlock} - ${endBlock + 50}`);
+        return { startBlock, endBlock: endBlock + 50 };
+      }
+
+      // 策略2: 查詢前面幾局（往前處理時）
+      const prevBlocks = await pool.query(`
+        SELECT epoch, MAX(block_number) as max_block
+        FROM hisbet
+        WHERE epoch BETWEEN $1 AND $2
+          AND block_number IS NOT NULL
+        GROUP BY epoch
+        HAVING COUNT(*) > 5
+        ORDER BY epoch DESC
+        LIMIT 1
+      `, [epoch - SEARCH_RANGE, epoch - 1]);
+
+      if (prevBlocks.rows[0]?.max_block) {
+        const foundEpoch = Number(prevBlocks.rows[0].epoch);
+        const prevLastBlock = Number(prevBlocks.rows[0].max_block);
+        const blocksPerEpoch = await this.getBlocksPerEpoch(foundEpoch, 10);
+
+        // 計算跨越的局數
+        const epochGap = epoch - foundEpoch;
+        const startBlock = prevLastBlock - 50;
+        const endBlock = prevLastBlock + (blocksPerEpoch * epochGap) + 50;
+
+        console.log(`[BlockRange] epoch ${epoch} 使用前面第 ${epochGap} 局 (epoch ${foundEpoch}) 推算: ${startBlock} - ${endBlock}`);
+        return { startBlock, endBlock };
+      }
+
+      // 策略3: 前後各5局都沒數據（空資料庫或孤立舊局）→ 鏈上探測
+      console.log(`[BlockRange] epoch ${epoch} 前後各 ${SEARCH_RANGE} 局都沒有數據，改用鏈上探測`);
+      return this.discoverBlockRange(epoch);
+    }
+
+    /**
+     * 以 rounds(epoch) 的時間戳二分搜尋區塊，再用 StartRound/LockRound/EndRound 事件校正
+     * 下注只能發生在 startTimestamp 與 lockTimestamp 之間，故範圍為 [開局區塊, 鎖倉區塊]
+     * @param {number} epoch - 要探測的局次
+     * @returns {Promise<{startBlock: number, endBlock: number}>}
+     */
+    async discoverBlockRange(epoch) {
+      const rd = await getRoundData(epoch);
+      if (!rd.startTimestamp) throw new Error(`❌ Epoch ${epoch} 尚未開始，無法探測區塊範圍`);
+
+      const head = await retryFn(() => provider.getBlockNumber());
+      const headTs = await getBlockTimestamp(head);
+      const f = contract.filters;
+
+      const start = await this.locateRoundEvent(f.StartRound(BigInt(epoch)), rd.startTimestamp, 0, head);
+      const lock = await this.locateRoundEvent(f.LockRound(BigInt(epoch)), rd.lockTimestamp, start.block, head);
+      const close = rd.closeTimestamp > 0 && rd.closeTimestamp <= headTs
+        ? await this.locateRoundEvent(f.EndRound(BigInt(epoch)), rd.closeTimestamp, lock.block, head)
+        : { block: null, exact: false };
+
+      const source = start.exact && lock.exact && close.exact ? 'events' : 'timestamps';
+      console.log(`[BlockRange] epoch ${epoch} 探測結果 (${source}): 開局 ${start.block}, 鎖倉 ${lock.block}, 結束 ${close.block ?? '-'}`);
+
+      // 鎖倉時間尚未過去時範圍可能還會變，不寫入快取
+      if (start.exact && rd.lockTimestamp + DISCOVERY_EVENT_WINDOW_SECONDS <= headTs) {
+        await pool.query(`
+          INSERT INTO epoch_blocks (epoch, start_block, lock_block, close_block, source, discovered_at)
+          VALUES ($1, $2, $3, $4, $5, NOW())
+          ON CONFLICT (epoch) DO UPDATE SET
+            start_block = EXCLUDED.start_block,
+            lock_block = EXCLUDED.lock_block,
+            close_block = EXCLUDED.close_block,
+            source = EXCLUDED.source,
+            discovered_at = NOW()
+        `, [epoch, start.block, lock.block, close.block, source]);
+      }
+
+      return { startBlock: start.block, endBlock: lock.block };
+    }
+
+    /**
+     * 在時間戳對應區塊之後的視窗內尋找局次事件
+     * @returns {Promise<{block: number, exact: boolean}>} 找不到事件時回傳時間戳對應區塊
+     */
+    async locateRoundEvent(filter, timestamp, lowBlock, head) {
+      const fromBlock = await findBlockByTime(timestamp, lowBlock, head);
+      const toBlock = await findBlockByTime(timestamp + DISCOVERY_EVENT_WINDOW_SECONDS, fromBlock, head);
+      const logs = await retryFn(() => contract.queryFilter(filter, fromBlock, toBlock));
+      if (logs.length > 0) return { block: logs[0].blockNumber, exact: true };
+      return { block: fromBlock, exact: false };
+    }
+  }
+
+  const blockRangeCalc = new BlockRangeCalculator();
+
+  // 區塊鏈查詢 - 優先從資料庫查詢
+  async function getBlockTimestamp(blockNumber) {
+    const cached = blockTimestampCache.get(blockNumber);
+    if (cached) return cached;
+
+    // 先從 hisbet 表查詢已知的區塊時間戳
+    try {
+      const res = await pool.query(
+        'SELECT EXTRACT(EPOCH FROM bet_time)::bigint AS ts FROM hisbet WHERE block_number = $1 LIMIT 1',
+        [blockNumber]
+      );
+      if (res.rows.length > 0) {
+        const timestamp = Number(res.rows[0].ts);
+        blockTimestampCache.set(blockNumber, timestamp);
+        return timestamp;
+      }
+    } catch (e) {
+      // 查詢失敗則繼續用 RPC
+    }
+
+    // 資料庫沒有才用 RPC
+    const block = await retryFn(() => provider.getBlock(blockNumber));
+    blockTimestampCache.set(blockNumber, block.timestamp);
+    return block.timestamp;
+  }
+
+  /**
+   * 二分搜尋第一個時間戳 >= targetTime 的區塊（同一秒可能有多個區塊）
+   */
+  async function findBlockByTime(targetTime, lowBlock, highBlock) {
+    while (lowBlock < highBlock) {
+      const mid = Math.floor((lowBlock + highBlock) / 2);
+      const ts = await getBlockTimestamp(mid);
+      if (ts < targetTime) lowBlock = mid + 1;
+      else highBlock = mid;
+    }
+    return lowBlock;
+  }
+
+  async function getRoundData(epoch) {
+    const cached = epochCache.get(epoch);
+    if (cached) return cached;
+    const round = await retryFn(() => contract.rounds(BigInt(epoch)));
+    const data = {
+      epoch: Number(round.epoch),
+      startTimestamp: Number(round.startTimestamp),
+      lockTimestamp: Number(round.lockTimestamp),
+      closeTimestamp: Number(round.closeTimestamp),
+      lockPrice: round.lockPrice.toString(),
+      closePrice: round.closePrice.toString(),
+      totalAmount: round.totalAmount.toString(),
+      bullAmount: round.bullAmount.toString(),
+      bearAmount: round.bearAmount.toString(),
+      rewardBaseCalAmount: round.rewardBaseCalAmount.toString(),
+      rewardAmount: round.rewardAmount.toString(),
+      lockOracleId: round.lockOracleId.toString(),
+      closeOracleId: round.closeOracleId.toString(),
+      oracleCalled: round.oracleCalled,
+    };
+    if (data.oracleCalled) epochCache.set(epoch, data);
+    return data;
+  }
+
+  async function getBufferSeconds() {
+    if (bufferSecondsCache.value !== null && Date.now() - bufferSecondsCache.fetchedAt < 600000) {
+      return bufferSecondsCache.value;
+    }
+    const value = Number(await retryFn(() => contract.bufferSeconds()));
+    bufferSecondsCache = { value, fetchedAt: Date.now() };
+    return value;
+  }
+
+  // 設定索引發現 NewBufferAndIntervalSeconds 時清除
+  function resetBufferSeconds() {
+    bufferSecondsCache = { value: null, fetchedAt: 0 };
+  }
+
+  /**
+   * 依合約邏輯判定局次結果
+   * - 未呼叫預言機且已超過 closeTimestamp + bufferSeconds（與合約 refundable 相同條件，下注可退款）：
+   *   未鎖倉即中止 → CANCELLED，已鎖倉未結算 → REFUNDABLE
+   * - 收盤價 = 鎖倉價 → HOUSE（所有下注皆輸，全數歸國庫）
+   * bufferSeconds 取該局當時的設定（contract_config_history），索引未涵蓋時才讀鏈上目前值
+   * @returns {Promise<'UP'|'DOWN'|'HOUSE'|'CANCELLED'|'REFUNDABLE'|null>} 尚未結算時回傳 null
+   */
+  async function classifyRound(rd) {
+    if (!rd.oracleCalled) {
+      const config = await getContractConfigAtEpoch(pool, rd.epoch).catch(() => null);
+      const bufferSeconds = config?.bufferSeconds ?? await getBufferSeconds();
+      if (Math.floor(Date.now() / 1000) <= rd.closeTimestamp + bufferSeconds) return null;
+      return oracleId(rd.lockOracleId) === null ? 'CANCELLED' : 'REFUNDABLE';
+    }
+    const lp = BigInt(rd.lockPrice);
+    const cp = BigInt(rd.closePrice);
+    if (cp > lp) return 'UP';
+    if (cp < lp) return 'DOWN';
+    return 'HOUSE';
+  }
+
+  /**
+   * 記錄 round_update_channel 收到的局次；只往前推進
+   * @param {{epoch: number, lockTimestamp: number|null}} update - parseRoundUpdate 的回傳值
+   */
+  function noteRoundUpdate(update) {
+    if (!update || !(update.epoch > 0)) return;
+    if (latestRound.epoch === null || update.epoch > latestRound.epoch) {
+      latestRound = { epoch: update.epoch, lockTimestamp: update.lockTimestamp };
+    } else if (update.epoch === latestRound.epoch && update.lockTimestamp) {
+      latestRound.lockTimestamp = update.lockTimestamp;
+    }
+  }
+
+  function getLatestRound() {
+    return { ...latestRound };
+  }
+
+  /**
+   * 最新局次：Redis 收到的局次尚未鎖倉時必為進行中局次，省去一次合約查詢
+   */
+  async function getLatestEpoch() {
+    const { epoch, lockTimestamp } = latestRound;
+    if (epoch !== null && lockTimestamp && Math.floor(Date.now() / 1000) < lockTimestamp) return epoch;
+    return Number(await retryFn(() => contract.currentEpoch()));
+  }
+
+  // 資料庫操作
+  async function epochAlreadyDone(epoch) {
+    const res = await pool.query(`SELECT 1 FROM finepoch WHERE epoch = $1`, [epoch]);
+    return res.rowCount > 0;
+  }
+
+  /**
+   * 取得局次處理鎖
+   * @returns {Promise<boolean>} 已被其他線或程序鎖定時回傳 false
+   */
+  async function acquireEpochLock(epoch) {
+    const la = await redis.set(`processing:epoch:${epoch}`, 'true', 'EX', EPOCH_LOCK_SECONDS, 'NX');
+    return !!la;
+  }
+
+  async function releaseEpochLock(epoch) {
+    await redis.del(`processing:epoch:${epoch}`);
+  }
+
+  async function logFailedEpoch(epoch, error, stage, lp = '') {
+    try {
+      const r = await recordEpochFailure(pool, epoch, error, stage);
+      const max = RETRY_POLICY[r.errorClass].maxAttempts;
+      if (r.state === RETRY_STATE.DEAD) {
+        console.error(`${lp}☠️ Epoch ${epoch} 失敗 ${r.attempts}/${max} 次 (${r.errorClass})，移入 dead-letter`);
+      } else {
+        console.log(`${lp}🔁 Epoch ${epoch} 第 ${r.attempts}/${max} 次失敗 (${r.errorClass})，${r.nextRetryAt.toISOString()} 重試`);
+      }
+    } catch (e) {
+      console.error(`${lp}❌ 記錄失敗局次 ${epoch} 失敗: ${e.message}`);
+    }
+  }
+
+  /**
+   * 同步失敗的收尾：合約暫停造成的未結算局次標為 skipped，其餘記入重試佇列
+   * @returns {Promise<{success: false, reason?: 'paused', error: string}>}
+   */
+  /**
+   * 同步失敗處理：只有鏈上局次確實因合約暫停而未結算時才標記 SKIPPED，
+   * 其餘錯誤（即使局次落在暫停區間）一律進重試佇列
+   */
+  async function handleSyncFailure(epoch, error, lp = '') {
+    const pause = await getPauseAffectingEpoch(pool, epoch).catch(() => null);
+    const unsettled = pause
+      ? await getRoundData(epoch).then(async rd => !rd.oracleCalled && (await classifyRound(rd)) === null).catch(() => false)
+      : false;
+    if (unsettled) {
+      const resumed = pause.unpauseEpoch !== null ? `Unpause @ epoch ${pause.unpauseEpoch}` : '尚未恢復';
+      console.log(`${lp}⏸️ Epoch ${epoch} 受合約暫停影響 (Pause @ epoch ${pause.pauseEpoch}, ${resumed}): ${error.message}`);
+      await markEpochStatus(pool, epoch, EPOCH_STATUS.SKIPPED, `paused @ ${pause.pauseEpoch}`).catch(() => {});
+      await clearEpochFailure(pool, epoch).catch(() => {});
+      return { success: false, reason: 'paused', error: error.message };
+    }
+
+    console.error(`${lp}❌ Epoch ${epoch}: ${error.message}`);
+    await logFailedEpoch(epoch, error, 'sync', lp);
+    return { success: false, error: error.message };
+  }
+
+  // 驗證函數
+  async function validateRoundDataFromChain(rd, epoch) {
+    const errors = [];
+    if (!rd.startTimestamp || rd.startTimestamp <= 0) errors.push('缺少開始時間');
+    if (!rd.lockTimestamp || rd.lockTimestamp <= 0) errors.push('缺少鎖定時間');
+    if (!rd.closeTimestamp || rd.closeTimestamp <= 0) errors.push('缺少結束時間');
+    if (rd.startTimestamp >= rd.lockTimestamp) errors.push('時間邏輯錯誤');
+    if (rd.lockTimestamp >= rd.closeTimestamp) errors.push('時間邏輯錯誤');
+
+    const result = await classifyRound(rd);
+    if (!result) errors.push('尚未結算');
+
+    // 可退款局可能沒有鎖倉/收盤價，不檢查價格
+    if (result && !isRefundResult(result)) {
+      const lp = parseFloat(ethers.formatUnits(rd.lockPrice, 8));
+      const cp = parseFloat(ethers.formatUnits(rd.closePrice, 8));
+      if (lp <= 0 || lp < 50 || lp > 5000) errors.push(`lockPrice: ${lp}`);
+      if (cp <= 0 || cp < 50 || cp > 5000) errors.push(`closePrice: ${cp}`);
+      if (lp > 0 && cp > 0 && Math.abs(cp - lp) / lp > 0.20) errors.push('價格變動>20%');
+    }
+
+    // 無人下注的局次金額全為 0，屬正常情況
+    const t = parseFloat(ethers.formatEther(rd.totalAmount));
+    const b = parseFloat(ethers.formatEther(rd.bullAmount));
+    const a = parseFloat(ethers.formatEther(rd.bearAmount));
+    if (t < 0 || b < 0 || a < 0) errors.push('金額為負');
+    if (Math.abs(t - (b + a)) > 0.001) errors.push('總額不匹配');
+
+    if (errors.length > 0) throw new ValidationError(`Epoch ${epoch} 驗證失敗: ${errors.join('; ')}`);
+    return true;
+  }
+
+  /**
+   * 查詢單局在區塊範圍內的下注、派彩與手續費事件
+   * RewardsCalculated 與 EndRound 同一筆交易，約在鎖倉後一個 interval；往後多搜兩個 interval
+   */
+  async function fetchEventsInRange(epoch, startBlock, endBlock) {
+    const f = contract.filters;
+    const events = emptyEpochEvents();
+    const head = await retryFn(() => provider.getBlockNumber());
+    const rewardsEndBlock = Math.min(head, endBlock + (endBlock - startBlock) * 2 + 200);
+
+    // 批次查詢事件
+    try {
+      const [bullEvents, bearEvents, rewardEvents, feeEvents] = await Promise.all([
+        retryFn(() => contract.queryFilter(f.BetBull(null, BigInt(epoch)), startBlock, endBlock)),
+        retryFn(() => contract.queryFilter(f.BetBear(null, BigInt(epoch)), startBlock, endBlock)),
+        retryFn(() => contract.queryFilter(f.RewardsCalculated(BigInt(epoch)), endBlock, rewardsEndBlock)),
+        retryFn(() => contract.queryFilter(f.NewTreasuryFee(), startBlock, rewardsEndBlock))
+      ]);
+
+      events.betbull = bullEvents;
+      events.betbear = bearEvents;
+      events.rewardscalculated = rewardEvents;
+      events.newtreasuryfee = feeEvents;
+
+      await sleep(100); // 減少請求頻率
+    } catch (e) {
+      console.error(`查詢事件失敗: ${e.message}`);
+    }
+
+    return events;
+  }
+
+  // 事件處理 - 智能版：基於歷史數據推算區塊範圍
+  async function fetchEventsForEpoch(epoch) {
+    console.log(`    [fetchEvents] 獲取 Round 數據...`);
+    const rd = await getRoundData(epoch);
+
+    console.log(`    [fetchEvents] 計算區塊範圍...`);
+    // 使用智能計算器獲取區塊範圍（優先使用資料庫數據，無數據時才鏈上探測）
+    const { startBlock, endBlock } = await blockRangeCalc.getBlockRangeForEpoch(epoch);
+    console.log(`    [fetchEvents] 區塊範圍: ${startBlock} - ${endBlock}`);
+
+    return { events: await fetchEventsInRange(epoch, startBlock, endBlock), roundData: rd };
+  }
+
+  /**
+   * 以單一 topic-OR 篩選分段抓取區塊範圍內所有局次相關日誌（節點池會再依各節點上限切分）
+   * @returns {Promise<Array<{eventName: string, args: ethers.Result, blockNumber: number, blockHash: string, index: number, transactionHash: string}>>}
+   */
+  async function fetchContractLogs(fromBlock, toBlock) {
+    const topics = BULK_EVENTS.map(n => contract.interface.getEvent(n).topicHash);
+    const logs = [];
+    for (let from = fromBlock; from <= toBlock; from += BULK_LOG_CHUNK_BLOCKS) {
+      const to = Math.min(toBlock, from + BULK_LOG_CHUNK_BLOCKS - 1);
+      const raw = await retryFn(() => provider.getLogs({ address: contract.target, topics: [topics], fromBlock: from, toBlock: to }));
+      for (const l of raw) logs.push(parseContractLog(l));
+    }
+    return logs;
+  }
+
+  function parseContractLog(l) {
+    const parsed = contract.interface.parseLog(l);
+    return {
+      eventName: parsed.name, args: parsed.args, blockNumber: l.blockNumber, blockHash: l.blockHash,
+      index: l.index, transactionHash: l.transactionHash
+    };
+  }
+
+  /**
+   * serializeEvents 的反向：以合約 ABI 重新解析原始日誌
+   */
+  function deserializeEvents(plain) {
+    const events = emptyEpochEvents();
+    for (const [key, logs] of Object.entries(plain)) events[key] = logs.map(parseContractLog);
+    return events;
+  }
+
+  async function parseRoundData(epoch, rd = null, events = null) {
+    if (!rd) rd = await getRoundData(epoch);
+    const result = await classifyRound(rd);
+    if (!result) throw new Error(`Epoch ${epoch} 尚未結算`);
+    const bull = parseFloat(ethers.formatEther(rd.bullAmount));
+    const bear = parseFloat(ethers.formatEther(rd.bearAmount));
+    const tot = bull + bear;
+
+    // 可退款局全額退款、無派彩數據；其餘以 rewardAmount / 該方金額計算（HOUSE 時 rewardAmount 為 0）
+    let rewards = null;
+    let treasuryFee = null;
+    let upPayout = '1';
+    let downPayout = '1';
+    if (!isRefundResult(result)) {
+      rewards = extractRewards(rd, events, epoch);
+      treasuryFee = resolveTreasuryFee(result, rd, rewards, events);
+      upPayout = payoutRatio(rewards.rewardAmount, BigInt(rd.bullAmount));
+      downPayout = payoutRatio(rewards.rewardAmount, BigInt(rd.bearAmount));
+    }
+
+    return {
+      epoch: rd.epoch,
+      start_time: Number(rd.startTimestamp),
+      lock_time: Number(rd.lockTimestamp),
+      close_time: Number(rd.closeTimestamp),
+      lock_price: ethers.formatUnits(rd.lockPrice, 8),
+      close_price: ethers.formatUnits(rd.closePrice, 8),
+      result: result,
+      total_bet_amount: tot.toString(),
+      up_bet_amount: bull.toString(),
+      down_bet_amount: bear.toString(),
+      up_payout: upPayout,
+      down_payout: downPayout,
+      reward_base_cal_amount: rewards ? ethers.formatEther(rewards.rewardBaseCalAmount) : null,
+      reward_amount: rewards ? ethers.formatEther(rewards.rewardAmount) : null,
+      treasury_amount: rewards ? ethers.formatEther(rewards.treasuryAmount) : null,
+      treasury_fee: treasuryFee,
+      lock_oracle_id: oracleId(rd.lockOracleId),
+      close_oracle_id: oracleId(rd.closeOracleId)
+    };
+  }
+
+  async function parseBets(events) {
+    const bets = [];
+    const bts = new Map();
+    const proc = async (e, dir) => {
+      let ts = bts.get(e.blockNumber);
+      if (!ts) {
+        ts = await getBlockTimestamp(e.blockNumber);
+        bts.set(e.blockNumber, ts);
+      }
+      bets.push({
+        epoch: Number(e.args.epoch),
+        bet_time: ts,
+        wallet_address: normalizeAddress(e.args.sender),
+        direction: dir,
+        amount: parseFloat(ethers.formatEther(e.args.amount)),
+        block_number: e.blockNumber,
+        tx_hash: e.transactionHash.toLowerCase(),
+      });
+    };
+    await Promise.all([
+      ...events.betbull.map(e => proc(e, "UP")),
+      ...events.betbear.map(e => proc(e, "DOWN"))
+    ]);
+    return bets;
+  }
+
+  /**
+   * 單一交易寫入本局資料並標記完成，提交後發布到 round_update_channel
+   * @param {{lp?: string, fingerprint?: Object|null, repair?: boolean, claims?: Object|null}} options
+   *   repair: 以鏈上資料取代本局既有資料列（否則既有列維持 ON CONFLICT DO NOTHING）
+   *   claims: 修復模式下重新索引的本局下注領獎，見 replaceEpochRows
+   */
+  async function writeDataTransaction(round, bets, { lp = '', fingerprint = null, repair = false, claims = null } = {}) {
+    const client = await pool.connect();
+    let diff = null;
+    let realbetDeleted = 0;
+    try {
+      await client.query("BEGIN");
+
+      if (repair) diff = await replaceEpochRows(round, bets, client, claims);
+      else await insertEpochRows(round, bets, client);
+
+      const now = Math.floor(Date.now() / 1000);
+      if (now - round.close_time > 600) {
+        const deleteResult = await client.query('DELETE FROM realbet WHERE epoch = $1', [round.epoch]);
+        realbetDeleted = deleteResult.rowCount;
+      }
+
+      if (fingerprint) await saveLogFingerprint(round.epoch, fingerprint, client);
+
+      await client.query(`INSERT INTO finepoch(epoch) VALUES($1) ON CONFLICT DO NOTHING`, [round.epoch]);
+      await markEpochStatus(client, round.epoch,
+        isRefundResult(round.result) ? EPOCH_STATUS.CANCELLED : EPOCH_STATUS.SYNCED);
+      await clearEpochFailure(client, round.epoch);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    // 詳細日誌
+    console.log(`${lp}  realbet 刪除: ${realbetDeleted} 筆`);
+    if (diff) printRepairDiff(round.epoch, diff, lp);
+
+    try {
+      await publishMessage(redis, CHANNELS.ROUND_UPDATE, roundUpdateFromRow(round), source);
+    } catch (e) {}
+  }
+
+  return {
+    getBlockTimestamp,
+    findBlockByTime,
+    getRoundData,
+    resetBufferSeconds,
+    classifyRound,
+    noteRoundUpdate,
+    getLatestRound,
+    getLatestEpoch,
+    getBlockRangeForEpoch: (epoch) => blockRangeCalc.getBlockRangeForEpoch(epoch),
+    epochAlreadyDone,
+    acquireEpochLock,
+    releaseEpochLock,
+    logFailedEpoch,
+    handleSyncFailure,
+    validateRoundDataFromChain,
+    fetchEventsInRange,
+    fetchEventsForEpoch,
+    fetchContractLogs,
+    deserializeEvents,
+    parseRoundData,
+    parseBets,
+    writeDataTransaction,
+  };
+}
+
+module.exports = {
+  createSyncCore,
+  normalizeAddress,
+  sleep,
+  retryFn,
+  parseRoundUpdate,
+  ensureRoundSchema,
+  oracleId,
+  emptyEpochEvents,
+  serializeEvents,
+  validateBetEvents,
+  verifyRoundBetsStrict,
+  verifyDatabaseWrite,
+  isRefundResult,
+  betResult,
+  insertEpochRows,
+  writeClaimRows,
+  rebuildMultiClaims,
+  groupLogsByEpoch,
+  hasCompleteBetWindow,
+  computeLogFingerprint,
+  saveLogFingerprint,
+};
@@ -0,0 +1,147 @@
+/**
+ * 同步狀態 - 取代對 hisbet 的 MIN/MAX/COUNT 全表掃描
+ * 每局一筆 epoch_status（以 finepoch 寫入為準），各線各自保存游標於 sync_cursor，
+ * 「無人下注的局」與「尚未同步的局」因此可以區分
+ */
+
+const EPOCH_STATUS = {
+  SYNCED: 'synced',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * 建立 sync_cursor / epoch_status，首次啟用時由 finepoch 與 failed_epochs 回填
+ * @param {import('pg').Pool} db
+ */
+async function ensureSyncStateTables(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sync_cursor (
+      line TEXT PRIMARY KEY,
+      epoch BIGINT NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS epoch_status (
+      epoch BIGINT PRIMARY KEY,
+      status TEXT NOT NULL CHECK (status IN ('synced', 'failed', 'skipped', 'cancelled')),
+      detail TEXT,
+      updated_at TIMESTAMPTZ NOT NULL
+    )
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_epoch_status_failed ON epoch_status (epoch) WHERE status = 'failed'`);
+
+  const seeded = await db.query('SELECT 1 FROM epoch_status LIMIT 1');
+  if (seeded.rowCount > 0) return { seeded: 0 };
+
+  const res = await db.query(`
+    INSERT INTO epoch_status (epoch, status, detail, updated_at)
+    SELECT f.epoch,
+           CASE WHEN EXISTS (SELECT 1 FROM round r WHERE r.epoch = f.epoch AND r.result IN ('CANCELLED', 'REFUNDABLE'))
+                THEN 'cancelled' ELSE 'synced' END,
+           'finepoch', NOW()
+    FROM finepoch f
+    ON CONFLICT (epoch) DO NOTHING
+  `);
+  await db.query(`
+    INSERT INTO epoch_status (epoch, status, detail, updated_at)
+    SELECT epoch, 'failed', LEFT(error_message, 500), NOW() FROM failed_epochs
+    ON CONFLICT (epoch) DO NOTHING
+  `);
+  await db.query(`
+    INSERT INTO sync_cursor (line, epoch, updated_at)
+    SELECT 'up', MAX(epoch), NOW() FROM finepoch HAVING MAX(epoch) IS NOT NULL
+    UNION ALL
+    SELECT 'down', MIN(epoch), NOW() FROM finepoch HAVING MIN(epoch) IS NOT NULL
+    ON CONFLICT (line) DO NOTHING
+  `);
+  return { seeded: res.rowCount };
+}
+
+/**
+ * 讀取某條線的游標；尚未建立時回傳 null
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} line
+ */
+async function getLineCursor(db, line) {
+  const res = await db.query('SELECT epoch FROM sync_cursor WHERE line = $1', [line]);
+  return res.rows.length > 0 ? Number(res.rows[0].epoch) : null;
+}
+
+async function setLineCursor(db, line, epoch) {
+  await db.query(`
+    INSERT INTO sync_cursor (line, epoch, updated_at) VALUES ($1, $2, NOW())
+    ON CONFLICT (line) DO UPDATE SET epoch = EXCLUDED.epoch, updated_at = NOW()
+  `, [line, epoch]);
+}
+
+/**
+ * 記錄單局狀態；已完成的局（synced/cancelled）不會被 failed/skipped 覆蓋
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} epoch
+ * @param {string} status - EPOCH_STATUS 之一
+ * @param {string|null} detail
+ */
+async function markEpochStatus(db, epoch, status, detail = null) {
+  await db.query(`
+    INSERT INTO epoch_status (epoch, status, detail, updated_at) VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (epoch) DO UPDATE SET status = EXCLUDED.status, detail = EXCLUDED.detail, updated_at = NOW()
+    WHERE epoch_status.status NOT IN ('synced', 'cancelled') OR EXCLUDED.status IN ('synced', 'cancelled')
+  `, [epoch, status, detail ? String(detail).substring(0, 500) : null]);
+}
+
+/**
+ * 已知局次範圍（epoch_status 主鍵索引，不掃 hisbet）
+ * @returns {Promise<{minEpoch: number|null, maxEpoch: number|null}>}
+ */
+async function getSyncBounds(db) {
+  const res = await db.query('SELECT MIN(epoch) AS min_epoch, MAX(epoch) AS max_epoch FROM epoch_status');
+  const r = res.rows[0];
+  return {
+    minEpoch: r.min_epoch === null ? null : Number(r.min_epoch),
+    maxEpoch: r.max_epoch === null ? null : Number(r.max_epoch)
+  };
+}
+
+/**
+ * 找出區間內從未處理過（無 epoch_status）的連續局次範圍
+ * failed 的局由重試佇列（retry_queue.js）負責，不算缺口
+ * @param {import('pg').Pool} db
+ * @param {number} fromEpoch
+ * @param {number} toEpoch
+ * @param {number} limit - 最多回傳幾段
+ * @returns {Promise<Array<{from: number, to: number}>>}
+ */
+async function findMissingRanges(db, fromEpoch, toEpoch, limit = 100) {
+  if (toEpoch < fromEpoch) return [];
+  const res = await db.query(`
+    WITH done AS (
+      SELECT $1::bigint - 1 AS epoch
+      UNION ALL
+      SELECT epoch FROM epoch_status
+      WHERE epoch BETWEEN $1 AND $2
+      UNION ALL
+      SELECT $2::bigint + 1
+    ), edges AS (
+      SELECT epoch, LEAD(epoch) OVER (ORDER BY epoch) AS next_epoch FROM done
+    )
+    SELECT epoch + 1 AS from_epoch, next_epoch - 1 AS to_epoch
+    FROM edges
+    WHERE next_epoch > epoch + 1
+    ORDER BY epoch
+    LIMIT $3
+  `, [fromEpoch, toEpoch, limit]);
+  return res.rows.map(r => ({ from: Number(r.from_epoch), to: Number(r.to_epoch) }));
+}
+
+module.exports = {
+  EPOCH_STATUS,
+  ensureSyncStateTables,
+  getLineCursor,
+  setLineCursor,
+  markEpochStatus,
+  getSyncBounds,
+  findMissingRanges,
+};
@@ -0,0 +1,172 @@
+/**
+ * 測試用的 pg / ioredis（redis）替身：不連線，記錄所有寫入，讓服務模組可在無資料庫、無 Redis 下載入
+ * installFakeModules 以 Module._load 攔截 require('pg') / require('ioredis') / require('redis')，
+ * 含 gk_hisbet/node_modules 內的同名套件
+ */
+
+const Module = require("module");
+const { EventEmitter } = require("events");
+
+const WRITE_RE = /^\s*(INSERT|UPDATE|DELETE|WITH)\b/i;
+
+function normalizeSql(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 記錄寫入的 pg.Pool 替身；查詢依 rules 回應，未符合的查詢回傳空結果
+ * 內建 finepoch / round / hisbet 的存在與筆數，供 verifyDatabaseWrite 檢查
+ */
+class FakePool {
+  constructor(options = {}) {
+    this.options = options;
+    this.writes = [];
+    this.rules = [];
+    this.finepoch = new Set();
+    this.rounds = new Set();
+    this.betCounts = new Map();
+    FakePool.instances.push(this);
+  }
+
+  /**
+   * 以正規表示式比對查詢並回傳自訂資料列
+   * @param {RegExp} pattern
+   * @param {(params: Array) => Object[]} rows
+   */
+  respond(pattern, rows) {
+    this.rules.push({ pattern, rows });
+    return this;
+  }
+
+  // pg.Pool 的事件介面（pool.on('error', ...)）
+  on() {
+    return this;
+  }
+
+  async query(text, params = []) {
+    const sql = normalizeSql(typeof text === 'string' ? text : text.text);
+    if (/^(BEGIN|COMMIT|ROLLBACK)$/i.test(sql)) {
+      this.writes.push({ sql, params: [] });
+      return { rows: [], rowCount: 0 };
+    }
+    for (const rule of this.rules) {
+      if (rule.pattern.test(sql)) {
+        const rows = rule.rows(params);
+        return { rows, rowCount: rows.length };
+      }
+    }
+    if (WRITE_RE.test(sql)) {
+      this.writes.push({ sql, params });
+      return this.applyWrite(sql, params);
+    }
+    return this.select(sql, params);
+  }
+
+  applyWrite(sql, params) {
+    if (/^INSERT INTO finepoch/i.test(sql)) this.finepoch.add(Number(params[0]));
+    if (/^INSERT INTO round\b/i.test(sql)) this.rounds.add(Number(params[0]));
+    if (/^INSERT INTO hisbet\b/i.test(sql)) {
+      for (let i = 0; i < params.length; i += 11) {
+        const epoch = Number(params[i]);
+        this.betCounts.set(epoch, (this.betCounts.get(epoch) || 0) + 1);
+      }
+    }
+    return { rows: [], rowCount: 0 };
+  }
+
+  select(sql, params) {
+    const epoch = Number(params[0]);
+    if (/FROM finepoch WHERE epoch = \$1/i.test(sql)) return this.exists(this.finepoch.has(epoch));
+    if (/^SELECT 1 FROM round WHERE epoch = \$1/i.test(sql)) return this.exists(this.rounds.has(epoch));
+    if (/^SELECT COUNT\(\*\) as c FROM hisbet WHERE epoch = \$1/i.test(sql)) {
+      return { rows: [{ c: String(this.betCounts.get(epoch) || 0) }], rowCount: 1 };
+    }
+    return { rows: [], rowCount: 0 };
+  }
+
+  exists(found) {
+    return found ? { rows: [{ '?column?': 1 }], rowCount: 1 } : { rows: [], rowCount: 0 };
+  }
+
+  async connect() {
+    return { query: (text, params) => this.query(text, params), release() {} };
+  }
+
+  async end() {}
+}
+FakePool.instances = [];
+
+/**
+ * ioredis 替身：SET NX / DEL / GET 與發布記錄
+ */
+class FakeRedis extends EventEmitter {
+  constructor() {
+    super();
+    this.store = new Map();
+    this.published = [];
+    this.channelListeners = new Map();
+    FakeRedis.instances.push(this);
+  }
+  async connect() {
+    this.emit('ready');
+  }
+  async set(key, value, ...args) {
+    if (args.includes('NX') && this.store.has(key)) return null;
+    this.store.set(key, value);
+    return 'OK';
+  }
+  async get(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+  async del(key) {
+    return this.store.delete(key) ? 1 : 0;
+  }
+  async publish(channel, message) {
+    this.published.push({ channel, message });
+    return 0;
+  }
+  async subscribe(...args) {
+    // redis 套件為 subscribe(channel, listener)；ioredis 結尾的 callback 一併記錄但不會被 deliver 呼叫
+    const listener = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    if (listener) for (const channel of args) this.channelListeners.set(channel, listener);
+  }
+  /**
+   * 模擬收到訊息，回傳 subscribe 登記的 listener 結果
+   */
+  async deliver(channel, message) {
+    const listener = this.channelListeners.get(channel);
+    if (!listener) throw new Error(`未訂閱頻道: ${channel}`);
+    return listener(message, channel);
+  }
+  async psubscribe() {}
+  duplicate() {
+    return new FakeRedis();
+  }
+  async quit() {}
+  disconnect() {}
+}
+FakeRedis.instances = [];
+FakeRedis.createClient = () => new FakeRedis();
+FakeRedis.default = FakeRedis;
+FakeRedis.Redis = FakeRedis;
+
+/**
+ * 攔截指定套件名稱的 require
+ * @param {Object<string, *>} fakes - 套件名稱 → 替身 exports
+ * @returns {() => void} 還原函式
+ */
+function installFakeModules(fakes) {
+  const load = Module._load;
+  Module._load = function (request, parent, isMain) {
+    if (Object.prototype.hasOwnProperty.call(fakes, request)) return fakes[request];
+    return load.apply(this, arguments);
+  };
+  return () => { Module._load = load; };
+}
+
+module.exports = {
+  FakePool,
+  FakeRedis,
+  installFakeModules,
+  normalizeSql,
+};
@@ -0,0 +1,53 @@
+/**
+ * 錄製單局同步用到的鏈上回應，產生 test/fixtures 下的錄製檔
+ * 經由本機 RPC 測試節點轉送到 UPSTREAM_RPC_URL，依序執行 hisbet.js 與 gk_hisbet 的同步並記錄每個請求
+ *
+ * 用法：
+ *   UPSTREAM_RPC_URL=https://... CONTRACT_ADDR=0x... \
+ *     node test/helpers/record_sync_fixture.js <epoch> <startBlock> <lockBlock> <檔名.json>
+ * startBlock / lockBlock 為該局 StartRound / LockRound 所在區塊（epoch_blocks 快取列）
+ */
+
+const fs = require("fs");
+const { startRpcStub, recordHandler } = require("./rpc_stub");
+const { fixturePath, prepareServiceEnv, loadHisbet, loadGkHisbet } = require("./sync_harness");
+
+async function main() {
+  const [epochArg, startArg, lockArg, name] = process.argv.slice(2);
+  const upstream = process.env.UPSTREAM_RPC_URL;
+  const contract = process.env.CONTRACT_ADDR;
+  if (!upstream || !contract || !name) {
+    console.error('用法: UPSTREAM_RPC_URL=... CONTRACT_ADDR=... node test/helpers/record_sync_fixture.js <epoch> <startBlock> <lockBlock> <檔名.json>');
+    return 1;
+  }
+
+  const fixture = {
+    epoch: Number(epochArg),
+    contract,
+    epochBlocks: { startBlock: Number(startArg), lockBlock: Number(lockArg) },
+    rpc: []
+  };
+  const stub = await startRpcStub(recordHandler(upstream, fixture.rpc));
+  try {
+    prepareServiceEnv(stub.url, contract);
+    const hisbet = loadHisbet(fixture);
+    const r1 = await hisbet.exported.syncEpoch(fixture.epoch);
+    const gk = loadGkHisbet(fixture);
+    const r2 = await gk.exported.gk_sync_epoch_flow({ epoch: fixture.epoch });
+    if (!r1.success || !r2.success) {
+      console.error(`同步失敗，不寫入錄製檔: hisbet=${JSON.stringify(r1)} gk_hisbet=${JSON.stringify(r2)}`);
+      return 1;
+    }
+  } finally {
+    await stub.close();
+  }
+
+  fs.writeFileSync(fixturePath(name), JSON.stringify(fixture, null, 2) + '\n');
+  console.log(`已錄製 ${fixture.rpc.length} 個請求 → ${fixturePath(name)}`);
+  return 0;
+}
+
+main().then((code) => process.exit(code), (e) => {
+  console.error(`❌ 錄製失敗: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+/**
+ * 本機 JSON-RPC 測試節點（http.createServer）
+ * handler(payload) 回傳 { result } / { error } 時包成 JSON-RPC 回應；
+ * 回傳 { status, headers?, body? } 時原樣送出 HTTP 回應（模擬 429 / 5xx）
+ */
+
+const http = require("http");
+
+/**
+ * @param {(payload: Object) => Object|Promise<Object>} handler
+ * @returns {Promise<{url: string, calls: Object[], close: () => Promise<void>}>}
+ */
+async function startRpcStub(handler) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', async () => {
+      const payload = JSON.parse(raw);
+      calls.push(payload);
+      try {
+        const reply = await handler(payload);
+        if (reply && reply.status) {
+          res.writeHead(reply.status, { 'content-type': 'application/json', ...(reply.headers || {}) });
+          res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+          return;
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: payload.id, ...reply }));
+      } catch (e) {
+        res.writeHead(500, { 'content-type': 'text/plain' });
+        res.end(e.message);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise((resolve) => server.close(() => resolve()))
+  };
+}
+
+function fixtureKey(method, params) {
+  return `${method} ${JSON.stringify(params ?? [])}`;
+}
+
+/**
+ * 以錄製的請求/回應重播；未錄製的請求回傳 JSON-RPC 錯誤
+ * @param {Array<{method: string, params: Array, result?: *, error?: Object}>} entries
+ */
+function replayHandler(entries) {
+  const byKey = new Map(entries.map(e => [fixtureKey(e.method, e.params), e]));
+  return (payload) => {
+    const entry = byKey.get(fixtureKey(payload.method, payload.params));
+    if (!entry) return { error: { code: -32601, message: `未錄製的請求: ${fixtureKey(payload.method, payload.params)}` } };
+    return entry.error ? { error: entry.error } : { result: entry.result };
+  };
+}
+
+/**
+ * 轉送到上游節點並錄製每個不同的請求，供 replayHandler 重播
+ * @param {string} upstreamUrl
+ * @param {Array} entries - 錄製結果寫入此陣列
+ */
+function recordHandler(upstreamUrl, entries) {
+  const seen = new Set();
+  return async (payload) => {
+    const res = await fetch(upstreamUrl, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const body = await res.json();
+    const key = fixtureKey(payload.method, payload.params);
+    if (!seen.has(key)) {
+      seen.add(key);
+      entries.push(body.error
+        ? { method: payload.method, params: payload.params, error: body.error }
+        : { method: payload.method, params: payload.params, result: body.result });
+    }
+    return body.error ? { error: body.error } : { result: body.result };
+  };
+}
+
+module.exports = {
+  startRpcStub,
+  replayHandler,
+  recordHandler,
+};
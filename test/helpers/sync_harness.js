@@ -0,0 +1,98 @@
+/**
+ * 單局同步一致性測試環境：RPC 測試節點重播錄製的鏈上回應，pg / ioredis 換成替身後
+ * 分別載入 hisbet.js（syncEpoch）與 gk_hisbet（gk_sync_epoch_flow），取得兩者的寫入記錄
+ *
+ * 錄製檔（test/fixtures/*.json）格式：
+ *   { epoch, contract, epochBlocks: { startBlock, lockBlock }, rpc: [{ method, params, result|error }] }
+ * epochBlocks 為 epoch_blocks 快取列，讓區塊範圍直接命中策略0，不依賴 hisbet 既有資料
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { FakePool, FakeRedis, installFakeModules, normalizeSql } = require("./fake_deps");
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+function fixturePath(name) {
+  return path.join(FIXTURE_DIR, name);
+}
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(fixturePath(name), 'utf8'));
+}
+
+/**
+ * 攔截 pg / ioredis 並設定服務啟動所需的環境變數；需在載入服務模組前呼叫
+ * @returns {() => void} 還原 require 攔截
+ */
+function prepareServiceEnv(rpcUrl, contract) {
+  Object.assign(process.env, {
+    DATABASE_URL: 'postgres://test@127.0.0.1:5432/test',
+    REDIS_URL: 'redis://127.0.0.1:6379',
+    RPC_URLS: rpcUrl,
+    CONTRACT_ADDR: contract,
+    RPC_RATE_LIMIT: '0'
+  });
+  delete process.env.RPC_URL;
+  return installFakeModules({ pg: { Pool: FakePool }, ioredis: FakeRedis });
+}
+
+function seedEpochBlocks(pool, fixture) {
+  pool.respond(/FROM epoch_blocks WHERE epoch = \$1/i, ([epoch]) => Number(epoch) === fixture.epoch
+    ? [{ start_block: fixture.epochBlocks.startBlock, lock_block: fixture.epochBlocks.lockBlock }]
+    : []);
+}
+
+/**
+ * 載入服務模組，回傳其匯出與模組層級建立的 pool / redis 替身
+ */
+function loadService(modulePath, fixture) {
+  const pools = FakePool.instances.length;
+  const redises = FakeRedis.instances.length;
+  const exported = require(modulePath);
+  const pool = FakePool.instances[pools];
+  const redis = FakeRedis.instances[redises];
+  if (!pool || !redis) throw new Error(`${modulePath} 未建立 pg / Redis 連線`);
+  seedEpochBlocks(pool, fixture);
+  return { exported, pool, redis };
+}
+
+function loadHisbet(fixture) {
+  return loadService(path.join(__dirname, '..', '..', 'hisbet.js'), fixture);
+}
+
+function loadGkHisbet(fixture) {
+  return loadService(path.join(__dirname, '..', '..', 'gk_hisbet', 'gk_hisbet.js'), fixture);
+}
+
+/**
+ * 寫入記錄轉為可比對的資料列：hisbet 多列 INSERT 依 tx_hash 排序（下注解析順序取決於 RPC 回應先後）
+ * @returns {Array<{sql: string, rows: Array}>}
+ */
+function writtenRows(pool) {
+  return pool.writes.map(({ sql, params }) => {
+    const values = params.map(v => (typeof v === 'bigint' ? v.toString() : v));
+    if (!/^INSERT INTO hisbet\b/i.test(sql)) return { sql, rows: [values] };
+    const rows = [];
+    for (let i = 0; i < values.length; i += 11) rows.push(values.slice(i, i + 11));
+    rows.sort((a, b) => String(a[6]).localeCompare(String(b[6])));
+    return { sql: normalizeSql(sql.replace(/VALUES .* ON CONFLICT/i, 'VALUES … ON CONFLICT')), rows };
+  });
+}
+
+/**
+ * 已發布訊息的 data（去除信封的 source / ts）
+ */
+function publishedData(redis) {
+  return redis.published.map(({ channel, message }) => ({ channel, data: JSON.parse(message).data }));
+}
+
+module.exports = {
+  fixturePath,
+  loadFixture,
+  prepareServiceEnv,
+  loadHisbet,
+  loadGkHisbet,
+  writtenRows,
+  publishedData,
+};
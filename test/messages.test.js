@@ -0,0 +1,126 @@
+/**
+ * Redis 訊息契約：版本或格式不符的訊息在訂閱端丟棄並計數（/api/message-stats），不會在處理函式中拋出
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const path = require("path");
+const { CHANNELS, MESSAGE_VERSION, buildMessage, publishMessage, parseMessage, getMessageStats } = require("../messages");
+const { FakePool, FakeRedis, installFakeModules } = require("./helpers/fake_deps");
+const { startRpcStub } = require("./helpers/rpc_stub");
+
+function receiveCount(channel) {
+  return getMessageStats().invalid[channel]?.receive ?? 0;
+}
+
+function auditReport() {
+  const now = new Date().toISOString();
+  return {
+    run_id: 1, started_at: now, finished_at: now, from_epoch: 1, to_epoch: 2000, status: 'ok',
+    checks: {}, totals: { error: 0, warning: 0, info: 0 }, failures: {}
+  };
+}
+
+function instantBet() {
+  return {
+    epoch: 312847,
+    bet_time: new Date().toISOString(),
+    wallet_address: '0x' + 'a'.repeat(40),
+    bet_direction: 'UP',
+    bet_amount: 0.5,
+    block_number: 45102330,
+    tx_hash: '0x' + 'b'.repeat(64)
+  };
+}
+
+function getJson(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let raw = '';
+      res.on('data', (c) => raw += c);
+      res.on('end', () => resolve(JSON.parse(raw)));
+    }).on('error', reject);
+  });
+}
+
+async function waitFor(fn, ms = 5000) {
+  const deadline = Date.now() + ms;
+  while (!fn()) {
+    if (Date.now() > deadline) throw new Error('等待逾時');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('parseMessage 丟棄版本不符、非 JSON 與格式錯誤的訊息並計數', () => {
+  const channel = CHANNELS.INSTANT_BET;
+  const valid = buildMessage(channel, instantBet(), 'test');
+  assert.deepEqual(parseMessage(channel, JSON.stringify(valid)), valid.data);
+
+  const before = receiveCount(channel);
+  assert.equal(parseMessage(channel, JSON.stringify({ ...valid, version: MESSAGE_VERSION + 1 })), null);
+  assert.equal(parseMessage(channel, '{not json'), null);
+  assert.equal(parseMessage(channel, JSON.stringify({ ...valid, data: { ...valid.data, bet_direction: 'SIDEWAYS' } })), null);
+  // 舊版未包信封的原始資料列
+  assert.equal(parseMessage(channel, JSON.stringify(instantBet())), null);
+  assert.equal(receiveCount(channel), before + 4);
+});
+
+test('publishMessage 不送出不合格的資料並計數', async () => {
+  const redis = new FakeRedis();
+  const channel = CHANNELS.HISBET_COMMAND_RESULT;
+  assert.equal(await publishMessage(redis, channel, { type: 'resync_result', id: 'job-1', results: 'all good' }, 'test'), false);
+  assert.equal(await publishMessage(redis, channel, { type: 'resync_result', id: 'job-1', results: [{ epoch: 1, status: 'synced' }] }, 'test'), true);
+  assert.equal(redis.published.length, 1);
+  assert.equal(getMessageStats().invalid[channel].publish, 1);
+});
+
+test('server 訂閱端丟棄不合格訊息，計數反映在 /api/message-stats', async (t) => {
+  const rpc = await startRpcStub(() => ({ error: { code: -32601, message: 'method not found' } }));
+  t.after(() => rpc.close());
+  Object.assign(process.env, {
+    PORT: '0',
+    HOST: '127.0.0.1',
+    DATABASE_URL: 'postgres://test@127.0.0.1:5432/test',
+    REDIS_URL: 'redis://127.0.0.1:6379',
+    RPC_URLS: rpc.url,
+    CONTRACT_ADDR: '0x18B2A687610328590Bc8F2e5fEdDe3b582A49cdA'
+  });
+  t.after(installFakeModules({ pg: { Pool: FakePool }, redis: FakeRedis }));
+  t.mock.method(global, 'setInterval', () => null); // 局次輪詢不啟動
+
+  // 取得 server.js 建立的 HTTP 伺服器以便查詢端點與結束時關閉
+  const servers = [];
+  const listen = http.Server.prototype.listen;
+  t.mock.method(http.Server.prototype, 'listen', function (...args) {
+    servers.push(this);
+    return listen.apply(this, args);
+  });
+
+  const redises = FakeRedis.instances.length;
+  require(path.join(__dirname, '..', 'server.js'));
+  const subscriber = FakeRedis.instances[redises];
+  await waitFor(() => servers.length > 0 && servers[0].listening && subscriber.channelListeners.has(CHANNELS.AUDIT_RESULTS));
+  t.after(() => new Promise((resolve) => servers[0].close(resolve)));
+  const statsUrl = `http://127.0.0.1:${servers[0].address().port}/api/message-stats`;
+
+  const audit = buildMessage(CHANNELS.AUDIT_RESULTS, auditReport(), 'auditor');
+  const bet = buildMessage(CHANNELS.INSTANT_BET, instantBet(), 'gk_realbet');
+  const before = (await getJson(statsUrl)).invalid;
+
+  await assert.doesNotReject(subscriber.deliver(CHANNELS.AUDIT_RESULTS, JSON.stringify({ ...audit, version: 0 })));
+  await assert.doesNotReject(subscriber.deliver(CHANNELS.AUDIT_RESULTS, JSON.stringify({ ...audit, data: { status: 'ok' } })));
+  await assert.doesNotReject(subscriber.deliver(CHANNELS.ANALYSIS, JSON.stringify({ type: 'analysis_request', bet: {} })));
+  await assert.doesNotReject(subscriber.deliver(CHANNELS.INSTANT_BET, JSON.stringify({ ...bet, version: 2 })));
+  await assert.doesNotReject(subscriber.deliver(CHANNELS.PENDING_BET, 'not json'));
+  // 合格訊息照常處理，不計入
+  await assert.doesNotReject(subscriber.deliver(CHANNELS.AUDIT_RESULTS, JSON.stringify(audit)));
+
+  const stats = await getJson(statsUrl);
+  assert.equal(stats.version, MESSAGE_VERSION);
+  const delta = (channel) => stats.invalid[channel].receive - (before[channel]?.receive ?? 0);
+  assert.equal(delta(CHANNELS.AUDIT_RESULTS), 2);
+  assert.equal(delta(CHANNELS.ANALYSIS), 1);
+  assert.equal(delta(CHANNELS.INSTANT_BET), 1);
+  assert.equal(delta(CHANNELS.PENDING_BET), 1);
+});
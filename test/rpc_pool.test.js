@@ -0,0 +1,168 @@
+/**
+ * RPC 節點池：以本機 JSON-RPC 測試節點驗證權重挑選、熔斷與恢復、改用下一個節點，以及 getLogs 依範圍上限切段
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startRpcStub } = require("./helpers/rpc_stub");
+const { RpcPool, parseRpcEndpoints, createRpcProvider } = require("../rpc_pool");
+
+function rpc(method, params = []) {
+  return { jsonrpc: '2.0', id: 1, method, params };
+}
+
+function toHex(n) {
+  return '0x' + n.toString(16);
+}
+
+/**
+ * 啟動多個測試節點；handlers[i] 可在測試中途替換
+ */
+async function startStubs(t, count, handler = () => ({ result: '0x1' })) {
+  const handlers = Array.from({ length: count }, () => handler);
+  const stubs = [];
+  for (let i = 0; i < count; i++) {
+    const stub = await startRpcStub((payload) => handlers[i](payload));
+    t.after(() => stub.close());
+    stubs.push(stub);
+  }
+  return { stubs, handlers };
+}
+
+test('依權重分配請求，權重 0 的節點不使用', async (t) => {
+  const { stubs } = await startStubs(t, 3);
+  const pool = new RpcPool(parseRpcEndpoints(`${stubs[0].url}|3,${stubs[1].url}|1,${stubs[2].url}|0`));
+
+  for (let i = 0; i < 400; i++) await pool.request(rpc('eth_blockNumber'));
+
+  const [a, b, c] = stubs.map(s => s.calls.length);
+  assert.equal(a + b, 400);
+  assert.equal(c, 0);
+  // 期望 300 / 100，容許約 5 個標準差
+  assert.ok(a > 255 && a < 345, `權重 3 的節點收到 ${a} 次`);
+});
+
+test('5xx 連續失敗達門檻後熔斷，期間改用下一個節點，冷卻後恢復', async (t) => {
+  t.mock.method(Math, 'random', () => 0); // 可用節點依設定順序
+  const { stubs, handlers } = await startStubs(t, 2, () => ({ result: '0x2' }));
+  handlers[0] = () => ({ status: 502 });
+  const pool = new RpcPool([{ url: stubs[0].url }, { url: stubs[1].url }], { failureThreshold: 2, cooldownMs: 100 });
+
+  // 前兩次先打第一個節點失敗，再由第二個節點回應
+  for (let i = 0; i < 2; i++) assert.equal((await pool.request(rpc('eth_blockNumber'))).result, '0x2');
+  assert.equal(stubs[0].calls.length, 2);
+  assert.equal(stubs[1].calls.length, 2);
+  assert.equal(pool.stats()[0].healthy, false);
+  assert.equal(pool.stats()[0].failures, 2);
+
+  // 熔斷中：不再送往第一個節點
+  await pool.request(rpc('eth_blockNumber'));
+  assert.equal(stubs[0].calls.length, 2);
+  assert.equal(stubs[1].calls.length, 3);
+
+  // 節點恢復且冷卻結束後重新使用，成功即清除連續失敗
+  handlers[0] = () => ({ result: '0x1' });
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.equal((await pool.request(rpc('eth_blockNumber'))).result, '0x1');
+  assert.equal(stubs[0].calls.length, 3);
+  assert.equal(pool.stats()[0].healthy, true);
+  assert.ok(pool.stats()[0].latencyMs !== null);
+});
+
+test('429 與 -32005 限流立即熔斷，Retry-After 決定熔斷時間', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const { stubs, handlers } = await startStubs(t, 3, () => ({ result: '0x3' }));
+  handlers[0] = () => ({ status: 429, headers: { 'retry-after': '2' } });
+  handlers[1] = () => ({ error: { code: -32005, message: 'limit exceeded' } });
+  const pool = new RpcPool(stubs.map(s => ({ url: s.url })), { failureThreshold: 5, rateLimitCooldownMs: 100 });
+
+  assert.equal((await pool.request(rpc('eth_chainId'))).result, '0x3');
+  const [first, second] = pool.stats();
+  assert.equal(first.healthy, false);
+  assert.ok(first.openForMs > 1000 && first.openForMs <= 2000, `Retry-After 熔斷 ${first.openForMs}ms`);
+  assert.equal(second.healthy, false);
+  assert.ok(second.openForMs <= 100);
+
+  // 限流節點冷卻後恢復
+  handlers[1] = () => ({ result: '0x2' });
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.equal((await pool.request(rpc('eth_chainId'))).result, '0x2');
+  assert.equal(pool.stats()[1].healthy, true);
+  assert.equal(stubs[0].calls.length, 1);
+});
+
+test('所有節點皆失敗時拋出最後一個節點錯誤', async (t) => {
+  const { stubs } = await startStubs(t, 2, () => ({ status: 500 }));
+  const pool = new RpcPool(stubs.map(s => ({ url: s.url })));
+  await assert.rejects(pool.request(rpc('eth_blockNumber')), { name: 'RpcEndpointError', status: 500 });
+  assert.equal(stubs[0].calls.length + stubs[1].calls.length, 2);
+});
+
+test('全部熔斷時只退回權重大於 0 的節點，沒有時拋出錯誤', async (t) => {
+  const { stubs, handlers } = await startStubs(t, 2, () => ({ result: '0x4' }));
+  handlers[0] = () => ({ status: 502 });
+  const pool = new RpcPool(parseRpcEndpoints(`${stubs[0].url}|1,${stubs[1].url}|0`), { failureThreshold: 1, cooldownMs: 60000 });
+
+  await assert.rejects(pool.request(rpc('eth_blockNumber')), { name: 'RpcEndpointError', status: 502 });
+  assert.equal(pool.stats()[0].healthy, false);
+  // 唯一的權重節點熔斷中：仍送往它，不改用權重 0 的節點
+  await assert.rejects(pool.request(rpc('eth_blockNumber')), { name: 'RpcEndpointError', status: 502 });
+  assert.equal(stubs[0].calls.length, 2);
+  assert.equal(stubs[1].calls.length, 0);
+
+  const unweighted = new RpcPool(parseRpcEndpoints(`${stubs[1].url}|0`));
+  await assert.rejects(unweighted.request(rpc('eth_blockNumber')), { name: 'RpcEndpointError' });
+  assert.equal(stubs[1].calls.length, 0);
+});
+
+test('getLogs 依節點區塊範圍上限切段，結果依序合併', async (t) => {
+  const logsHandler = ({ params: [filter] }) => ({ result: [{ from: filter.fromBlock, to: filter.toBlock }] });
+  const { stubs } = await startStubs(t, 1, logsHandler);
+  const pool = new RpcPool(parseRpcEndpoints(`${stubs[0].url}|1|100`));
+
+  const body = await pool.request({ ...rpc('eth_getLogs', [{ address: '0x0', fromBlock: toHex(1000), toBlock: toHex(1249) }]), id: 7 });
+
+  assert.equal(body.id, 7);
+  assert.deepEqual(body.result, [
+    { from: toHex(1000), to: toHex(1099) },
+    { from: toHex(1100), to: toHex(1199) },
+    { from: toHex(1200), to: toHex(1249) }
+  ]);
+  assert.equal(stubs[0].calls.length, 3);
+});
+
+test('節點回報範圍過大時調降上限並切段重送', async (t) => {
+  const { stubs } = await startStubs(t, 1, ({ params: [filter] }) => {
+    const span = Number(filter.toBlock) - Number(filter.fromBlock) + 1;
+    if (span > 60) return { error: { code: -32005, message: 'block range is too wide' } };
+    return { result: [span] };
+  });
+  const pool = new RpcPool([{ url: stubs[0].url }], { minLogRange: 10 });
+
+  const body = await pool.request(rpc('eth_getLogs', [{ fromBlock: toHex(0), toBlock: toHex(199) }]));
+
+  assert.equal(body.result.reduce((s, n) => s + n, 0), 200);
+  assert.ok(body.result.every(n => n <= 60));
+  assert.equal(pool.stats()[0].maxLogRange, 50);
+  assert.equal(pool.stats()[0].healthy, true);
+});
+
+test('ethers Provider 經節點池容錯與切段', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const { stubs, handlers } = await startStubs(t, 2, (payload) => {
+    if (payload.method === 'eth_blockNumber') return { result: '0x64' };
+    if (payload.method === 'eth_getLogs') return { result: [] };
+    return { error: { code: -32601, message: 'method not found' } };
+  });
+  handlers[0] = () => ({ status: 503 });
+  const provider = createRpcProvider({
+    endpoints: [{ url: stubs[0].url, weight: 1 }, { url: stubs[1].url, weight: 1, maxLogRange: 20 }]
+  });
+  t.after(() => provider.destroy());
+
+  assert.equal(await provider.getBlockNumber(), 100);
+  assert.deepEqual(await provider.getLogs({ fromBlock: 0, toBlock: 49 }), []);
+  const logCalls = stubs[1].calls.filter(c => c.method === 'eth_getLogs');
+  assert.deepEqual(logCalls.map(c => [c.params[0].fromBlock, c.params[0].toBlock]),
+    [['0x0', '0x13'], ['0x14', '0x27'], ['0x28', '0x31']]);
+});
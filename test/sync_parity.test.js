@@ -0,0 +1,43 @@
+/**
+ * 單局同步一致性：hisbet.js 的 syncEpoch 與 gk_hisbet 的 gk_sync_epoch_flow（經 fetchContractEvents、
+ * parseRoundData、writeDataTransaction 等 Genkit 工具）以同一份錄製的鏈上回應同步同一局，
+ * 兩條路徑寫入的資料列與發布的局次訊息必須相同
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startRpcStub, replayHandler } = require("./helpers/rpc_stub");
+const {
+  loadFixture, prepareServiceEnv, loadHisbet, loadGkHisbet, writtenRows, publishedData
+} = require("./helpers/sync_harness");
+
+test('hisbet.js 與 gk_hisbet 工具流程寫入相同的資料列', async (t) => {
+  const fixture = loadFixture('sync_epoch_312847.json');
+  const stub = await startRpcStub(replayHandler(fixture.rpc));
+  t.after(() => stub.close());
+  t.after(prepareServiceEnv(stub.url, fixture.contract));
+
+  const hisbet = loadHisbet(fixture);
+  const gk = loadGkHisbet(fixture);
+
+  assert.deepEqual(await hisbet.exported.syncEpoch(fixture.epoch), { success: true });
+  assert.deepEqual(await gk.exported.gk_sync_epoch_flow({ epoch: fixture.epoch }), { success: true, epoch: fixture.epoch });
+
+  const expected = writtenRows(hisbet.pool);
+  assert.deepEqual(writtenRows(gk.pool), expected);
+  assert.deepEqual(publishedData(gk.redis), publishedData(hisbet.redis));
+
+  // 錄製局次：3 筆 UP、2 筆 DOWN，收盤價高於鎖倉價
+  assert.equal(expected[0].sql, 'BEGIN');
+  assert.equal(expected[expected.length - 1].sql, 'COMMIT');
+  const round = expected.find(w => /^INSERT INTO round\b/.test(w.sql)).rows[0];
+  assert.equal(round[0], fixture.epoch);
+  assert.equal(round[6], 'UP');
+  assert.equal(round[16], '36893488147419141235');
+  assert.equal(round[17], '36893488147419141301');
+  const bets = expected.find(w => /^INSERT INTO hisbet\b/.test(w.sql)).rows;
+  assert.equal(bets.length, 5);
+  assert.deepEqual(bets.map(b => b[3]).sort(), ['DOWN', 'DOWN', 'UP', 'UP', 'UP']);
+  assert.ok(bets.every(b => b[2] === b[2].toLowerCase()));
+  assert.ok(expected.some(w => /^INSERT INTO finepoch\b/.test(w.sql)));
+});
@@ -0,0 +1,133 @@
+/**
+ * 時間欄位 - 由台北時間字串 VARCHAR(25) 改為 TIMESTAMPTZ
+ * 寫入端一律傳 Unix 秒並以 to_timestamp() 轉換；讀取端拿到的是 Date
+ * 舊的 "YYYY-MM-DD HH:mm:ss" 台北時間格式由 *_compat 檢視表保留
+ */
+
+const LEGACY_TIME_ZONE = 'Asia/Taipei';
+const LEGACY_TIME_FORMAT = 'YYYY-MM-DD HH24:MI:SS';
+
+const TIME_COLUMNS = [
+  { table: 'round', column: 'start_time' },
+  { table: 'round', column: 'lock_time' },
+  { table: 'round', column: 'close_time' },
+  { table: 'hisbet', column: 'bet_time' },
+  { table: 'realbet', column: 'bet_time' },
+  { table: 'claim', column: 'claim_time' },
+  { table: 'contract_config_history', column: 'event_time' },
+  { table: 'finepoch', column: 'processed_at' },
+  { table: 'failed_epochs', column: 'failed_at' },
+];
+
+// 主鍵已含時間欄位，可直接轉為 hypertable
+const HYPERTABLES = [
+  { table: 'round', column: 'start_time' },
+  { table: 'hisbet', column: 'bet_time' },
+  { table: 'realbet', column: 'bet_time' },
+];
+
+const COMPAT_VIEWS = ['round', 'hisbet', 'realbet'];
+
+function compatViewName(table) {
+  return `${table}_compat`;
+}
+
+/**
+ * 尚未轉為 TIMESTAMPTZ 的時間欄位（不存在的表/欄位略過）
+ * @param {import('pg').Pool} db
+ * @returns {Promise<Array<{table: string, column: string, dataType: string}>>}
+ */
+async function findLegacyTimeColumns(db) {
+  const res = await db.query(`
+    SELECT table_name, column_name, data_type
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND (table_name::text, column_name::text) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+      AND data_type <> 'timestamp with time zone'
+  `, [TIME_COLUMNS.map(c => c.table), TIME_COLUMNS.map(c => c.column)]);
+  return res.rows.map(r => ({ table: r.table_name, column: r.column_name, dataType: r.data_type }));
+}
+
+/**
+ * 建立相容檢視表：欄位順序同原表（新欄位只會附加在後），時間欄位輸出為台北時間字串
+ * @param {import('pg').Pool} db
+ */
+async function ensureCompatViews(db) {
+  for (const table of COMPAT_VIEWS) {
+    const res = await db.query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = $1
+      ORDER BY ordinal_position
+    `, [table]);
+    if (res.rows.length === 0) continue;
+
+    const timeColumns = new Set(TIME_COLUMNS.filter(c => c.table === table).map(c => c.column));
+    const select = res.rows.map(({ column_name: col }) => timeColumns.has(col)
+      ? `TO_CHAR(${col} AT TIME ZONE '${LEGACY_TIME_ZONE}', '${LEGACY_TIME_FORMAT}') AS ${col}`
+      : col);
+    await db.query(`CREATE OR REPLACE VIEW ${compatViewName(table)} AS SELECT ${select.join(', ')} FROM ${table}`);
+  }
+}
+
+/**
+ * 將舊字串欄位轉為 TIMESTAMPTZ 並建立 hypertable；可重複執行
+ * 無時區的字串視為台北時間，帶時區（NOW() 寫入的舊值）則照原時區解析
+ * @param {import('pg').Pool} db
+ * @param {(msg: string) => void} log
+ * @returns {Promise<number>} 轉換的欄位數
+ */
+async function migrateTimeColumns(db, log = console.log) {
+  const legacy = await findLegacyTimeColumns(db);
+
+  // 依賴欄位型別的檢視表須先移除
+  for (const table of COMPAT_VIEWS) {
+    await db.query(`DROP VIEW IF EXISTS ${compatViewName(table)}`);
+  }
+
+  for (const { table, column, dataType } of legacy) {
+    log(`轉換 ${table}.${column} (${dataType} → timestamptz)`);
+    await db.query(`
+      ALTER TABLE ${table} ALTER COLUMN ${column} TYPE TIMESTAMPTZ USING (
+        CASE
+          WHEN NULLIF(${column}::text, '') IS NULL THEN NULL
+          WHEN ${column}::text ~ '([+-]\\d{2}(:?\\d{2})?|Z)$' THEN ${column}::text::timestamptz
+          ELSE ${column}::text::timestamp AT TIME ZONE '${LEGACY_TIME_ZONE}'
+        END
+      )
+    `);
+  }
+
+  for (const { table, column } of HYPERTABLES) {
+    log(`建立 hypertable ${table}(${column})`);
+    await db.query(
+      'SELECT create_hypertable($1::regclass, $2::name, if_not_exists => TRUE, migrate_data => TRUE)',
+      [table, column]
+    );
+  }
+
+  await ensureCompatViews(db);
+  return legacy.length;
+}
+
+/**
+ * 啟動檢查：仍為字串欄位時拒絕寫入（to_timestamp 寫進 VARCHAR 會變成另一種字串格式）
+ * @param {import('pg').Pool} db
+ * @param {string} migrateCommand - 提示使用者執行的遷移指令
+ */
+async function ensureTimeSchema(db, migrateCommand = 'node hisbet.js migrate-timestamptz') {
+  const legacy = await findLegacyTimeColumns(db);
+  if (legacy.length > 0) {
+    const cols = legacy.map(c => `${c.table}.${c.column}`).join(', ');
+    throw new Error(`時間欄位尚未轉為 TIMESTAMPTZ: ${cols}，請先執行 ${migrateCommand}`);
+  }
+  await ensureCompatViews(db);
+}
+
+module.exports = {
+  TIME_COLUMNS,
+  HYPERTABLES,
+  findLegacyTimeColumns,
+  ensureCompatViews,
+  migrateTimeColumns,
+  ensureTimeSchema,
+};
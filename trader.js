@@ -11,11 +11,15 @@ require('dotenv').config();
 const Redis = require('ioredis');
 const { ethers } = require('ethers');
 const { Pool } = require('pg');
+const { getContractConfigAtEpoch } = require('./contract_config');
+const { createRpcProvider } = require('./rpc_pool');
+const { CHANNELS, publishMessage, parseMessage } = require('./messages');
 
 // 讀取環境變數
 const {
   REDIS_URL,
   RPC_URL,
+  RPC_URLS,
   CONTRACT_ADDR,
   PRIVATE_KEY,
   // 交易控制
@@ -39,11 +43,13 @@ const {
 // 連線
 const redis = new Redis(REDIS_URL || 'redis://127.0.0.1:6379');
 const subscriber = new Redis(REDIS_URL || 'redis://127.0.0.1:6379');
-const provider = RPC_URL ? new ethers.JsonRpcProvider(RPC_URL) : null;
+const provider = (RPC_URLS || RPC_URL) ? createRpcProvider() : null;
 
 // 合約 ABI（只用到必要函數）
 const CONTRACT_ABI = [
   { inputs: [], name: 'bufferSeconds', outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'minBetAmount', outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
+  { inputs: [], name: 'currentEpoch', outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }], stateMutability: 'view', type: 'function' },
   { inputs: [{ internalType: 'uint256', name: '', type: 'uint256' }], name: 'rounds', outputs: [
       { internalType: 'uint256', name: 'epoch', type: 'uint256' },
       { internalType: 'uint256', name: 'startTimestamp', type: 'uint256' },
@@ -106,7 +112,7 @@ console.log('[TRADER] 啟動', {
 
 // 狀態
 const state = {
-  epochMeta: new Map(), // epoch -> { lockMs, bufferSec, tStop }
+  epochMeta: new Map(), // epoch -> { lockMs, bufferSec, minBetBNB, tStop }
   placed: new Set(),    // 已下單的 epoch，避免重複
   armed: new Map(),     // epoch -> { prediction, ts, nonce, amountBNB }
 };
@@ -175,11 +181,23 @@ async function getEpochMeta(epoch) {
   if (!contract) return null;
   if (state.epochMeta.has(epoch)) return state.epochMeta.get(epoch);
   try {
-    const r = await contract.rounds(BigInt(epoch));
-    const bufferSec = Number(await contract.bufferSeconds());
+    const [r, currentEpoch] = await Promise.all([contract.rounds(BigInt(epoch)), contract.currentEpoch()]);
+    // 進行中的局次直接讀鏈上目前值（設定歷史由索引器寫入，會落後）；過去局次才用當時的設定（contract_config_history）
+    let config = null;
+    if (pgPool && BigInt(epoch) < currentEpoch) {
+      try {
+        config = await getContractConfigAtEpoch(pgPool, epoch);
+      } catch (e) {
+        console.error('[TRADER] 讀取合約設定歷史失敗:', e.message);
+      }
+    }
+    const bufferSec = config?.bufferSeconds ?? Number(await contract.bufferSeconds());
+    const minBetBNB = config?.minBetAmount != null
+      ? Number(config.minBetAmount)
+      : Number(ethers.formatEther(await contract.minBetAmount()));
     const lockMs = Number(r.lockTimestamp) * 1000;
     const tStop = lockMs - bufferSec * 1000;
-    const meta = { lockMs, bufferSec, tStop };
+    const meta = { lockMs, bufferSec, minBetBNB, tStop };
     state.epochMeta.set(epoch, meta);
     return meta;
   } catch (e) {
@@ -284,9 +302,9 @@ async function maybeArm(epoch, prediction, strat) {
     const amountBNB = Number(TRADE_AMOUNT_BNB || '0.001');
 
     state.armed.set(epoch, { prediction, ts: now, nonce, amountBNB });
-    const log = { type: 'trade_log', ts: new Date().toISOString(), epoch, prediction, armed: true, nonce, amountBNB, note: 'pre-final strong signal' };
+    const log = { phase: 'arm', epoch, prediction, armed: true, nonce, amountBNB, note: 'pre-final strong signal' };
     console.log('[TRADER][ARM]', log);
-    try { await redis.publish('trade_log', JSON.stringify(log)); } catch {}
+    try { await publishMessage(redis, CHANNELS.TRADE_LOG, log, 'trader'); } catch {}
     await logTrade({ epoch, phase: 'arm', strategy: TRADE_ALLOWED_STRATEGY, prediction, confidence: 'pre', amountBNB, nonce });
   } catch (e) {
     console.error('[TRADER] 武裝失敗:', e.message);
@@ -379,11 +397,15 @@ async function maybeTrade(signal) {
         state.armed.delete(epoch);
       }
     }
+    if (meta.minBetBNB != null && amountBNB < meta.minBetBNB) {
+      console.log(`[TRADER] 下注金額 ${amountBNB} BNB 低於最低下注 ${meta.minBetBNB} BNB，跳過 (epoch=${epoch})`);
+      state.placed.add(epoch);
+      return;
+    }
     const valueWei = ethers.parseEther(String(amountBNB));
 
     const payload = {
-      type: 'trade_log',
-      ts: new Date().toISOString(),
+      phase: 'final_dryrun',
       epoch,
       prediction,
       confidence,
@@ -397,7 +419,7 @@ async function maybeTrade(signal) {
 
     if (TRADE_DRY_RUN === 'true' || TRADE_ENABLED !== 'true' || !writable) {
       console.log('[TRADER][DRY-RUN] would send:', payload);
-      try { await redis.publish('trade_log', JSON.stringify(payload)); } catch {}
+      try { await publishMessage(redis, CHANNELS.TRADE_LOG, payload, 'trader'); } catch {}
       await logTrade({ epoch, phase: 'final_dryrun', strategy: strategyName, prediction, confidence, amountBNB, deltaMs, tStop: meta.tStop, version: signal.version });
       state.placed.add(epoch);
       return;
@@ -419,6 +441,7 @@ async function maybeTrade(signal) {
     const ok = receipt.status === 1;
     const logPayload = {
       ...payload,
+      phase: 'final_receipt',
       dryRun: false,
       txHash: tx.hash,
       send_ms: t1 - t0,
@@ -427,7 +450,7 @@ async function maybeTrade(signal) {
       success: ok
     };
     console.log('[TRADER] tx done:', logPayload);
-    try { await redis.publish('trade_log', JSON.stringify(logPayload)); } catch {}
+    try { await publishMessage(redis, CHANNELS.TRADE_LOG, logPayload, 'trader'); } catch {}
     await logTrade({ epoch, phase: 'final_receipt', strategy: strategyName, prediction, confidence, amountBNB, deltaMs, tStop: meta.tStop, version: signal.version, nonce: useNonce, txHash: tx.hash, send_ms: logPayload.send_ms, mined_ms: logPayload.mined_ms, total_ms: logPayload.total_ms, success: ok });
     state.placed.add(epoch);
   } catch (e) {
@@ -437,22 +460,19 @@ async function maybeTrade(signal) {
 
 async function main() {
   console.log('[TRADER] 連線 Redis...');
-  await subscriber.subscribe('live_predictions');
-  await subscriber.subscribe('round_update_channel');
-  console.log('[TRADER] 已訂閱 live_predictions, round_update_channel');
+  await subscriber.subscribe(CHANNELS.LIVE_PREDICTIONS);
+  await subscriber.subscribe(CHANNELS.ROUND_UPDATE);
+  console.log(`[TRADER] 已訂閱 ${CHANNELS.LIVE_PREDICTIONS}, ${CHANNELS.ROUND_UPDATE}`);
   await ensureTables();
 
   subscriber.on('message', async (channel, message) => {
     try {
-      const data = JSON.parse(message);
-      if (channel === 'round_update_channel') {
-        // 嘗試相容不同格式
-        const e = (data?.data?.epoch ?? data?.epoch);
-        if (e != null) {
-          // 重置防重（新局開始）
-          state.placed.delete(Number(e));
-        }
-      } else if (channel === 'live_predictions') {
+      const data = parseMessage(channel, message);
+      if (!data) return;
+      if (channel === CHANNELS.ROUND_UPDATE) {
+        // 重置防重（新局開始）；鎖定與結算事件不重置
+        if (data.status === 'LIVE') state.placed.delete(data.epoch);
+      } else if (channel === CHANNELS.LIVE_PREDICTIONS) {
         try {
           // 為除錯選擇策略
           let debugStrategyName = TRADE_ALLOWED_STRATEGY;
@@ -0,0 +1,213 @@
+/**
+ * 錢包維度表 wallets - 首次/最近局次、參與局數、下注筆數、成交量、勝負、淨損益、最大單筆、目前連勝/連敗
+ * 由 wallet_epoch_result 增量維護：重建某局彙總前先扣除舊列（removeWalletEpochs），寫入後再加回（addWalletEpochs）
+ * 同一局重複同步、修復或重組修復都不會重複計算
+ *
+ * current_streak：依局次排序的連續同向結果（> 0 連勝、< 0 連敗），以該局淨損益正負判定，淨損益為 0 的局略過
+ */
+
+const STREAK_SCAN_LIMIT = 500; // 計算連勝/連敗時最多往回看幾個有輸贏的局
+
+/**
+ * 建立 wallets 表
+ * @param {import('pg').Pool} db
+ */
+async function ensureWalletsSchema(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS wallets (
+      wallet_address TEXT PRIMARY KEY,
+      first_epoch BIGINT NOT NULL,
+      last_epoch BIGINT NOT NULL,
+      epochs_played INT NOT NULL,
+      bet_count INT NOT NULL,
+      volume NUMERIC(30, 8) NOT NULL,
+      wins INT NOT NULL,
+      losses INT NOT NULL,
+      net_pnl NUMERIC(30, 8) NOT NULL,
+      largest_bet NUMERIC(20, 8) NOT NULL,
+      current_streak INT NOT NULL DEFAULT 0,
+      streak_since BIGINT,
+      streak_break_epoch BIGINT,
+      updated_at TIMESTAMPTZ NOT NULL
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_wallets_net_pnl ON wallets (net_pnl DESC)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_wallets_volume ON wallets (volume DESC)');
+}
+
+/**
+ * 刪除指定局次的 wallet_epoch_result 並自 wallets 扣除
+ * @returns {Promise<Map<string, number>>} 受影響錢包 → 被刪除的最大局次
+ */
+async function removeWalletEpochs(epochs, client) {
+  // 多個同步 worker 以不同順序更新同一批錢包列會互相死鎖：先依地址順序鎖住本次會動到的錢包列
+  // （舊彙總列與 hisbet 中這些局次的下注錢包），不相交的局次仍可並行
+  await client.query(`
+    SELECT wallet_address FROM wallets
+    WHERE wallet_address IN (
+      SELECT wallet_address FROM wallet_epoch_result WHERE epoch = ANY($1::bigint[])
+      UNION
+      SELECT wallet_address FROM hisbet WHERE epoch = ANY($1::bigint[])
+    )
+    ORDER BY wallet_address
+    FOR UPDATE
+  `, [epochs]);
+  const res = await client.query(`
+    WITH removed AS (
+      DELETE FROM wallet_epoch_result WHERE epoch = ANY($1::bigint[]) RETURNING *
+    ),
+    agg AS (
+      SELECT wallet_address, COUNT(*) AS epochs_played, SUM(bet_count) AS bet_count,
+        SUM(total_amount) AS volume, SUM(wins) AS wins, SUM(losses) AS losses,
+        COALESCE(SUM(net_profit), 0) AS net_pnl, MAX(epoch) AS max_epoch
+      FROM removed
+      GROUP BY wallet_address
+    )
+    UPDATE wallets w SET
+      epochs_played = w.epochs_played - agg.epochs_played,
+      bet_count = w.bet_count - agg.bet_count,
+      volume = w.volume - agg.volume,
+      wins = w.wins - agg.wins,
+      losses = w.losses - agg.losses,
+      net_pnl = w.net_pnl - agg.net_pnl,
+      updated_at = NOW()
+    FROM agg
+    WHERE w.wallet_address = agg.wallet_address
+    RETURNING w.wallet_address, agg.max_epoch
+  `, [epochs]);
+  return new Map(res.rows.map(r => [r.wallet_address, Number(r.max_epoch)]));
+}
+
+/**
+ * 將指定局次的 wallet_epoch_result 加入 wallets，並修正受影響錢包的極值與連勝
+ * @param {Map<string, number>} removed - removeWalletEpochs 的回傳值
+ */
+async function addWalletEpochs(epochs, removed, client) {
+  const res = await client.query(`
+    WITH src AS (
+      SELECT wallet_address, MIN(epoch) AS first_epoch, MAX(epoch) AS last_epoch, COUNT(*) AS epochs_played,
+        SUM(bet_count) AS bet_count, SUM(total_amount) AS volume, SUM(wins) AS wins, SUM(losses) AS losses,
+        COALESCE(SUM(net_profit), 0) AS net_pnl, MAX(largest_bet) AS largest_bet
+      FROM wallet_epoch_result
+      WHERE epoch = ANY($1::bigint[])
+      GROUP BY wallet_address
+    ),
+    upserted AS (
+      INSERT INTO wallets (wallet_address, first_epoch, last_epoch, epochs_played, bet_count, volume,
+        wins, losses, net_pnl, largest_bet, updated_at)
+      SELECT wallet_address, first_epoch, last_epoch, epochs_played, bet_count, volume,
+        wins, losses, net_pnl, largest_bet, NOW()
+      FROM src
+      ORDER BY wallet_address
+      ON CONFLICT (wallet_address) DO UPDATE SET
+        first_epoch = LEAST(wallets.first_epoch, EXCLUDED.first_epoch),
+        last_epoch = GREATEST(wallets.last_epoch, EXCLUDED.last_epoch),
+        epochs_played = wallets.epochs_played + EXCLUDED.epochs_played,
+        bet_count = wallets.bet_count + EXCLUDED.bet_count,
+        volume = wallets.volume + EXCLUDED.volume,
+        wins = wallets.wins + EXCLUDED.wins,
+        losses = wallets.losses + EXCLUDED.losses,
+        net_pnl = wallets.net_pnl + EXCLUDED.net_pnl,
+        largest_bet = GREATEST(wallets.largest_bet, EXCLUDED.largest_bet),
+        updated_at = NOW()
+    )
+    SELECT wallet_address, last_epoch AS max_epoch FROM src
+  `, [epochs]);
+
+  // 扣除過的錢包：極值無法增量扣回，依剩餘彙總重算；已無任何局次的錢包移除
+  if (removed.size > 0) {
+    const addresses = [...removed.keys()];
+    await client.query(`
+      UPDATE wallets w SET first_epoch = x.first_epoch, last_epoch = x.last_epoch, largest_bet = x.largest_bet
+      FROM (
+        SELECT wallet_address, MIN(epoch) AS first_epoch, MAX(epoch) AS last_epoch, MAX(largest_bet) AS largest_bet
+        FROM wallet_epoch_result
+        WHERE wallet_address = ANY($1::text[])
+        GROUP BY wallet_address
+      ) x
+      WHERE w.wallet_address = x.wallet_address
+    `, [addresses]);
+    await client.query('DELETE FROM wallets WHERE wallet_address = ANY($1::text[]) AND epochs_played <= 0', [addresses]);
+  }
+
+  const changed = new Map(removed);
+  for (const r of res.rows) {
+    changed.set(r.wallet_address, Math.max(changed.get(r.wallet_address) ?? 0, Number(r.max_epoch)));
+  }
+  await refreshStreaks(changed, client);
+}
+
+/**
+ * 由最新往回的 [{epoch, sign}] 計算連勝/連敗
+ */
+function computeStreak(rows) {
+  if (rows.length === 0) return { streak: 0, since: null, breakEpoch: null };
+  const sign = rows[0].sign;
+  let n = 0;
+  while (n < rows.length && rows[n].sign === sign) n++;
+  return { streak: sign * n, since: rows[n - 1].epoch, breakEpoch: n < rows.length ? rows[n].epoch : null };
+}
+
+/**
+ * 重算連勝：變動局次早於目前連勝中斷點的錢包不受影響（下行線回補歷史時多半如此），其餘往回掃描重算
+ * @param {Map<string, number>} changed - 錢包 → 本次變動的最大局次
+ */
+async function refreshStreaks(changed, client) {
+  if (changed.size === 0) return;
+  const current = await client.query(`
+    SELECT wallet_address, streak_break_epoch FROM wallets WHERE wallet_address = ANY($1::text[])
+  `, [[...changed.keys()]]);
+  const targets = current.rows
+    .filter(w => w.streak_break_epoch === null || changed.get(w.wallet_address) > Number(w.streak_break_epoch))
+    .map(w => w.wallet_address);
+  if (targets.length === 0) return;
+
+  const res = await client.query(`
+    SELECT t.wallet_address, r.epoch, SIGN(r.net_profit)::int AS sign
+    FROM unnest($1::text[]) AS t(wallet_address)
+    CROSS JOIN LATERAL (
+      SELECT epoch, net_profit FROM wallet_epoch_result x
+      WHERE x.wallet_address = t.wallet_address AND x.net_profit <> 0
+      ORDER BY epoch DESC
+      LIMIT $2
+    ) r
+    ORDER BY t.wallet_address, r.epoch DESC
+  `, [targets, STREAK_SCAN_LIMIT]);
+
+  const rowsByWallet = new Map(targets.map(a => [a, []]));
+  for (const r of res.rows) rowsByWallet.get(r.wallet_address).push({ epoch: Number(r.epoch), sign: r.sign });
+
+  const streaks = targets.map(a => computeStreak(rowsByWallet.get(a)));
+  await client.query(`
+    UPDATE wallets w SET current_streak = s.streak, streak_since = s.since, streak_break_epoch = s.break_epoch
+    FROM unnest($1::text[], $2::int[], $3::bigint[], $4::bigint[]) AS s(wallet_address, streak, since, break_epoch)
+    WHERE w.wallet_address = s.wallet_address
+  `, [targets, streaks.map(s => s.streak), streaks.map(s => s.since), streaks.map(s => s.breakEpoch)]);
+}
+
+/**
+ * 查詢單一錢包
+ * @returns {Promise<Object|null>}
+ */
+async function getWallet(db, walletAddress) {
+  const res = await db.query('SELECT * FROM wallets WHERE wallet_address = $1', [walletAddress]);
+  return res.rows[0] || null;
+}
+
+/**
+ * 批次查詢錢包
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getWallets(db, walletAddresses) {
+  if (walletAddresses.length === 0) return new Map();
+  const res = await db.query('SELECT * FROM wallets WHERE wallet_address = ANY($1::text[])', [walletAddresses]);
+  return new Map(res.rows.map(r => [r.wallet_address, r]));
+}
+
+module.exports = {
+  ensureWalletsSchema,
+  removeWalletEpochs,
+  addWalletEpochs,
+  getWallet,
+  getWallets,
+};